@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Board from "../src/models/Board.js";
+import Op from "../src/models/Op.js";
+import { getOpShapeIds } from "../src/services/history.js";
+
+/**
+ * One-off migration: move ops embedded in Board documents into the Op collection
+ *
+ * Each embedded op becomes an Op document with seq = its position in the
+ * old array (starting at 1), the board's opSeq is set to the last seq and
+ * the embedded array is removed. Safe to re-run: boards without an
+ * embedded ops array are skipped.
+ *
+ * Also fills in shapeIds on ops recorded before ops listed the shapes
+ * they touch, which undo needs to find later edits to those shapes.
+ *
+ * Usage: npm run migrate:ops
+ */
+
+dotenv.config();
+
+const migrate = async () => {
+  const mongoUri = process.env.MONGO_URI || "mongodb://mongo:27017/ideacanvas";
+  await mongoose.connect(mongoUri);
+
+  // The ops path is no longer in the schema, so read the raw documents
+  const cursor = Board.collection.find(
+    { ops: { $exists: true } },
+    { projection: { ops: 1 } },
+  );
+
+  let boardCount = 0;
+  let opCount = 0;
+
+  for await (const board of cursor) {
+    const ops = (board.ops || []).map((op, index) => ({
+      ...op,
+      boardId: board._id,
+      seq: index + 1,
+      shapeIds: getOpShapeIds(op),
+    }));
+
+    if (ops.length > 0) {
+      // Drop any partial copy from an interrupted earlier run
+      await Op.deleteMany({ boardId: board._id });
+      await Op.insertMany(ops);
+    }
+
+    await Board.collection.updateOne(
+      { _id: board._id },
+      { $set: { opSeq: ops.length }, $unset: { ops: "" } },
+    );
+
+    boardCount++;
+    opCount += ops.length;
+  }
+
+  console.log(`✅ Migrated ${opCount} ops from ${boardCount} boards`);
+
+  const unlisted = Op.collection.find(
+    { shapeIds: { $exists: false } },
+    { projection: { opType: 1, payload: 1 } },
+  );
+
+  let listedCount = 0;
+  for await (const op of unlisted) {
+    await Op.collection.updateOne(
+      { _id: op._id },
+      { $set: { shapeIds: getOpShapeIds(op) } },
+    );
+    listedCount++;
+  }
+
+  console.log(`✅ Listed the shapes of ${listedCount} older ops`);
+  await mongoose.connection.close();
+};
+
+migrate().catch(async (error) => {
+  console.error("❌ Migration failed:", error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -10,13 +10,33 @@ const shapeSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["path", "rect", "circle", "text"],
+      enum: [
+        "path",
+        "rect",
+        "circle",
+        "text",
+        "sticky",
+        "image",
+        "line",
+        "arrow",
+        "group",
+      ],
     },
-    // For freehand paths: array of {x, y} points
+    // Parent group ID; null or unset for top-level shapes
+    // A "group" shape has no geometry of its own, only members that point
+    // to it. Groups can be nested by giving a group a groupId too.
+    groupId: {
+      type: String,
+      default: null,
+    },
+    // For freehand paths: array of {x, y} points, with the pen's pressure
+    // (0 to 1) on paths drawn with one
+    // For lines and arrows: the two endpoints, [start, end]
     points: [
       {
         x: Number,
         y: Number,
+        pressure: Number,
       },
     ],
     // For shapes: position and dimensions
@@ -24,7 +44,10 @@ const shapeSchema = new mongoose.Schema(
     y: Number,
     width: Number,
     height: Number,
-    // Styling
+    // Clockwise rotation about the box's center, in degrees; the box
+    // above is the shape before it is rotated
+    rotation: Number,
+    // Styling (for sticky notes, color is the note's fill)
     color: {
       type: String,
       default: "#000000",
@@ -33,40 +56,57 @@ const shapeSchema = new mongoose.Schema(
       type: Number,
       default: 2,
     },
-    // For text objects
-    text: String,
-    // Layer assignment (simple string-based layers)
-    layer: {
+    // Optional styling; unset means no fill, opaque, solid, butt caps and
+    // miter joins
+    fillColor: String,
+    opacity: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    strokeDash: {
       type: String,
-      default: "default",
+      enum: ["solid", "dashed", "dotted"],
     },
-    createdBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
+    lineCap: {
+      type: String,
+      enum: ["butt", "round", "square"],
     },
-    createdAt: {
-      type: Date,
-      default: Date.now,
+    lineJoin: {
+      type: String,
+      enum: ["miter", "round", "bevel"],
     },
-  },
-  { _id: false },
-);
-
-// Embedded Op schema - operation log for undo/redo
-const opSchema = new mongoose.Schema(
-  {
-    opType: {
+    // For text objects and sticky notes
+    text: String,
+    // For images: ID of the uploaded file (see services/assetStore.js)
+    assetId: String,
+    // For lines and arrows: ID of the shape each end is attached to, if any
+    // An attached end follows that shape: it is re-routed to the shape's
+    // outline when drawn, and points only keeps where it was drawn
+    startBinding: String,
+    endBinding: String,
+    // For lines and arrows: what is drawn at each end
+    startArrowhead: {
       type: String,
-      required: true,
-      enum: ["create", "update", "delete"],
+      enum: ["none", "arrow", "triangle", "dot"],
+    },
+    endArrowhead: {
+      type: String,
+      enum: ["none", "arrow", "triangle", "dot"],
     },
-    // Payload varies by opType:
-    // create: full shape object
-    // update: { shapeId, changes }
-    // delete: { shapeId, deletedShape (for undo) }
-    payload: {
+    // Layer assignment (simple string-based layers)
+    layer: {
+      type: String,
+      default: "default",
+    },
+    // Stacking order: higher zIndex is drawn on top
+    // New shapes get the seq of their create op, so they start on top
+    zIndex: Number,
+    // Per-property versions: { property: number }, bumped on every write
+    // Used to detect concurrent edits (see services/shapeVersions.js)
+    versions: {
       type: mongoose.Schema.Types.Mixed,
-      required: true,
+      default: {},
     },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -100,8 +140,20 @@ const boardSchema = new mongoose.Schema({
   ],
   // All shapes currently on the board
   shapes: [shapeSchema],
-  // Operation log for undo/redo - append-only
-  ops: [opSchema],
+  // Last op sequence number assigned on this board
+  // The ops themselves are stored in the Op collection
+  opSeq: {
+    type: Number,
+    default: 0,
+  },
+  // Ops written to the board but not yet to the Op collection, each with
+  // its seq. Every board write adds its op here in the same update, so an
+  // op is never lost if the server stops before recording it (see
+  // recordPendingOps in services/opLog.js)
+  pendingOps: {
+    type: [mongoose.Schema.Types.Mixed],
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// BoardVersion schema - a named checkpoint of a board's shapes
+const boardVersionSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Board",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Snapshot of board.shapes when the version was saved
+  shapes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  // Board op sequence number at the time of the snapshot
+  opSeq: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Versions are listed per board, newest first
+boardVersionSchema.index({ boardId: 1, createdAt: -1 });
+// History playback replays from the latest version before a given seq
+boardVersionSchema.index({ boardId: 1, opSeq: -1 });
+
+const BoardVersion = mongoose.model("BoardVersion", boardVersionSchema);
+
+export default BoardVersion;
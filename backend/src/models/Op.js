@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Op schema - one document per board operation (append-only log for undo/redo)
+const opSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Board",
+    required: true,
+  },
+  // Per-board sequence number, assigned from Board.opSeq
+  seq: {
+    type: Number,
+    required: true,
+  },
+  // Unique op ID, referenced by undo/redo ops
+  opId: String,
+  opType: {
+    type: String,
+    required: true,
+    enum: ["create", "update", "delete", "restore", "batch"],
+  },
+  // Payload varies by opType:
+  // create: full shape object
+  // update: { shapeId, changes, oldValues }
+  // delete: { shapeId, deletedShape (for undo) }
+  // restore: { versionId, name, shapes (snapshot that replaced the board) }
+  // batch: { ops: [create/update/delete ops, applied in order] }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // IDs of the shapes the op touches (see getOpShapeIds), so undo can
+  // look up later edits to them without reading the whole log
+  shapeIds: [String],
+  // Set on undo ops: opId of the op being reversed
+  undoOf: String,
+  // Set on redo ops: opId of the undone op being replayed
+  redoOf: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Ops are always read per board in sequence order
+opSchema.index({ boardId: 1, seq: 1 }, { unique: true });
+// Undo and redo read a user's recent ops, the last version restore and
+// later edits to particular shapes
+opSchema.index({ boardId: 1, createdBy: 1, seq: -1 });
+opSchema.index({ boardId: 1, opType: 1, seq: -1 });
+opSchema.index({ boardId: 1, shapeIds: 1, seq: 1 });
+
+const Op = mongoose.model("Op", opSchema);
+
+export default Op;
@@ -21,6 +21,13 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Keyboard shortcuts the user changed from the defaults:
+  // action ID -> key combos (an empty list leaves the action unbound)
+  shortcuts: {
+    type: Map,
+    of: [String],
+    default: undefined,
+  },
 });
 
 const User = mongoose.model("User", userSchema);
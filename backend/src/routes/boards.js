@@ -1,10 +1,92 @@
 import express from "express";
 import Board from "../models/Board.js";
+import BoardVersion from "../models/BoardVersion.js";
 import User from "../models/User.js";
 import { authenticateToken, optionalAuth } from "../middleware/auth.js";
+import { commitBoardOp } from "../services/boardStore.js";
+import {
+  getOpsPage,
+  getOpsBetween,
+  getLatestRestoreOp,
+  getOpTimeline,
+  deleteBoardOps,
+} from "../services/opLog.js";
+import { replayOps } from "../services/applyOp.js";
+import { bumpRestoredVersions } from "../services/shapeVersions.js";
+import {
+  ASSET_TYPES,
+  MAX_ASSET_SIZE,
+  saveAsset,
+  getAssetPath,
+  deleteBoardAssets,
+} from "../services/assetStore.js";
 
 const router = express.Router();
 
+/**
+ * Check access: owner or allowed user only
+ */
+const hasBoardAccess = (board, userId) =>
+  board.ownerId.toString() === userId ||
+  board.allowedUsers.some((id) => id.toString() === userId);
+
+/**
+ * Load the board into req.board, answering 404 or 403 if it doesn't exist
+ * or the user can't access it
+ * Runs before an upload's body is read, so the server never buffers a file
+ * for a board the user can't upload to
+ */
+const requireBoardAccess = async (req, res, next) => {
+  try {
+    const board = await Board.findById(req.params.id).select(
+      "ownerId allowedUsers",
+    );
+
+    if (!board) {
+      return res.status(404).json({ error: "Board not found" });
+    }
+
+    if (!hasBoardAccess(board, req.user.userId)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    req.board = board;
+    next();
+  } catch (error) {
+    console.error("Board access error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * Read an upload body as raw bytes, answering 413 if it's too large
+ */
+const rawAssetParser = express.raw({
+  type: Object.keys(ASSET_TYPES),
+  limit: MAX_ASSET_SIZE,
+});
+const parseAssetBody = (req, res, next) =>
+  rawAssetParser(req, res, (err) => {
+    if (err?.type === "entity.too.large") {
+      return res
+        .status(413)
+        .json({ error: `File can be at most ${MAX_ASSET_SIZE} bytes` });
+    }
+    next(err);
+  });
+
+/**
+ * Format a version for API responses (without its shapes snapshot)
+ */
+const formatVersion = (version) => ({
+  id: version._id,
+  name: version.name,
+  opSeq: version.opSeq,
+  shapeCount: version.shapes.length,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt,
+});
+
 /**
  * GET /api/boards
  * Get list of all boards (public endpoint, optionally filtered by user access)
@@ -55,7 +137,6 @@ router.post("/", authenticateToken, async (req, res) => {
       ownerId: req.user.userId,
       allowedUsers: [req.user.userId], // Owner is automatically allowed
       shapes: [],
-      ops: [],
     });
 
     await board.save();
@@ -65,7 +146,7 @@ router.post("/", authenticateToken, async (req, res) => {
       name: board.name,
       ownerId: board.ownerId,
       shapes: board.shapes,
-      ops: board.ops,
+      ops: [],
       createdAt: board.createdAt,
     });
   } catch (error) {
@@ -76,8 +157,13 @@ router.post("/", authenticateToken, async (req, res) => {
 
 /**
  * GET /api/boards/:id
- * Get full board state including shapes and ops
- * Returns: { id, name, ownerId, allowedUsers, shapes, ops, createdAt, updatedAt }
+ * Get full board state including shapes and one page of ops
+ * Query: { opsLimit? (default 50, max 500), opsBefore? (exclusive seq) }
+ * Returns: { id, name, ownerId, allowedUsers, shapes, ops, opSeq,
+ *            opsPage: { hasMore, nextBefore }, createdAt, updatedAt }
+ *
+ * Ops are returned in ascending seq order. To load older history, repeat
+ * the request with opsBefore set to opsPage.nextBefore.
  */
 router.get("/:id", authenticateToken, async (req, res) => {
   try {
@@ -87,22 +173,24 @@ router.get("/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Board not found" });
     }
 
-    // Check access: owner or allowed user only
-    const hasAccess =
-      board.ownerId.toString() === req.user.userId ||
-      board.allowedUsers.some((id) => id.toString() === req.user.userId);
-
-    if (!hasAccess) {
+    if (!hasBoardAccess(board, req.user.userId)) {
       return res.status(403).json({ error: "Access denied" });
     }
 
+    const { ops, hasMore, nextBefore } = await getOpsPage(board._id, {
+      limit: req.query.opsLimit,
+      before: req.query.opsBefore,
+    });
+
     res.json({
       id: board._id,
       name: board.name,
       ownerId: board.ownerId,
       allowedUsers: board.allowedUsers,
       shapes: board.shapes,
-      ops: board.ops,
+      ops,
+      opSeq: board.opSeq,
+      opsPage: { hasMore, nextBefore },
       createdAt: board.createdAt,
       updatedAt: board.updatedAt,
     });
@@ -132,6 +220,9 @@ router.delete("/:id", authenticateToken, async (req, res) => {
     }
 
     await Board.findByIdAndDelete(req.params.id);
+    await deleteBoardOps(req.params.id);
+    await BoardVersion.deleteMany({ boardId: req.params.id });
+    await deleteBoardAssets(req.params.id);
 
     res.json({ message: "Board deleted successfully" });
   } catch (error) {
@@ -161,11 +252,7 @@ router.post("/:id/invite", authenticateToken, async (req, res) => {
     }
 
     // Check if requester is owner or already has access
-    const hasAccess =
-      board.ownerId.toString() === req.user.userId ||
-      board.allowedUsers.some((id) => id.toString() === req.user.userId);
-
-    if (!hasAccess) {
+    if (!hasBoardAccess(board, req.user.userId)) {
       return res.status(403).json({ error: "Access denied" });
     }
 
@@ -199,4 +286,318 @@ router.post("/:id/invite", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/boards/:id/history
+ * One page of the board's op timeline, for history playback
+ * Query: { limit? (default 50, max 500), before? (exclusive seq) }
+ * Returns: { opSeq, steps: [{ seq, opType, kind, author, createdAt }],
+ *            hasMore, nextBefore }
+ * kind is "edit", "undo" or "redo"
+ *
+ * Steps are in ascending seq order, newest page first, paged like the
+ * ops of GET /api/boards/:id.
+ */
+router.get("/:id/history", authenticateToken, async (req, res) => {
+  try {
+    const board = await Board.findById(req.params.id).select(
+      "ownerId allowedUsers opSeq",
+    );
+
+    if (!board) {
+      return res.status(404).json({ error: "Board not found" });
+    }
+
+    if (!hasBoardAccess(board, req.user.userId)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const { ops, hasMore, nextBefore } = await getOpTimeline(board._id, {
+      limit: req.query.limit,
+      before: req.query.before,
+    });
+
+    res.json({
+      opSeq: board.opSeq,
+      steps: ops.map((op) => ({
+        seq: op.seq,
+        opType: op.opType,
+        kind: op.undoOf ? "undo" : op.redoOf ? "redo" : "edit",
+        author: op.createdBy
+          ? { id: op.createdBy._id, name: op.createdBy.name }
+          : null,
+        createdAt: op.createdAt,
+      })),
+      hasMore,
+      nextBefore,
+    });
+  } catch (error) {
+    console.error("Get history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/boards/:id/history/:seq
+ * Rebuild the board's shapes as they were right after op :seq
+ * (seq 0 is the empty board)
+ * Returns: { seq, shapes }
+ *
+ * Replays only the ops since the nearest known state before :seq: the
+ * latest saved version or version restore at or before it, or else the
+ * empty board.
+ */
+router.get("/:id/history/:seq", authenticateToken, async (req, res) => {
+  try {
+    const seq = parseInt(req.params.seq, 10);
+
+    if (Number.isNaN(seq) || seq < 0) {
+      return res.status(400).json({ error: "Invalid op sequence number" });
+    }
+
+    const board = await Board.findById(req.params.id).select(
+      "ownerId allowedUsers",
+    );
+
+    if (!board) {
+      return res.status(404).json({ error: "Board not found" });
+    }
+
+    if (!hasBoardAccess(board, req.user.userId)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const [version, restore] = await Promise.all([
+      BoardVersion.findOne({
+        boardId: board._id,
+        opSeq: { $gt: 0, $lte: seq },
+      })
+        .sort({ opSeq: -1 })
+        .select("shapes opSeq")
+        .lean(),
+      getLatestRestoreOp(board._id, seq),
+    ]);
+
+    // A restore replaces every shape, so replaying from it needs no base
+    let base = { opSeq: 0, shapes: [] };
+    if (restore && restore.seq > (version?.opSeq ?? 0)) {
+      base = { opSeq: restore.seq - 1, shapes: [] };
+    } else if (version) {
+      base = version;
+    }
+
+    const ops = await getOpsBetween(board._id, base.opSeq, seq);
+
+    res.json({
+      seq,
+      shapes: replayOps(ops, seq, base.shapes),
+    });
+  } catch (error) {
+    console.error("Get history snapshot error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/boards/:id/versions
+ * Save the board's current shapes as a named version
+ * Body: { name }
+ * Returns: { id, name, opSeq, shapeCount, createdBy, createdAt }
+ */
+router.post("/:id/versions", authenticateToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: "Version name is required" });
+    }
+
+    const board = await Board.findById(req.params.id);
+
+    if (!board) {
+      return res.status(404).json({ error: "Board not found" });
+    }
+
+    if (!hasBoardAccess(board, req.user.userId)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const version = new BoardVersion({
+      boardId: board._id,
+      name: name.trim(),
+      shapes: board.shapes.map((shape) => shape.toObject()),
+      opSeq: board.opSeq,
+      createdBy: req.user.userId,
+    });
+
+    await version.save();
+
+    res.status(201).json(formatVersion(version));
+  } catch (error) {
+    console.error("Create version error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/boards/:id/versions
+ * List a board's saved versions, newest first
+ * Returns: [{ id, name, opSeq, shapeCount, createdBy, createdAt }]
+ */
+router.get("/:id/versions", authenticateToken, async (req, res) => {
+  try {
+    const board = await Board.findById(req.params.id).select(
+      "ownerId allowedUsers",
+    );
+
+    if (!board) {
+      return res.status(404).json({ error: "Board not found" });
+    }
+
+    if (!hasBoardAccess(board, req.user.userId)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const versions = await BoardVersion.find({ boardId: board._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(versions.map(formatVersion));
+  } catch (error) {
+    console.error("Get versions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/boards/:id/versions/:vid/restore
+ * Replace the board's shapes with a saved version's snapshot
+ * Records a restore op and broadcasts fresh board-state to the board room
+ * Returns: { message, version }
+ */
+router.post(
+  "/:id/versions/:vid/restore",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const board = await Board.findById(req.params.id);
+
+      if (!board) {
+        return res.status(404).json({ error: "Board not found" });
+      }
+
+      if (!hasBoardAccess(board, req.user.userId)) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      const version = await BoardVersion.findOne({
+        _id: req.params.vid,
+        boardId: board._id,
+      });
+
+      if (!version) {
+        return res.status(404).json({ error: "Version not found" });
+      }
+
+      // Restores are recorded in the ops log but can't be undone; they
+      // reset everyone's undo/redo history (see services/history.js)
+      const snapshot = version.toObject().shapes;
+      const { seq, shapes, error } = await commitBoardOp(
+        board._id,
+        (current) => ({
+          op: {
+            opType: "restore",
+            payload: {
+              versionId: version._id,
+              name: version.name,
+              shapes: bumpRestoredVersions(snapshot, current.shapes),
+            },
+            createdBy: req.user.userId,
+          },
+        }),
+      );
+
+      if (error) {
+        return res.status(409).json({ error });
+      }
+
+      // Push the restored state to everyone currently on the board
+      const io = req.app.get("io");
+      io.to(board._id.toString()).emit("board-state", {
+        shapes,
+        seq,
+        restoredVersion: { id: version._id, name: version.name },
+      });
+
+      res.json({
+        message: "Version restored successfully",
+        version: formatVersion(version),
+      });
+    } catch (error) {
+      console.error("Restore version error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+/**
+ * POST /api/boards/:id/assets
+ * Upload an image for the board (body: the file itself, with its
+ * Content-Type: image/png, image/jpeg, image/gif or image/webp)
+ * Returns: { assetId, mimeType, size }
+ *
+ * Reference the asset from an image shape by its assetId.
+ */
+router.post(
+  "/:id/assets",
+  authenticateToken,
+  requireBoardAccess,
+  parseAssetBody,
+  async (req, res) => {
+    try {
+      const { board } = req;
+      const mimeType = req.is(Object.keys(ASSET_TYPES));
+      if (!mimeType || !Buffer.isBuffer(req.body)) {
+        return res.status(415).json({
+          error: `File type must be one of: ${Object.keys(ASSET_TYPES).join(", ")}`,
+        });
+      }
+
+      const result = await saveAsset(board._id, req.body, mimeType);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Upload asset error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+/**
+ * GET /api/boards/:id/assets/:assetId
+ * Download an uploaded image
+ */
+router.get(
+  "/:id/assets/:assetId",
+  authenticateToken,
+  requireBoardAccess,
+  async (req, res) => {
+    try {
+      const filePath = await getAssetPath(req.board._id, req.params.assetId);
+      if (!filePath) {
+        return res.status(404).json({ error: "Asset not found" });
+      }
+
+      // Assets never change once stored
+      res.set("Cache-Control", "private, max-age=31536000, immutable");
+      res.sendFile(filePath);
+    } catch (error) {
+      console.error("Get asset error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
 export default router;
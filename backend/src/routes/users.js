@@ -0,0 +1,107 @@
+import express from "express";
+import User from "../models/User.js";
+import { authenticateToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+const MAX_SHORTCUT_ACTIONS = 100;
+const MAX_COMBOS_PER_ACTION = 4;
+const MAX_COMBO_LENGTH = 40;
+
+// Action IDs are map keys, which can't contain "." or start with "$"
+const ACTION_ID_PATTERN = /^[a-z][a-zA-Z0-9-]{0,49}$/;
+
+/**
+ * Check a shortcuts object from a client
+ * Returns an error message, or null if it's valid
+ */
+const validateShortcuts = (shortcuts) => {
+  if (!shortcuts || typeof shortcuts !== "object" || Array.isArray(shortcuts)) {
+    return "Shortcuts must be an object of action IDs to key combos";
+  }
+
+  const entries = Object.entries(shortcuts);
+  if (entries.length > MAX_SHORTCUT_ACTIONS) {
+    return `At most ${MAX_SHORTCUT_ACTIONS} shortcuts can be customized`;
+  }
+
+  for (const [actionId, combos] of entries) {
+    if (!ACTION_ID_PATTERN.test(actionId)) {
+      return `Invalid action ID: ${actionId}`;
+    }
+    if (
+      !Array.isArray(combos) ||
+      combos.length > MAX_COMBOS_PER_ACTION ||
+      combos.some(
+        (combo) =>
+          typeof combo !== "string" ||
+          combo.length === 0 ||
+          combo.length > MAX_COMBO_LENGTH,
+      )
+    ) {
+      return `Shortcuts for ${actionId} must be a list of at most ${MAX_COMBOS_PER_ACTION} key combos`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Format a user's shortcuts for API responses
+ */
+const formatShortcuts = (user) => Object.fromEntries(user.shortcuts || []);
+
+/**
+ * GET /api/users/me/shortcuts
+ * Get the current user's customized keyboard shortcuts
+ * Returns: { shortcuts: { actionId: [combo] } }
+ */
+router.get("/me/shortcuts", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("shortcuts");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({ shortcuts: formatShortcuts(user) });
+  } catch (error) {
+    console.error("Get shortcuts error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PUT /api/users/me/shortcuts
+ * Replace the current user's customized keyboard shortcuts
+ * Body: { shortcuts: { actionId: [combo] } } (only the changed actions;
+ *   {} resets everything to the defaults)
+ * Returns: { shortcuts }
+ */
+router.put("/me/shortcuts", authenticateToken, async (req, res) => {
+  try {
+    const { shortcuts } = req.body;
+
+    const invalid = validateShortcuts(shortcuts);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: { shortcuts } },
+      { new: true, runValidators: true },
+    ).select("shortcuts");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({ shortcuts: formatShortcuts(user) });
+  } catch (error) {
+    console.error("Save shortcuts error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
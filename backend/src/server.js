@@ -6,6 +6,7 @@ import cors from "cors";
 import dotenv from "dotenv";
 import authRoutes from "./routes/auth.js";
 import boardRoutes from "./routes/boards.js";
+import userRoutes from "./routes/users.js";
 import { setupSocketHandlers } from "./services/socketHandlers.js";
 
 // Load environment variables
@@ -23,6 +24,9 @@ const io = new Server(httpServer, {
   },
 });
 
+// Make io available to routes (e.g. to broadcast after REST changes)
+app.set("io", io);
+
 // Middleware
 app.use(
   cors({
@@ -52,6 +56,7 @@ app.get("/health", (req, res) => {
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/boards", boardRoutes);
+app.use("/api/users", userRoutes);
 
 // 404 handler
 app.use((req, res) => {
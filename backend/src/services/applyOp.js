@@ -0,0 +1,79 @@
+/**
+ * Applying ops to board state
+ *
+ * Shared by the live socket handlers and history playback, so a board
+ * rebuilt from its ops log matches what collaborators saw at the time.
+ */
+
+/**
+ * Apply an operation to the board
+ * Replaces entries of board.shapes based on the op; shape objects and op
+ * payloads are copied, never modified in place
+ */
+export const applyOpToBoard = (board, op) => {
+  switch (op.opType) {
+    case "create":
+      // Add shape if it doesn't already exist
+      if (!board.shapes.find((s) => s.id === op.payload.id)) {
+        board.shapes.push({ ...op.payload });
+      }
+      break;
+
+    case "delete":
+      // Remove shape
+      board.shapes = board.shapes.filter((s) => s.id !== op.payload.shapeId);
+      break;
+
+    case "update":
+      // Update shape properties
+      const shapeIndex = board.shapes.findIndex(
+        (s) => s.id === op.payload.shapeId,
+      );
+      if (shapeIndex !== -1) {
+        const shape = board.shapes[shapeIndex];
+        board.shapes[shapeIndex] = {
+          ...shape,
+          ...op.payload.changes,
+          // Record the versions the server assigned to the changed properties
+          ...(op.payload.versions && {
+            versions: { ...shape.versions, ...op.payload.versions },
+          }),
+        };
+      }
+      break;
+
+    case "restore":
+      // Replace every shape with the version snapshot
+      board.shapes = op.payload.shapes;
+      break;
+
+    case "batch":
+      // Apply each entry in order
+      op.payload.ops.forEach((subOp) => applyOpToBoard(board, subOp));
+      break;
+  }
+};
+
+/**
+ * Rebuild a board's shapes by replaying its ops from an empty board, or
+ * from a snapshot of its shapes taken just before the first op
+ *
+ * @param {Array} ops - Ops in seq order (plain objects)
+ * @param {number} [uptoSeq] - Last seq to apply (inclusive); all ops if omitted
+ * @param {Array} [shapes] - Snapshot to start from (not modified)
+ * @returns {Array} Shapes as of that op
+ */
+export const replayOps = (ops, uptoSeq = Infinity, shapes = []) => {
+  const board = { shapes: JSON.parse(JSON.stringify(shapes)) };
+
+  for (const op of ops) {
+    if (op.seq > uptoSeq) break;
+    // Deep copy so replay never mutates the caller's ops
+    applyOpToBoard(board, {
+      ...op,
+      payload: JSON.parse(JSON.stringify(op.payload)),
+    });
+  }
+
+  return board.shapes;
+};
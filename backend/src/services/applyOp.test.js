@@ -0,0 +1,110 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { applyOpToBoard, replayOps } from "./applyOp.js";
+
+const rect = (id, x = 0) => ({ id, type: "rect", x, y: 0 });
+
+/**
+ * Number ops' seqs from 1, in order
+ */
+const log = (...ops) => ops.map((op, index) => ({ seq: index + 1, ...op }));
+
+const create = (shape) => ({ opType: "create", payload: shape });
+const update = (shapeId, changes, versions) => ({
+  opType: "update",
+  payload: { shapeId, changes, versions },
+});
+const remove = (shapeId) => ({ opType: "delete", payload: { shapeId } });
+
+describe("applyOpToBoard", () => {
+  it("creates a shape once", () => {
+    const board = { shapes: [] };
+    applyOpToBoard(board, create(rect("a")));
+    applyOpToBoard(board, create(rect("a", 5)));
+    assert.deepEqual(board.shapes, [rect("a")]);
+  });
+
+  it("updates properties and records their versions", () => {
+    const board = { shapes: [{ ...rect("a"), versions: { y: 3 } }] };
+    applyOpToBoard(board, update("a", { x: 9 }, { x: 1 }));
+    assert.deepEqual(board.shapes, [
+      { ...rect("a", 9), versions: { x: 1, y: 3 } },
+    ]);
+  });
+
+  it("ignores updates and deletes of missing shapes", () => {
+    const board = { shapes: [rect("a")] };
+    applyOpToBoard(board, update("nope", { x: 9 }));
+    applyOpToBoard(board, remove("nope"));
+    assert.deepEqual(board.shapes, [rect("a")]);
+  });
+
+  it("applies batch entries in order", () => {
+    const board = { shapes: [rect("a")] };
+    applyOpToBoard(board, {
+      opType: "batch",
+      payload: {
+        ops: [create(rect("b")), update("b", { x: 4 }), remove("a")],
+      },
+    });
+    assert.deepEqual(board.shapes, [rect("b", 4)]);
+  });
+
+  it("replaces every shape on restore", () => {
+    const board = { shapes: [rect("a")] };
+    applyOpToBoard(board, {
+      opType: "restore",
+      payload: { shapes: [rect("z")] },
+    });
+    assert.deepEqual(board.shapes, [rect("z")]);
+  });
+
+  it("never changes the shapes it replaces", () => {
+    const shape = rect("a");
+    const board = { shapes: [shape] };
+    applyOpToBoard(board, update("a", { x: 9 }));
+    assert.deepEqual(shape, rect("a"));
+  });
+});
+
+describe("replayOps", () => {
+  const ops = log(
+    create(rect("a")),
+    create(rect("b")),
+    update("a", { x: 7 }),
+    remove("b"),
+  );
+
+  it("rebuilds the board from an empty one", () => {
+    assert.deepEqual(replayOps(ops), [rect("a", 7)]);
+  });
+
+  it("stops after the given seq", () => {
+    assert.deepEqual(replayOps(ops, 2), [rect("a"), rect("b")]);
+    assert.deepEqual(replayOps(ops, 0), []);
+  });
+
+  it("starts from a snapshot taken before the first op", () => {
+    // A version saved at seq 2, then the ops after it
+    const snapshot = replayOps(ops, 2);
+    assert.deepEqual(replayOps(ops.slice(2), 4, snapshot), replayOps(ops));
+  });
+
+  it("starts over at a restore", () => {
+    const restored = log(
+      ...ops,
+      { opType: "restore", payload: { shapes: [rect("c")] } },
+      update("c", { x: 1 }),
+    );
+    assert.deepEqual(replayOps(restored), [rect("c", 1)]);
+    // Replaying from the restore alone gives the same shapes
+    assert.deepEqual(replayOps(restored.slice(4)), replayOps(restored));
+  });
+
+  it("never modifies the ops or the snapshot", () => {
+    const snapshot = [rect("a")];
+    const before = JSON.stringify({ ops, snapshot });
+    replayOps(ops, Infinity, snapshot);
+    assert.equal(JSON.stringify({ ops, snapshot }), before);
+  });
+});
@@ -0,0 +1,128 @@
+import { randomUUID } from "crypto";
+import { access, mkdir, rm, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Local disk storage for board assets (uploaded images)
+ *
+ * Files are kept under UPLOAD_DIR (default backend/uploads), in one
+ * directory per board, and named by their asset ID: a random UUID plus an
+ * extension for the file type. Only IDs generated here are accepted when
+ * building a path, so client input can't reach outside a board's directory.
+ */
+
+/**
+ * Accepted file types and the extension each is stored with
+ */
+export const ASSET_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+
+/**
+ * Largest accepted upload, in bytes
+ */
+export const MAX_ASSET_SIZE = 5 * 1024 * 1024;
+
+const ASSET_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.(png|jpg|gif|webp)$/;
+
+/**
+ * Read when used rather than at import, after dotenv has loaded .env
+ */
+const getUploadDir = () =>
+  process.env.UPLOAD_DIR ||
+  fileURLToPath(new URL("../../uploads", import.meta.url));
+
+const getBoardDir = (boardId) => path.join(getUploadDir(), boardId.toString());
+
+/**
+ * Whether a string has the form of an asset ID
+ */
+export const isAssetId = (assetId) =>
+  typeof assetId === "string" && ASSET_ID_PATTERN.test(assetId);
+
+/**
+ * File type of an image, from its leading bytes
+ * The Content-Type a client sends is not trusted on its own
+ *
+ * @param {Buffer} data
+ * @returns {string|null} One of the ASSET_TYPES, or null if not recognized
+ */
+const detectImageType = (data) => {
+  const startsWith = (bytes) =>
+    data.length >= bytes.length && bytes.every((byte, i) => data[i] === byte);
+  const ascii = (start, end) => data.subarray(start, end).toString("latin1");
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (/^GIF8[79]a$/.test(ascii(0, 6))) return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+};
+
+/**
+ * Store an uploaded file for a board
+ *
+ * @param {string} boardId
+ * @param {Buffer} data - File contents
+ * @param {string} mimeType - Type declared by the client
+ * @returns {Promise<Object>} { assetId, mimeType, size } or { error }
+ */
+export const saveAsset = async (boardId, data, mimeType) => {
+  if (!ASSET_TYPES[mimeType]) {
+    return {
+      error: `File type must be one of: ${Object.keys(ASSET_TYPES).join(", ")}`,
+    };
+  }
+  if (data.length === 0) {
+    return { error: "File is empty" };
+  }
+  if (data.length > MAX_ASSET_SIZE) {
+    return { error: `File can be at most ${MAX_ASSET_SIZE} bytes` };
+  }
+  if (detectImageType(data) !== mimeType) {
+    return { error: `File is not a valid ${mimeType} image` };
+  }
+
+  const assetId = `${randomUUID()}.${ASSET_TYPES[mimeType]}`;
+  const dir = getBoardDir(boardId);
+  await mkdir(dir, { recursive: true });
+  await writeFile(path.join(dir, assetId), data, { flag: "wx" });
+
+  return { assetId, mimeType, size: data.length };
+};
+
+/**
+ * Path of a stored asset
+ *
+ * @param {string} boardId
+ * @param {string} assetId
+ * @returns {Promise<string|null>} Absolute path, or null if there is no
+ *   such asset
+ */
+export const getAssetPath = async (boardId, assetId) => {
+  if (!isAssetId(assetId)) return null;
+
+  const filePath = path.join(getBoardDir(boardId), assetId);
+  try {
+    await access(filePath);
+    return filePath;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remove every asset of a board
+ */
+export const deleteBoardAssets = async (boardId) => {
+  await rm(getBoardDir(boardId), { recursive: true, force: true });
+};
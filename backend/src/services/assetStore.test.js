@@ -0,0 +1,115 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  MAX_ASSET_SIZE,
+  deleteBoardAssets,
+  getAssetPath,
+  isAssetId,
+  saveAsset,
+} from "./assetStore.js";
+
+const BOARD = "board-1";
+
+/**
+ * The leading bytes of each type, padded to a small file
+ */
+const image = (...header) =>
+  Buffer.concat([Buffer.from(header), Buffer.alloc(16)]);
+const PNG = image(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+const JPEG = image(0xff, 0xd8, 0xff, 0xe0);
+const GIF = Buffer.concat([Buffer.from("GIF89a"), Buffer.alloc(16)]);
+const WEBP = Buffer.concat([
+  Buffer.from("RIFF"),
+  Buffer.alloc(4),
+  Buffer.from("WEBP"),
+  Buffer.alloc(16),
+]);
+
+const saved = process.env.UPLOAD_DIR;
+before(async () => {
+  process.env.UPLOAD_DIR = await mkdtemp(path.join(tmpdir(), "assets-"));
+});
+after(async () => {
+  await rm(process.env.UPLOAD_DIR, { recursive: true, force: true });
+  if (saved === undefined) delete process.env.UPLOAD_DIR;
+  else process.env.UPLOAD_DIR = saved;
+});
+
+describe("saveAsset", () => {
+  it("stores each image type under a new asset ID", async () => {
+    const files = [
+      [PNG, "image/png", /\.png$/],
+      [JPEG, "image/jpeg", /\.jpg$/],
+      [GIF, "image/gif", /\.gif$/],
+      [WEBP, "image/webp", /\.webp$/],
+    ];
+    for (const [data, mimeType, extension] of files) {
+      const result = await saveAsset(BOARD, data, mimeType);
+      assert.equal(result.mimeType, mimeType);
+      assert.equal(result.size, data.length);
+      assert.ok(isAssetId(result.assetId));
+      assert.match(result.assetId, extension);
+
+      const filePath = await getAssetPath(BOARD, result.assetId);
+      assert.deepEqual(await readFile(filePath), data);
+    }
+  });
+
+  it("rejects files whose bytes don't match their declared type", async () => {
+    assert.match(
+      (await saveAsset(BOARD, JPEG, "image/png")).error,
+      /not a valid image\/png/,
+    );
+    assert.match(
+      (await saveAsset(BOARD, Buffer.from("<svg></svg>"), "image/gif")).error,
+      /not a valid image\/gif/,
+    );
+    // Too short to hold the whole signature
+    assert.match(
+      (await saveAsset(BOARD, PNG.subarray(0, 4), "image/png")).error,
+      /not a valid/,
+    );
+  });
+
+  it("rejects other types, empty files and files over the limit", async () => {
+    assert.match(
+      (await saveAsset(BOARD, PNG, "image/svg+xml")).error,
+      /File type must be one of/,
+    );
+    assert.match(
+      (await saveAsset(BOARD, Buffer.alloc(0), "image/png")).error,
+      /empty/,
+    );
+    const huge = Buffer.concat([PNG, Buffer.alloc(MAX_ASSET_SIZE)]);
+    assert.match((await saveAsset(BOARD, huge, "image/png")).error, /at most/);
+  });
+});
+
+describe("getAssetPath", () => {
+  it("only accepts asset IDs, so paths can't leave the board's directory", async () => {
+    assert.equal(await getAssetPath(BOARD, "../board-2/secret.png"), null);
+    assert.equal(await getAssetPath(BOARD, "image.png"), null);
+  });
+
+  it("returns null for assets that don't exist", async () => {
+    const { assetId } = await saveAsset(BOARD, PNG, "image/png");
+    assert.equal(await getAssetPath("board-2", assetId), null);
+  });
+});
+
+describe("deleteBoardAssets", () => {
+  it("removes a board's assets and leaves other boards' alone", async () => {
+    const mine = await saveAsset("board-3", PNG, "image/png");
+    const theirs = await saveAsset("board-4", PNG, "image/png");
+
+    await deleteBoardAssets("board-3");
+    assert.equal(await getAssetPath("board-3", mine.assetId), null);
+    assert.ok(await getAssetPath("board-4", theirs.assetId));
+
+    // Boards without assets are fine too
+    await deleteBoardAssets("board-5");
+  });
+});
@@ -0,0 +1,345 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Board from "../models/Board.js";
+import Op from "../models/Op.js";
+import {
+  commitBoardOp,
+  createShape,
+  deleteShape,
+  updateShape,
+} from "./boardStore.js";
+import { replayOps } from "./applyOp.js";
+import {
+  MAX_OPS_PAGE_SIZE,
+  deleteBoardOps,
+  findLaterOpByOthers,
+  getOpsPage,
+  getOpsSince,
+  getUserHistoryOps,
+} from "./opLog.js";
+import { getConflictQuery } from "./history.js";
+
+/**
+ * Concurrent writers on one board
+ *
+ * Runs with npm run test:integration, against MONGO_TEST_URI if set, or
+ * else an in-memory MongoDB from mongodb-memory-server (which fetches a
+ * mongod binary on first use). Fails if neither is available.
+ */
+
+const WRITERS = 20;
+
+let server = null;
+
+before(async () => {
+  let uri = process.env.MONGO_TEST_URI;
+  if (!uri) {
+    const { MongoMemoryServer } = await import("mongodb-memory-server");
+    server = await MongoMemoryServer.create();
+    uri = server.getUri();
+  }
+  await mongoose.connect(uri, {
+    dbName: `boardstore-test-${process.pid}`,
+    serverSelectionTimeoutMS: 5000,
+  });
+  await Op.init();
+});
+
+after(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  await server?.stop();
+});
+
+const newBoard = () =>
+  Board.create({ name: "Stress", ownerId: new mongoose.Types.ObjectId() });
+
+const rect = (id, x = 0) => ({
+  id,
+  type: "rect",
+  x,
+  y: 0,
+  width: 10,
+  height: 10,
+  color: "#000000",
+  layer: "default",
+});
+
+/**
+ * Check the invariants every board must keep once its writes are done:
+ * one op per seq from 1 to opSeq, none left pending, and replaying them
+ * gives exactly the stored shapes
+ */
+const assertConsistent = async (boardId) => {
+  const board = await Board.findById(boardId).select("+pendingOps").lean();
+  assert.deepEqual(board.pendingOps, [], "every op left pendingOps");
+  const ops = await Op.find({ boardId }).sort({ seq: 1 }).lean();
+
+  assert.deepEqual(
+    ops.map((op) => op.seq),
+    Array.from({ length: board.opSeq }, (_, i) => i + 1),
+    "the ops log has one op for every seq",
+  );
+
+  const pick = (shapes) =>
+    shapes
+      .map(({ id, x, color, zIndex, versions }) => ({
+        id,
+        x,
+        color,
+        zIndex,
+        versions: versions || {},
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  assert.deepEqual(
+    pick(replayOps(ops)),
+    pick(board.shapes),
+    "replaying the log gives the stored shapes",
+  );
+
+  return board;
+};
+
+describe("boardStore under concurrent writers", () => {
+  it("keeps every concurrently created shape", async () => {
+    const board = await newBoard();
+
+    const results = await Promise.all(
+      Array.from({ length: WRITERS }, (_, i) =>
+        createShape(board._id, rect(`shape-${i}`), null),
+      ),
+    );
+
+    assert.ok(results.every((r) => !r.error));
+    const stored = await assertConsistent(board._id);
+    assert.equal(stored.shapes.length, WRITERS);
+    assert.equal(stored.opSeq, WRITERS);
+    // Every shape got its own zIndex: the seq of its create
+    assert.deepEqual(
+      stored.shapes.map((s) => s.zIndex).sort((a, b) => a - b),
+      results.map((r) => r.seq).sort((a, b) => a - b),
+    );
+  });
+
+  it("keeps every accepted update and bumps versions once per write", async () => {
+    const board = await newBoard();
+    await createShape(board._id, rect("shared"), null);
+
+    // Blind writes (no baseVersions) to x and to color, all at once
+    const results = await Promise.all(
+      Array.from({ length: WRITERS }, (_, i) =>
+        updateShape(
+          board._id,
+          {
+            shapeId: "shared",
+            changes:
+              i % 2 === 0
+                ? { x: i }
+                : { color: `#0000${i.toString(16).padStart(2, "0")}` },
+          },
+          null,
+        ),
+      ),
+    );
+
+    const stored = await assertConsistent(board._id);
+    const shape = stored.shapes.find((s) => s.id === "shared");
+    const written = results.filter((r) => r.op);
+    const writesTo = (key) =>
+      written
+        .filter((r) => key in r.op.payload.changes)
+        .sort((a, b) => a.seq - b.seq);
+
+    // Writes can give up under contention, but never silently
+    results
+      .filter((r) => !r.op)
+      .forEach((r) => assert.match(r.error, /too quickly/));
+
+    ["x", "color"].forEach((key) => {
+      const writes = writesTo(key);
+      assert.equal(shape.versions?.[key] ?? 0, writes.length);
+      if (writes.length > 0) {
+        // The last write committed is the value kept
+        assert.equal(shape[key], writes.at(-1).op.payload.changes[key]);
+      }
+    });
+    assert.equal(stored.opSeq, 1 + written.length);
+  });
+
+  it("rejects stale updates instead of overwriting newer ones", async () => {
+    const board = await newBoard();
+    await createShape(board._id, rect("shared"), null);
+
+    // Everyone edits x based on version 0; only one of them can win
+    const results = await Promise.all(
+      Array.from({ length: WRITERS }, (_, i) =>
+        updateShape(
+          board._id,
+          { shapeId: "shared", changes: { x: i }, baseVersions: { x: 0 } },
+          null,
+        ),
+      ),
+    );
+
+    const stored = await assertConsistent(board._id);
+    const shape = stored.shapes.find((s) => s.id === "shared");
+    const winners = results.filter((r) => r.op);
+    assert.equal(winners.length, 1);
+    assert.equal(shape.x, winners[0].op.payload.changes.x);
+    assert.equal(shape.versions.x, 1);
+    results
+      .filter((r) => !r.op)
+      .forEach((r) => assert.deepEqual(r.rejected, ["x"]));
+  });
+
+  it("keeps single-shape writes and whole-board ops in one sequence", async () => {
+    const board = await newBoard();
+    await Promise.all(
+      Array.from({ length: 5 }, (_, i) =>
+        createShape(board._id, rect(`base-${i}`), null),
+      ),
+    );
+
+    // Batches (optimistic, retried) racing creates, updates and deletes
+    const results = await Promise.all([
+      ...Array.from({ length: WRITERS }, (_, i) =>
+        commitBoardOp(board._id, () => ({
+          op: {
+            opType: "batch",
+            payload: {
+              ops: [{ opType: "create", payload: rect(`batch-${i}`) }],
+            },
+            createdBy: null,
+          },
+        })),
+      ),
+      ...Array.from({ length: WRITERS }, (_, i) =>
+        createShape(board._id, rect(`single-${i}`), null),
+      ),
+      ...Array.from({ length: 4 }, (_, i) =>
+        updateShape(
+          board._id,
+          { shapeId: `base-${i + 1}`, changes: { x: 100 + i } },
+          null,
+        ),
+      ),
+      deleteShape(board._id, "base-0", null),
+    ]);
+
+    const stored = await assertConsistent(board._id);
+    const committed = results.filter((r) => r.op);
+    results
+      .filter((r) => !r.op)
+      .forEach((r) => assert.match(r.error, /too quickly/));
+    assert.equal(stored.opSeq, 5 + committed.length);
+
+    // Every committed batch's shape is on the board
+    const ids = new Set(stored.shapes.map((s) => s.id));
+    results.slice(0, WRITERS).forEach((r, i) => {
+      assert.equal(ids.has(`batch-${i}`), !!r.op);
+    });
+    assert.ok(!ids.has("base-0"));
+  });
+
+  it("recovers ops the server stopped before recording", async () => {
+    const board = await newBoard();
+    const userId = new mongoose.Types.ObjectId().toString();
+    await createShape(board._id, rect("a"), userId);
+    await updateShape(board._id, { shapeId: "a", changes: { x: 5 } }, userId);
+    await deleteShape(board._id, "a", userId);
+
+    // As if the server stopped after each board write: the ops are only
+    // in pendingOps
+    const lost = await Op.find({ boardId: board._id }).lean();
+    await Op.deleteMany({ boardId: board._id });
+    await Board.updateOne({ _id: board._id }, { $set: { pendingOps: lost } });
+
+    const history = await getUserHistoryOps(board._id, userId, 3);
+    assert.deepEqual(
+      history.map((op) => op.opType),
+      ["create", "update", "delete"],
+    );
+    assert.equal(history[2].payload.deletedShape.x, 5);
+    assert.equal((await getOpsSince(board._id, 0, 3, 10)).length, 3);
+    await assertConsistent(board._id);
+  });
+});
+
+describe("undo and redo conflicts in the ops log", () => {
+  it("finds the first later op by someone else on the entry's shapes", async () => {
+    const board = await newBoard();
+    const me = new mongoose.Types.ObjectId().toString();
+    const other = new mongoose.Types.ObjectId().toString();
+
+    await createShape(board._id, rect("a"), me);
+    await createShape(board._id, rect("b"), me);
+    await createShape(board._id, rect("c"), me);
+    await updateShape(board._id, { shapeId: "b", changes: { x: 1 } }, other);
+    await updateShape(board._id, { shapeId: "a", changes: { x: 2 } }, me);
+    await updateShape(board._id, { shapeId: "a", changes: { x: 3 } }, null);
+
+    const ops = await getUserHistoryOps(board._id, me, 6);
+    const conflictWith = (entryOp) =>
+      findLaterOpByOthers(board._id, getConflictQuery(ops, entryOp, me, 6));
+
+    assert.equal((await conflictWith(ops[1])).seq, 4);
+    // The user's own update to a doesn't count, one without an author does
+    assert.equal((await conflictWith(ops[0])).seq, 6);
+    assert.equal(await conflictWith(ops[2]), null);
+  });
+});
+
+describe("ops log", () => {
+  const seqs = (page) => page.ops.map((op) => op.seq);
+
+  it("pages back from the newest ops, oldest first within a page", async () => {
+    const board = await newBoard();
+    for (let i = 0; i < 5; i++) {
+      await createShape(board._id, rect(`s-${i}`), null);
+    }
+
+    const newest = await getOpsPage(board._id, { limit: 2 });
+    assert.deepEqual(seqs(newest), [4, 5]);
+    assert.equal(newest.hasMore, true);
+    assert.equal(newest.nextBefore, 4);
+
+    const middle = await getOpsPage(board._id, { limit: 2, before: 4 });
+    assert.deepEqual(seqs(middle), [2, 3]);
+
+    const oldest = await getOpsPage(board._id, { limit: "2", before: "2" });
+    assert.deepEqual(seqs(oldest), [1]);
+    assert.equal(oldest.hasMore, false);
+    assert.equal(oldest.nextBefore, null);
+  });
+
+  it("keeps page sizes between 1 and the maximum", async () => {
+    const board = await newBoard();
+    await createShape(board._id, rect("a"), null);
+    await createShape(board._id, rect("b"), null);
+
+    assert.deepEqual(seqs(await getOpsPage(board._id, { limit: 0 })), [1, 2]);
+    assert.deepEqual(seqs(await getOpsPage(board._id, { limit: -5 })), [2]);
+    assert.ok(MAX_OPS_PAGE_SIZE >= 2);
+    assert.deepEqual(
+      seqs(await getOpsPage(board._id, { limit: MAX_OPS_PAGE_SIZE * 2 })),
+      [1, 2],
+    );
+  });
+
+  it("keeps each board's seqs and ops apart", async () => {
+    const [first, second] = await Promise.all([newBoard(), newBoard()]);
+    await createShape(first._id, rect("a"), null);
+    await createShape(second._id, rect("a"), null);
+    await createShape(second._id, rect("b"), null);
+
+    assert.deepEqual(seqs(await getOpsPage(first._id)), [1]);
+    assert.deepEqual(seqs(await getOpsPage(second._id)), [1, 2]);
+
+    await deleteBoardOps(second._id);
+    assert.deepEqual(seqs(await getOpsPage(second._id)), []);
+    assert.deepEqual(seqs(await getOpsPage(first._id)), [1]);
+  });
+});
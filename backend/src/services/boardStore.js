@@ -0,0 +1,378 @@
+import Board from "../models/Board.js";
+import { recordOp } from "./opLog.js";
+import { applyOpToBoard } from "./applyOp.js";
+import { generateOpId, buildUpdatePayload } from "./history.js";
+import { resolveFieldChanges } from "./shapeVersions.js";
+
+/**
+ * Race-free board writes
+ *
+ * Board shapes are never written with findById → mutate → save(), which
+ * lets two concurrent saves overwrite each other. Every write is a single
+ * atomic update on the board document that also increments board.opSeq,
+ * so the op's sequence number is allocated in the same write that changes
+ * the shapes:
+ *
+ * - Single-shape ops are targeted updates (an appending pipeline, $set,
+ *   $pull) that only touch the affected shape. Updates are guarded by the
+ *   shape's per-property versions, so a property can't change between
+ *   reading its old value (kept for undo) and writing the new one.
+ * - Multi-shape ops (batch, undo, redo, restore) use optimistic
+ *   concurrency: the new shapes are computed from a snapshot and written
+ *   only if board.opSeq is unchanged, retrying on conflict.
+ *
+ * The same write adds the op, with its seq, to board.pendingOps. The op
+ * is then recorded in the ops log and removed from pendingOps; if that
+ * fails (or the server stops first), the next reader of the log records
+ * it instead (see recordPendingOps in services/opLog.js), so no op the
+ * board reflects is ever lost from the log.
+ */
+
+/**
+ * Attempts before giving up on a board that keeps changing underneath us
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Shape properties clients can never write with update-shape
+ */
+const PROTECTED_KEYS = ["id", "type", "versions", "createdBy", "createdAt"];
+
+/**
+ * Fill in the op fields every op carries
+ */
+const stampOp = (op) => ({
+  opId: generateOpId(),
+  createdAt: new Date(),
+  ...op,
+});
+
+/**
+ * Pipeline expression for the seq the write allocates
+ */
+const NEXT_SEQ = { $add: [{ $ifNull: ["$opSeq", 0] }, 1] };
+
+/**
+ * Pipeline expression for board.pendingOps with an op added
+ * fields are computed in the pipeline (e.g. seq) and override the op's
+ */
+const withPendingOp = (op, fields) => ({
+  $concatArrays: [
+    { $ifNull: ["$pendingOps", []] },
+    [{ $mergeObjects: [{ $literal: op }, fields] }],
+  ],
+});
+
+/**
+ * Record a committed op in the ops log and return it with its seq
+ * The op is already on the board and in board.pendingOps, so a failure
+ * here is logged rather than reported: the next reader of the log
+ * records it instead
+ */
+const commit = async (boardId, seq, op) => {
+  try {
+    await recordOp(boardId, seq, op);
+  } catch (error) {
+    console.error(`Recording op ${seq} on board ${boardId} failed:`, error);
+  }
+  return { op, seq };
+};
+
+/**
+ * Cast a shape to the form stored on the board (ObjectIds, defaults)
+ * Pipeline updates bypass Mongoose casting, so this is done up front
+ */
+const toStoredShape = (shape) =>
+  new Board({ shapes: [shape] }).shapes[0].toObject();
+
+/**
+ * Cast changes to a shape to the form stored on the board
+ * Like toStoredShape, for the changed properties only; throws a
+ * ValidationError if any of them is invalid
+ */
+const toStoredChanges = (shape, changes) => {
+  const stored = new Board({ shapes: [{ ...shape, ...changes }] }).shapes[0];
+  const invalid = stored.validateSync(Object.keys(changes));
+  if (invalid) throw invalid;
+
+  const values = stored.toObject();
+  const cast = {};
+  Object.keys(changes).forEach((key) => {
+    cast[key] = values[key] ?? null;
+  });
+  return cast;
+};
+
+/**
+ * Add a shape to a board, on top of every other shape
+ * The shape's zIndex is the seq of its create op, assigned in the same
+ * write. Fails if the board doesn't exist or already has a shape with
+ * that ID
+ *
+ * @param {string} boardId
+ * @param {Object} shape
+ * @param {string|null} userId - Author of the op
+ * @returns {Promise<Object>} { op, seq } or { error }; the op payload is
+ *   the stored shape, including its zIndex
+ */
+export const createShape = async (boardId, shape, userId) => {
+  const op = stampOp({ opType: "create", payload: shape, createdBy: userId });
+  const board = await Board.findOneAndUpdate(
+    { _id: boardId, "shapes.id": { $ne: shape.id } },
+    [
+      {
+        $set: {
+          shapes: {
+            $concatArrays: [
+              "$shapes",
+              [
+                {
+                  $mergeObjects: [
+                    { $literal: toStoredShape(shape) },
+                    { zIndex: NEXT_SEQ },
+                  ],
+                },
+              ],
+            ],
+          },
+          opSeq: NEXT_SEQ,
+          updatedAt: new Date(),
+          pendingOps: withPendingOp(op, {
+            seq: NEXT_SEQ,
+            payload: {
+              $mergeObjects: [{ $literal: shape }, { zIndex: NEXT_SEQ }],
+            },
+          }),
+        },
+      },
+    ],
+    { new: true, projection: { opSeq: 1 } },
+  ).lean();
+
+  if (!board) {
+    return (await Board.exists({ _id: boardId }))
+      ? { error: `Shape ${shape.id} already exists` }
+      : { error: "Board not found" };
+  }
+
+  return commit(boardId, board.opSeq, {
+    ...op,
+    payload: { ...shape, zIndex: board.opSeq },
+  });
+};
+
+/**
+ * Update properties of a shape
+ * Changes to properties edited by someone else since baseVersions are
+ * rejected (see services/shapeVersions.js); the rest are written
+ *
+ * @param {string} boardId
+ * @param {Object} update - { shapeId, changes, baseVersions? }
+ * @param {string|null} userId - Author of the op
+ * @returns {Promise<Object>} { op, seq, rejected, current, versions } or
+ *   { error }. op is null if every change was rejected. current holds the
+ *   stored values of the rejected properties and versions the versions
+ *   they were checked against.
+ */
+export const updateShape = async (
+  boardId,
+  { shapeId, changes = {}, baseVersions },
+  userId,
+) => {
+  const writable = {};
+  Object.keys(changes).forEach((key) => {
+    if (!PROTECTED_KEYS.includes(key) && /^[A-Za-z]\w*$/.test(key)) {
+      writable[key] = changes[key];
+    }
+  });
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const board = await Board.findById(boardId, {
+      shapes: { $elemMatch: { id: shapeId } },
+    }).lean();
+    if (!board) return { error: "Board not found" };
+
+    const shape = board.shapes?.[0];
+    if (!shape) return { error: "Shape not found" };
+
+    const versions = shape.versions || {};
+    const { accepted, rejected } = resolveFieldChanges(
+      versions,
+      writable,
+      baseVersions,
+    );
+    const current = {};
+    rejected.forEach((key) => {
+      current[key] = shape[key];
+    });
+
+    const keys = Object.keys(accepted);
+    if (keys.length === 0) {
+      return { op: null, rejected, current, versions };
+    }
+
+    const payload = buildUpdatePayload(board, shapeId, accepted);
+
+    const op = stampOp({ opType: "update", payload, createdBy: userId });
+    const stored = toStoredChanges(shape, accepted);
+
+    // Only write if none of the properties changed since we read them
+    const unchanged = { id: shapeId };
+    keys.forEach((key) => {
+      unchanged[`versions.${key}`] =
+        versions[key] === undefined ? { $exists: false } : versions[key];
+    });
+
+    const updated = await Board.findOneAndUpdate(
+      { _id: boardId, shapes: { $elemMatch: unchanged } },
+      [
+        {
+          $set: {
+            shapes: {
+              $map: {
+                input: "$shapes",
+                in: {
+                  $cond: [
+                    { $eq: ["$$this.id", { $literal: shapeId }] },
+                    {
+                      $mergeObjects: [
+                        "$$this",
+                        { $literal: stored },
+                        {
+                          versions: {
+                            $mergeObjects: [
+                              { $ifNull: ["$$this.versions", {}] },
+                              { $literal: payload.versions },
+                            ],
+                          },
+                        },
+                      ],
+                    },
+                    "$$this",
+                  ],
+                },
+              },
+            },
+            opSeq: NEXT_SEQ,
+            updatedAt: new Date(),
+            pendingOps: withPendingOp(op, { seq: NEXT_SEQ }),
+          },
+        },
+      ],
+      { new: true, projection: { opSeq: 1 } },
+    ).lean();
+
+    if (updated) {
+      const { seq } = await commit(boardId, updated.opSeq, op);
+      return { op, seq, rejected, current, versions };
+    }
+  }
+
+  return { error: "Shape is being edited too quickly, please try again" };
+};
+
+/**
+ * Remove a shape from a board
+ * The shape as it was removed is kept in the op for undo
+ *
+ * @param {string} boardId
+ * @param {string} shapeId
+ * @param {string|null} userId - Author of the op
+ * @returns {Promise<Object>} { op, seq } or { error }
+ */
+export const deleteShape = async (boardId, shapeId, userId) => {
+  const op = stampOp({
+    opType: "delete",
+    payload: { shapeId },
+    createdBy: userId,
+  });
+  const isShape = { $eq: ["$$this.id", { $literal: shapeId }] };
+
+  // Returns the document as it was before the update
+  const board = await Board.findOneAndUpdate(
+    { _id: boardId, "shapes.id": shapeId },
+    [
+      {
+        $set: {
+          shapes: {
+            $filter: { input: "$shapes", cond: { $not: [isShape] } },
+          },
+          opSeq: NEXT_SEQ,
+          updatedAt: new Date(),
+          pendingOps: withPendingOp(op, {
+            seq: NEXT_SEQ,
+            payload: {
+              shapeId: { $literal: shapeId },
+              deletedShape: {
+                $arrayElemAt: [
+                  { $filter: { input: "$shapes", cond: isShape } },
+                  0,
+                ],
+              },
+            },
+          }),
+        },
+      },
+    ],
+    {
+      new: false,
+      projection: { opSeq: 1, shapes: { $elemMatch: { id: shapeId } } },
+    },
+  ).lean();
+
+  if (!board) {
+    return (await Board.exists({ _id: boardId }))
+      ? { error: "Shape not found" }
+      : { error: "Board not found" };
+  }
+
+  return commit(boardId, board.opSeq + 1, {
+    ...op,
+    payload: { shapeId, deletedShape: board.shapes[0] },
+  });
+};
+
+/**
+ * Commit an op computed from the whole board (batch, undo, redo, restore)
+ *
+ * buildOp receives a snapshot { shapes, opSeq } and returns { op } or
+ * { error }; it may be async and must not modify the snapshot. If the
+ * board changed before the op could be written, buildOp is called again
+ * with a fresh snapshot. An op of null means there is nothing to change.
+ *
+ * @param {string} boardId
+ * @param {Function} buildOp - (board) => { op } | { error }
+ * @returns {Promise<Object>} { op, seq, shapes } or { error }; op is null
+ *   (and nothing was written) if buildOp returned a null op
+ */
+export const commitBoardOp = async (boardId, buildOp) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const board = await Board.findById(boardId, { shapes: 1, opSeq: 1 }).lean();
+    if (!board) return { error: "Board not found" };
+
+    const result = await buildOp(board);
+    if (result.error) return result;
+    if (!result.op) return { op: null };
+
+    const op = stampOp(result.op);
+    const next = { shapes: [...board.shapes] };
+    applyOpToBoard(next, op);
+
+    const { matchedCount } = await Board.updateOne(
+      { _id: boardId, opSeq: board.opSeq },
+      {
+        $set: { shapes: next.shapes, updatedAt: new Date() },
+        $inc: { opSeq: 1 },
+        $push: { pendingOps: { ...op, seq: board.opSeq + 1 } },
+      },
+      { runValidators: true },
+    );
+
+    if (matchedCount === 1) {
+      const { seq } = await commit(boardId, board.opSeq + 1, op);
+      return { op, seq, shapes: next.shapes };
+    }
+  }
+
+  return { error: "Board is being edited too quickly, please try again" };
+};
@@ -0,0 +1,150 @@
+import { buildUpdatePayload } from "./history.js";
+import { applyOpToBoard } from "./applyOp.js";
+
+/**
+ * Shape groups
+ *
+ * A group is a shape of type "group" with no geometry. Members (shapes or
+ * other groups) point to it through groupId. A member whose group no
+ * longer exists is treated as top-level.
+ */
+
+/**
+ * IDs of every shape and group nested under a group, at any depth
+ */
+export const getDescendantIds = (shapes, groupId) => {
+  const ids = [];
+  const pending = [groupId];
+  const seen = new Set(pending);
+
+  while (pending.length > 0) {
+    const parentId = pending.pop();
+    shapes.forEach((shape) => {
+      if (shape.groupId === parentId && !seen.has(shape.id)) {
+        seen.add(shape.id);
+        ids.push(shape.id);
+        if (shape.type === "group") pending.push(shape.id);
+      }
+    });
+  }
+
+  return ids;
+};
+
+/**
+ * IDs a lock on this shape or group covers: itself and all descendants
+ */
+export const getLockScope = (shapes, objectId) => [
+  objectId,
+  ...getDescendantIds(shapes, objectId),
+];
+
+/**
+ * Build the batch op that groups shapes
+ * All shapes must exist and share the same parent, and the group ID must
+ * be unused. The new group takes the parent of its members, so grouping
+ * groups (or shapes inside a group) nests it.
+ *
+ * @param {Object} board - { shapes }
+ * @param {Object} request - { groupId, shapeIds }
+ * @param {string|null} userId - Author of the op
+ * @returns {Object} { op } or { error }
+ */
+export const buildGroupOp = (board, { groupId, shapeIds }, userId) => {
+  if (typeof groupId !== "string" || groupId.length === 0) {
+    return { error: "Group ID is required" };
+  }
+  if (board.shapes.some((s) => s.id === groupId)) {
+    return { error: `Shape ${groupId} already exists` };
+  }
+  if (
+    !Array.isArray(shapeIds) ||
+    new Set(shapeIds).size !== shapeIds.length ||
+    shapeIds.length < 2
+  ) {
+    return { error: "A group needs at least two different shapes" };
+  }
+
+  const members = shapeIds.map((id) => board.shapes.find((s) => s.id === id));
+  const missing = shapeIds.find((id, i) => !members[i]);
+  if (missing) {
+    return { error: `Shape ${missing} not found` };
+  }
+
+  const parentId = members[0].groupId ?? null;
+  if (members.some((s) => (s.groupId ?? null) !== parentId)) {
+    return { error: "Only shapes in the same group can be grouped together" };
+  }
+
+  const create = {
+    opType: "create",
+    payload: {
+      id: groupId,
+      type: "group",
+      groupId: parentId,
+      layer: members[0].layer || "default",
+      createdBy: userId,
+      createdAt: new Date(),
+    },
+  };
+
+  const working = { shapes: [...board.shapes] };
+  applyOpToBoard(working, create);
+
+  return {
+    op: {
+      opType: "batch",
+      payload: {
+        ops: [
+          create,
+          ...shapeIds.map((id) => ({
+            opType: "update",
+            payload: buildUpdatePayload(working, id, { groupId }),
+          })),
+        ],
+      },
+      createdBy: userId,
+    },
+  };
+};
+
+/**
+ * Build the batch op that dissolves a group
+ * Its direct members move up to the group's parent and the group shape is
+ * deleted; nested groups are kept.
+ *
+ * @param {Object} board - { shapes }
+ * @param {string} groupId
+ * @param {string|null} userId - Author of the op
+ * @returns {Object} { op } or { error }
+ */
+export const buildUngroupOp = (board, groupId, userId) => {
+  const group = board.shapes.find((s) => s.id === groupId);
+  if (!group || group.type !== "group") {
+    return { error: "Group not found" };
+  }
+
+  const parentId = group.groupId ?? null;
+  const members = board.shapes.filter((s) => s.groupId === groupId);
+
+  return {
+    op: {
+      opType: "batch",
+      payload: {
+        ops: [
+          ...members.map((member) => ({
+            opType: "update",
+            payload: buildUpdatePayload(board, member.id, {
+              groupId: parentId,
+            }),
+          })),
+          {
+            opType: "delete",
+            payload: { shapeId: groupId, deletedShape: group },
+          },
+        ],
+      },
+      createdBy: userId,
+    },
+  };
+};
@@ -0,0 +1,172 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildGroupOp,
+  buildUngroupOp,
+  getDescendantIds,
+  getLockScope,
+} from "./groups.js";
+import { applyOpToBoard } from "./applyOp.js";
+
+const ME = "user-a";
+
+const rect = (id, extra = {}) => ({
+  id,
+  type: "rect",
+  x: 0,
+  y: 0,
+  width: 10,
+  height: 10,
+  layer: "default",
+  ...extra,
+});
+const group = (id, groupId = null) => ({ id, type: "group", groupId });
+
+// outer holds inner and c; inner holds a and b; d is top-level
+const nested = () => [
+  group("outer"),
+  group("inner", "outer"),
+  rect("a", { groupId: "inner" }),
+  rect("b", { groupId: "inner" }),
+  rect("c", { groupId: "outer" }),
+  rect("d"),
+];
+
+/**
+ * Apply an op to a copy of shapes and return the result by ID
+ */
+const apply = (shapes, op) => {
+  const board = { shapes: [...shapes] };
+  applyOpToBoard(board, op);
+  return new Map(board.shapes.map((s) => [s.id, s]));
+};
+
+describe("getDescendantIds and getLockScope", () => {
+  it("finds shapes at every depth", () => {
+    assert.deepEqual(getDescendantIds(nested(), "outer").sort(), [
+      "a",
+      "b",
+      "c",
+      "inner",
+    ]);
+    assert.deepEqual(getDescendantIds(nested(), "inner").sort(), ["a", "b"]);
+    assert.deepEqual(getDescendantIds(nested(), "d"), []);
+  });
+
+  it("stops on groups that contain each other", () => {
+    const cycle = [
+      group("x", "y"),
+      group("y", "x"),
+      rect("a", { groupId: "x" }),
+    ];
+    assert.deepEqual(getDescendantIds(cycle, "x").sort(), ["a", "y"]);
+  });
+
+  it("locks a group with everything in it, and a shape alone", () => {
+    assert.deepEqual(getLockScope(nested(), "inner").sort(), [
+      "a",
+      "b",
+      "inner",
+    ]);
+    assert.deepEqual(getLockScope(nested(), "a"), ["a"]);
+  });
+});
+
+describe("buildGroupOp", () => {
+  it("creates the group and points its members to it in one batch", () => {
+    const shapes = [rect("a"), rect("b"), rect("c")];
+    const { op } = buildGroupOp(
+      { shapes },
+      { groupId: "g", shapeIds: ["a", "b"] },
+      ME,
+    );
+
+    assert.equal(op.opType, "batch");
+    assert.equal(op.createdBy, ME);
+    const after = apply(shapes, op);
+    assert.equal(after.get("g").type, "group");
+    assert.equal(after.get("g").groupId, null);
+    assert.equal(after.get("a").groupId, "g");
+    assert.equal(after.get("b").groupId, "g");
+    assert.equal(after.get("c").groupId, undefined);
+  });
+
+  it("nests the new group in its members' group", () => {
+    const { op } = buildGroupOp(
+      { shapes: nested() },
+      { groupId: "g", shapeIds: ["inner", "c"] },
+      ME,
+    );
+    const after = apply(nested(), op);
+    assert.equal(after.get("g").groupId, "outer");
+    assert.equal(after.get("inner").groupId, "g");
+    assert.deepEqual(getDescendantIds([...after.values()], "g").sort(), [
+      "a",
+      "b",
+      "c",
+      "inner",
+    ]);
+  });
+
+  it("rejects bad requests", () => {
+    const board = { shapes: nested() };
+    const errorFor = (request) => buildGroupOp(board, request, ME).error;
+
+    assert.match(errorFor({ shapeIds: ["a", "b"] }), /Group ID is required/);
+    assert.match(
+      errorFor({ groupId: "d", shapeIds: ["a", "b"] }),
+      /d already exists/,
+    );
+    assert.match(
+      errorFor({ groupId: "g", shapeIds: ["a", "a"] }),
+      /at least two different shapes/,
+    );
+    assert.match(
+      errorFor({ groupId: "g", shapeIds: ["a", "nope"] }),
+      /nope not found/,
+    );
+    assert.match(
+      errorFor({ groupId: "g", shapeIds: ["a", "d"] }),
+      /same group/,
+    );
+  });
+});
+
+describe("buildUngroupOp", () => {
+  it("moves direct members up to the group's parent and deletes it", () => {
+    const { op } = buildUngroupOp({ shapes: nested() }, "inner", ME);
+    const after = apply(nested(), op);
+
+    assert.ok(!after.has("inner"));
+    assert.equal(after.get("a").groupId, "outer");
+    assert.equal(after.get("b").groupId, "outer");
+  });
+
+  it("keeps nested groups", () => {
+    const { op } = buildUngroupOp({ shapes: nested() }, "outer", ME);
+    const after = apply(nested(), op);
+
+    assert.equal(after.get("inner").groupId, null);
+    assert.equal(after.get("c").groupId, null);
+    assert.equal(after.get("a").groupId, "inner");
+  });
+
+  it("keeps the group for undo", () => {
+    const { op } = buildUngroupOp({ shapes: nested() }, "inner", ME);
+    assert.deepEqual(op.payload.ops.at(-1).payload, {
+      shapeId: "inner",
+      deletedShape: group("inner", "outer"),
+    });
+  });
+
+  it("only dissolves groups", () => {
+    assert.match(
+      buildUngroupOp({ shapes: nested() }, "a", ME).error,
+      /not found/,
+    );
+    assert.match(
+      buildUngroupOp({ shapes: nested() }, "nope", ME).error,
+      /not found/,
+    );
+  });
+});
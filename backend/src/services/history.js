@@ -0,0 +1,302 @@
+import crypto from "crypto";
+import { bumpVersions } from "./shapeVersions.js";
+import { applyOpToBoard } from "./applyOp.js";
+
+/**
+ * Undo/redo history derived from the board's ops log
+ *
+ * Every op carries an opId. Undo ops reference the op they reverse via
+ * `undoOf`, redo ops reference the op they replay via `redoOf`, so the
+ * stacks can be rebuilt from the log at any time instead of being kept
+ * in memory.
+ */
+
+/**
+ * Generate a unique op ID
+ */
+export const generateOpId = () => crypto.randomUUID();
+
+/**
+ * Convert a Mongoose subdocument to a plain object (no-op for plain objects)
+ */
+export const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+/**
+ * Find a shape on the board by ID
+ */
+const findShape = (board, shapeId) =>
+  board.shapes.find((s) => s.id === shapeId);
+
+/**
+ * IDs of the shapes an op touches
+ */
+export const getOpShapeIds = (op) => {
+  switch (op.opType) {
+    case "create":
+      return [op.payload.id];
+    case "update":
+    case "delete":
+      return [op.payload.shapeId];
+    case "batch":
+      return op.payload.ops.flatMap(getOpShapeIds);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Build an update payload that records the shape's current values
+ * for every changed key, so the op can itself be reversed later,
+ * and the new versions of those keys
+ */
+export const buildUpdatePayload = (board, shapeId, changes) => {
+  const shape = findShape(board, shapeId);
+  if (!shape) return null;
+
+  const oldValues = {};
+  Object.keys(changes).forEach((key) => {
+    oldValues[key] = shape[key];
+  });
+
+  const versions = bumpVersions(shape.versions, Object.keys(changes));
+
+  return { shapeId, changes, oldValues, versions };
+};
+
+/**
+ * Rebuild a user's undo and redo stacks from the ops log
+ *
+ * Undo stack: the user's edits (and redos) that are currently in effect.
+ * Redo stack: the user's edits that were undone and not yet replayed.
+ * A new regular edit clears the redo stack.
+ *
+ * Ops without an opId predate the history format and are ignored.
+ * A version restore (by anyone) replaces every shape, so it clears
+ * both stacks: nothing before a restore can be undone or redone.
+ *
+ * @param {Array} ops - Board ops in log order
+ * @param {string} userId
+ * @returns {{ undoStack: Array, redoStack: Array }}
+ */
+export const getHistoryStacks = (ops, userId) => {
+  const undoStack = [];
+  let redoStack = [];
+
+  ops.forEach((op) => {
+    if (op.opType === "restore") {
+      undoStack.length = 0;
+      redoStack = [];
+      return;
+    }
+
+    if (!op.opId || !op.createdBy || op.createdBy.toString() !== userId) {
+      return;
+    }
+
+    if (op.undoOf) {
+      // Undo moves the reverted op onto the redo stack
+      const index = undoStack.findIndex((entry) => entry.opId === op.undoOf);
+      if (index !== -1) {
+        redoStack.push(undoStack.splice(index, 1)[0]);
+      }
+    } else if (op.redoOf) {
+      // Redo replays the op; the redo op itself becomes undoable
+      const index = redoStack.findIndex((entry) => entry.opId === op.redoOf);
+      if (index !== -1) {
+        redoStack.splice(index, 1);
+      }
+      undoStack.push(op);
+    } else {
+      undoStack.push(op);
+      redoStack = [];
+    }
+  });
+
+  return { undoStack, redoStack };
+};
+
+/**
+ * Seq of the op that last applied or undid a history entry: the entry
+ * itself (undo stack) or the op that undid it (redo stack)
+ * Changes by others after it conflict with the entry
+ *
+ * @param {Array} ops - The user's ops in log order
+ * @param {Object} entryOp - Entry from the user's undo or redo stack
+ * @returns {number}
+ */
+export const getEntrySeq = (ops, entryOp) =>
+  ops.reduce(
+    (since, op) =>
+      op.opId === entryOp.opId || op.undoOf === entryOp.opId ? op.seq : since,
+    entryOp.seq,
+  );
+
+/**
+ * Query for a later op by another user that touched the same shapes as
+ * a history entry, since the entry was last applied or undone
+ *
+ * Undoing or redoing across such an op would overwrite a collaborator's
+ * work, so the entry must be skipped instead. The ops log runs the query
+ * (see findLaterOpByOthers in services/opLog.js).
+ *
+ * @param {Array} ops - The user's ops in log order
+ * @param {Object} entryOp - Entry from the user's undo or redo stack
+ * @param {string} userId
+ * @param {number} untilSeq - Inclusive, normally the board's opSeq
+ * @returns {Object} { shapeIds, userId, sinceSeq, untilSeq }
+ */
+export const getConflictQuery = (ops, entryOp, userId, untilSeq) => ({
+  shapeIds: getOpShapeIds(entryOp),
+  userId,
+  sinceSeq: getEntrySeq(ops, entryOp),
+  untilSeq,
+});
+
+/**
+ * Pick the op a user's undo should revert
+ *
+ * Walks the undo stack from the top, skipping entries whose shapes were
+ * changed by someone else afterwards. Stops at the first entry without
+ * a conflict, so usually only the top one is checked.
+ *
+ * @param {Array} ops - Board ops (or just the user's) in log order
+ * @param {string} userId
+ * @param {Function} hasConflict - async (entryOp) => truthy if someone
+ *   else changed its shapes since (see getConflictQuery)
+ * @returns {Promise<{ targetOp: Object|null, skipped: number }>}
+ */
+export const findUndoTarget = async (ops, userId, hasConflict) => {
+  const { undoStack } = getHistoryStacks(ops, userId);
+
+  for (let i = undoStack.length - 1; i >= 0; i--) {
+    if (!(await hasConflict(undoStack[i]))) {
+      return { targetOp: undoStack[i], skipped: undoStack.length - 1 - i };
+    }
+  }
+
+  return { targetOp: null, skipped: undoStack.length };
+};
+
+/**
+ * Copy of the board's shapes that ops can be applied to without
+ * touching the board itself
+ */
+const workingCopy = (board) => ({
+  shapes: board.shapes.map((shape) => ({ ...toPlain(shape) })),
+});
+
+/**
+ * Create compensating op for undo
+ * Returns the inverse operation that will undo the given op,
+ * or null if the board no longer allows it
+ */
+export const createUndoOp = (op, board) => {
+  switch (op.opType) {
+    case "create": {
+      // Undo create → delete the created shape
+      const shape = findShape(board, op.payload.id);
+      if (!shape) return null;
+
+      return {
+        opType: "delete",
+        payload: {
+          shapeId: op.payload.id,
+          deletedShape: toPlain(shape), // Store for redo
+        },
+      };
+    }
+
+    case "delete":
+      // Undo delete → recreate the shape
+      if (findShape(board, op.payload.shapeId)) return null;
+
+      return {
+        opType: "create",
+        payload: op.payload.deletedShape,
+      };
+
+    case "update": {
+      // Undo update → update back with previous values
+      if (!op.payload.oldValues) return null;
+
+      const payload = buildUpdatePayload(
+        board,
+        op.payload.shapeId,
+        op.payload.oldValues,
+      );
+      return payload ? { opType: "update", payload } : null;
+    }
+
+    case "batch": {
+      // Undo batch → undo every entry, last first, as one batch
+      const working = workingCopy(board);
+      const inverseOps = [];
+      for (const subOp of [...op.payload.ops].reverse()) {
+        const inverse = createUndoOp(subOp, working);
+        if (!inverse) return null;
+        applyOpToBoard(working, inverse);
+        inverseOps.push(inverse);
+      }
+
+      return { opType: "batch", payload: { ops: inverseOps } };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Create op for redo
+ * Returns an op that re-applies the given (previously undone) op,
+ * or null if the board no longer allows it
+ */
+export const createRedoOp = (op, board) => {
+  switch (op.opType) {
+    case "create":
+      if (findShape(board, op.payload.id)) return null;
+
+      return {
+        opType: "create",
+        payload: op.payload,
+      };
+
+    case "delete": {
+      const shape = findShape(board, op.payload.shapeId);
+      if (!shape) return null;
+
+      return {
+        opType: "delete",
+        payload: {
+          shapeId: op.payload.shapeId,
+          deletedShape: toPlain(shape),
+        },
+      };
+    }
+
+    case "update": {
+      const payload = buildUpdatePayload(
+        board,
+        op.payload.shapeId,
+        op.payload.changes,
+      );
+      return payload ? { opType: "update", payload } : null;
+    }
+
+    case "batch": {
+      const working = workingCopy(board);
+      const redoOps = [];
+      for (const subOp of op.payload.ops) {
+        const redo = createRedoOp(subOp, working);
+        if (!redo) return null;
+        applyOpToBoard(working, redo);
+        redoOps.push(redo);
+      }
+
+      return { opType: "batch", payload: { ops: redoOps } };
+    }
+
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,280 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildUpdatePayload,
+  createRedoOp,
+  createUndoOp,
+  findUndoTarget,
+  getConflictQuery,
+  getEntrySeq,
+  getHistoryStacks,
+} from "./history.js";
+import { applyOpToBoard } from "./applyOp.js";
+
+const ME = "user-a";
+const OTHER = "user-b";
+
+/**
+ * Build a log from [createdBy, opType, payload, extra?] rows, numbering
+ * seqs and opIds from 1
+ */
+const log = (...rows) =>
+  rows.map(([createdBy, opType, payload, extra], index) => ({
+    seq: index + 1,
+    opId: `op-${index + 1}`,
+    opType,
+    payload,
+    createdBy,
+    ...extra,
+  }));
+
+const create = (id) => ({ id });
+const update = (shapeId) => ({ shapeId });
+
+describe("getHistoryStacks", () => {
+  it("stacks only the user's own ops", () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [OTHER, "create", create("b")],
+      [ME, "update", update("a")],
+    );
+    const { undoStack, redoStack } = getHistoryStacks(ops, ME);
+    assert.deepEqual(
+      undoStack.map((op) => op.seq),
+      [1, 3],
+    );
+    assert.deepEqual(redoStack, []);
+  });
+
+  it("moves undone ops to the redo stack and back on redo", () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [ME, "update", update("a")],
+      [ME, "update", update("a"), { undoOf: "op-2" }],
+      [ME, "update", update("a"), { redoOf: "op-2" }],
+    );
+    assert.deepEqual(
+      getHistoryStacks(ops.slice(0, 3), ME).redoStack.map((op) => op.opId),
+      ["op-2"],
+    );
+
+    // The redo op itself is what undo reverts next
+    const { undoStack, redoStack } = getHistoryStacks(ops, ME);
+    assert.deepEqual(redoStack, []);
+    assert.deepEqual(
+      undoStack.map((op) => op.seq),
+      [1, 4],
+    );
+  });
+
+  it("clears the redo stack on a new edit", () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [ME, "delete", update("a"), { undoOf: "op-1" }],
+      [ME, "create", create("b")],
+    );
+    assert.deepEqual(getHistoryStacks(ops, ME).redoStack, []);
+  });
+
+  it("forgets everything before a version restore, by anyone", () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [OTHER, "restore", { shapes: [] }],
+      [ME, "create", create("b")],
+    );
+    assert.deepEqual(
+      getHistoryStacks(ops, ME).undoStack.map((op) => op.seq),
+      [3],
+    );
+  });
+
+  it("ignores ops from before the history format", () => {
+    const ops = log([ME, "create", create("a")]);
+    delete ops[0].opId;
+    assert.deepEqual(getHistoryStacks(ops, ME).undoStack, []);
+  });
+});
+
+describe("getEntrySeq", () => {
+  it("is the entry's own seq while it is applied", () => {
+    const ops = log([ME, "create", create("a")], [ME, "create", create("b")]);
+    assert.equal(getEntrySeq(ops, ops[0]), 1);
+  });
+
+  it("is the seq of the op that undid it once undone", () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [ME, "create", create("b")],
+      [ME, "delete", update("a"), { undoOf: "op-1" }],
+    );
+    assert.equal(getEntrySeq(ops, ops[0]), 3);
+  });
+});
+
+describe("getConflictQuery", () => {
+  it("looks for others' ops on the entry's shapes since it was applied", () => {
+    const ops = log([ME, "create", create("a")], [ME, "update", update("b")]);
+    assert.deepEqual(getConflictQuery(ops, ops[0], ME, 7), {
+      shapeIds: ["a"],
+      userId: ME,
+      sinceSeq: 1,
+      untilSeq: 7,
+    });
+  });
+
+  it("only counts changes since a redo entry was undone", () => {
+    const ops = log(
+      [ME, "update", update("a")],
+      [ME, "update", update("a"), { undoOf: "op-1" }],
+    );
+    assert.equal(getConflictQuery(ops, ops[0], ME, 2).sinceSeq, 2);
+  });
+
+  it("covers every shape of a batch", () => {
+    const ops = log([
+      ME,
+      "batch",
+      {
+        ops: [
+          { opType: "create", payload: create("a") },
+          { opType: "update", payload: update("b") },
+        ],
+      },
+    ]);
+    assert.deepEqual(getConflictQuery(ops, ops[0], ME, 1).shapeIds, ["a", "b"]);
+  });
+});
+
+describe("findUndoTarget", () => {
+  const noConflict = async () => null;
+
+  it("picks the user's most recent op", async () => {
+    const ops = log([ME, "create", create("a")], [ME, "create", create("b")]);
+    const { targetOp, skipped } = await findUndoTarget(ops, ME, noConflict);
+    assert.equal(targetOp.seq, 2);
+    assert.equal(skipped, 0);
+  });
+
+  it("skips ops whose shapes others have since changed", async () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [ME, "create", create("b")],
+      [OTHER, "update", update("b")],
+    );
+    const { targetOp, skipped } = await findUndoTarget(ops, ME, async (op) =>
+      op.seq === 2 ? ops[2] : null,
+    );
+    assert.equal(targetOp.seq, 1);
+    assert.equal(skipped, 1);
+  });
+
+  it("reports when every op was skipped", async () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [OTHER, "delete", update("a")],
+    );
+    assert.deepEqual(await findUndoTarget(ops, ME, async () => ops[1]), {
+      targetOp: null,
+      skipped: 1,
+    });
+    assert.deepEqual(await findUndoTarget([], ME, noConflict), {
+      targetOp: null,
+      skipped: 0,
+    });
+  });
+
+  it("skips undone ops and others' ops", async () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [OTHER, "create", create("b")],
+      [ME, "create", create("c")],
+      [ME, "delete", update("c"), { undoOf: "op-3" }],
+    );
+    const { targetOp } = await findUndoTarget(ops, ME, noConflict);
+    assert.equal(targetOp.seq, 1);
+  });
+
+  it("asks hasConflict from the top of the stack down, stopping at the first clear entry", async () => {
+    const ops = log(
+      [ME, "create", create("a")],
+      [ME, "create", create("b")],
+      [ME, "create", create("c")],
+    );
+    const asked = [];
+    const { targetOp, skipped } = await findUndoTarget(
+      ops,
+      ME,
+      async (entryOp) => {
+        asked.push(entryOp.seq);
+        return entryOp.seq === 3 ? { seq: 4 } : null;
+      },
+    );
+    assert.deepEqual(asked, [3, 2]);
+    assert.equal(targetOp.seq, 2);
+    assert.equal(skipped, 1);
+  });
+});
+
+describe("createUndoOp and createRedoOp for batches", () => {
+  const rect = (id, x = 0) => ({ id, type: "rect", x });
+
+  /**
+   * Board after a batch that created b and moved a, and that batch
+   */
+  const afterBatch = () => {
+    const board = { shapes: [rect("a")] };
+    const batch = {
+      opType: "batch",
+      payload: {
+        ops: [
+          { opType: "create", payload: rect("b") },
+          {
+            opType: "update",
+            payload: buildUpdatePayload(board, "a", { x: 5 }),
+          },
+        ],
+      },
+    };
+    applyOpToBoard(board, batch);
+    return { board, batch };
+  };
+
+  const positions = (board) => board.shapes.map(({ id, x }) => ({ id, x }));
+
+  it("reverses every entry, last first, in one batch", () => {
+    const { board, batch } = afterBatch();
+    const undo = createUndoOp(batch, board);
+
+    assert.equal(undo.opType, "batch");
+    assert.deepEqual(
+      undo.payload.ops.map((op) => op.opType),
+      ["update", "delete"],
+    );
+    applyOpToBoard(board, undo);
+    assert.deepEqual(positions(board), [{ id: "a", x: 0 }]);
+  });
+
+  it("replays every entry after an undo", () => {
+    const { board, batch } = afterBatch();
+    applyOpToBoard(board, createUndoOp(batch, board));
+    applyOpToBoard(board, createRedoOp(batch, board));
+    assert.deepEqual(positions(board), [
+      { id: "a", x: 5 },
+      { id: "b", x: 0 },
+    ]);
+  });
+
+  it("gives up if any entry can't be reversed", () => {
+    const { board, batch } = afterBatch();
+    // Someone else deleted the shape the batch created
+    board.shapes = board.shapes.filter((s) => s.id !== "b");
+    assert.equal(createUndoOp(batch, board), null);
+  });
+
+  it("never changes the board while building the op", () => {
+    const { board, batch } = afterBatch();
+    const before = JSON.stringify(board);
+    createUndoOp(batch, board);
+    assert.equal(JSON.stringify(board), before);
+  });
+});
@@ -0,0 +1,265 @@
+import Board from "../models/Board.js";
+import Op from "../models/Op.js";
+import { getOpShapeIds } from "./history.js";
+
+/**
+ * Ops log persistence
+ *
+ * Ops live in their own collection instead of an array on the Board
+ * document, so recording an op never rewrites the board and the board
+ * document does not grow with its history.
+ *
+ * The board write that applies an op also adds it to board.pendingOps
+ * (see services/boardStore.js), and the op leaves pendingOps only once it
+ * is in the log. Readers that need every op up to the board's opSeq first
+ * record whatever is still pending, so an op is never missing from the
+ * log for long, even if the server stopped before recording it.
+ */
+
+/**
+ * Default and maximum page sizes for op paging
+ */
+export const OPS_PAGE_SIZE = 50;
+export const MAX_OPS_PAGE_SIZE = 500;
+
+/**
+ * How many of a user's most recent ops undo and redo look back through
+ */
+export const HISTORY_DEPTH = 500;
+
+/**
+ * Whether an insert failed only because the ops were already in the log
+ */
+const isAlreadyRecorded = (error) =>
+  error.code === 11000 ||
+  (error.writeErrors?.length > 0 &&
+    error.writeErrors.every((writeError) => writeError.code === 11000));
+
+/**
+ * Record an op in a board's log and remove it from board.pendingOps
+ * The seq is allocated by the board write that applied the op
+ * (see services/boardStore.js). Recording an op that is already in the
+ * log, e.g. by recordPendingOps, does nothing.
+ *
+ * @param {string} boardId
+ * @param {number} seq
+ * @param {Object} op - { opId, opType, payload, undoOf?, redoOf?, createdBy, createdAt }
+ * @returns {Promise<void>}
+ */
+export const recordOp = async (boardId, seq, op) => {
+  try {
+    await Op.create({
+      ...op,
+      boardId,
+      seq,
+      shapeIds: getOpShapeIds(op),
+    });
+  } catch (error) {
+    if (!isAlreadyRecorded(error)) throw error;
+  }
+  await Board.updateOne({ _id: boardId }, { $pull: { pendingOps: { seq } } });
+};
+
+/**
+ * Record every op still in board.pendingOps in the board's log
+ *
+ * Afterwards the log has every op up to the board's opSeq as it was
+ * when this was called: an op leaves pendingOps only after it is in the
+ * log.
+ *
+ * @param {string} boardId
+ * @returns {Promise<void>}
+ */
+export const recordPendingOps = async (boardId) => {
+  const board = await Board.findById(boardId, { pendingOps: 1 }).lean();
+  const pending = board?.pendingOps || [];
+  if (pending.length === 0) return;
+
+  try {
+    await Op.insertMany(
+      pending.map((op) => ({ ...op, boardId, shapeIds: getOpShapeIds(op) })),
+      { ordered: false },
+    );
+  } catch (error) {
+    if (!isAlreadyRecorded(error)) throw error;
+  }
+  await Board.updateOne(
+    { _id: boardId },
+    { $pull: { pendingOps: { seq: { $in: pending.map((op) => op.seq) } } } },
+  );
+};
+
+/**
+ * Get the ops after sinceSeq up to and including untilSeq, oldest first
+ *
+ * Pending ops are recorded first, so the log has every op up to untilSeq.
+ * Returns null if any op in the range is still missing (the log predates
+ * pendingOps), or if there are more than `limit`, so the caller can fall
+ * back to sending the full board state instead.
+ *
+ * @param {string} boardId
+ * @param {number} sinceSeq - Exclusive
+ * @param {number} untilSeq - Inclusive, normally the board's opSeq
+ * @param {number} limit
+ * @returns {Promise<Array|null>}
+ */
+export const getOpsSince = async (boardId, sinceSeq, untilSeq, limit) => {
+  if (untilSeq - sinceSeq > limit) return null;
+
+  await recordPendingOps(boardId);
+  const ops = await Op.find({
+    boardId,
+    seq: { $gt: sinceSeq, $lte: untilSeq },
+  })
+    .sort({ seq: 1 })
+    .lean();
+
+  // Seqs are unique per board, so the right count means no gaps
+  return ops.length === untilSeq - sinceSeq ? ops : null;
+};
+
+/**
+ * Get a board's ops after sinceSeq up to and including untilSeq, oldest
+ * first
+ */
+export const getOpsBetween = async (boardId, sinceSeq, untilSeq) => {
+  await recordPendingOps(boardId);
+  return Op.find({ boardId, seq: { $gt: sinceSeq, $lte: untilSeq } })
+    .sort({ seq: 1 })
+    .lean();
+};
+
+/**
+ * Get the board's last version restore at or before a seq, if any
+ */
+export const getLatestRestoreOp = (boardId, seq) =>
+  Op.findOne({ boardId, opType: "restore", seq: { $lte: seq } })
+    .sort({ seq: -1 })
+    .lean();
+
+/**
+ * Get the ops a user's undo and redo stacks are built from (see
+ * getHistoryStacks): their own most recent ops since the board's last
+ * version restore, which clears everyone's history, oldest first and at
+ * most HISTORY_DEPTH of them
+ *
+ * Like getOpsSince, records pending ops first and returns null if the
+ * log is still missing any op from the oldest of them up to untilSeq,
+ * since the missing one could be the user's latest edit.
+ *
+ * @param {string} boardId
+ * @param {string} userId
+ * @param {number} untilSeq - Inclusive, normally the board's opSeq
+ * @returns {Promise<Array|null>}
+ */
+export const getUserHistoryOps = async (boardId, userId, untilSeq) => {
+  await recordPendingOps(boardId);
+  const restore = await getLatestRestoreOp(boardId, untilSeq);
+  const restoreSeq = restore ? restore.seq : 0;
+
+  const ops = await Op.find({
+    boardId,
+    createdBy: userId,
+    seq: { $gt: restoreSeq, $lte: untilSeq },
+  })
+    .sort({ seq: -1 })
+    .limit(HISTORY_DEPTH)
+    .lean();
+  if (ops.length === 0) return ops;
+  ops.reverse();
+
+  const fromSeq = ops[0].seq - 1;
+  const count = await Op.countDocuments({
+    boardId,
+    seq: { $gt: fromSeq, $lte: untilSeq },
+  });
+  return count === untilSeq - fromSeq ? ops : null;
+};
+
+/**
+ * Find the first op after sinceSeq, up to and including untilSeq, made
+ * by anyone but userId that touched any of shapeIds
+ *
+ * @param {string} boardId
+ * @param {Object} query - { shapeIds, userId, sinceSeq, untilSeq }
+ * @returns {Promise<Object|null>}
+ */
+export const findLaterOpByOthers = (
+  boardId,
+  { shapeIds, userId, sinceSeq, untilSeq },
+) =>
+  Op.findOne({
+    boardId,
+    shapeIds: { $in: shapeIds },
+    createdBy: { $ne: userId },
+    seq: { $gt: sinceSeq, $lte: untilSeq },
+  })
+    .sort({ seq: 1 })
+    .lean();
+
+/**
+ * Paging shared by getOpsPage and getOpTimeline
+ * refine adds to the query, e.g. a field selection
+ */
+const findOpsPage = async (
+  boardId,
+  { limit, before } = {},
+  refine = (query) => query,
+) => {
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || OPS_PAGE_SIZE, 1),
+    MAX_OPS_PAGE_SIZE,
+  );
+
+  await recordPendingOps(boardId);
+  const query = { boardId };
+  const beforeSeq = parseInt(before, 10);
+  if (beforeSeq > 0) {
+    query.seq = { $lt: beforeSeq };
+  }
+
+  // Fetch one extra op to know whether an older page exists
+  const ops = await refine(
+    Op.find(query)
+      .sort({ seq: -1 })
+      .limit(pageSize + 1),
+  ).lean();
+
+  const hasMore = ops.length > pageSize;
+  const page = ops.slice(0, pageSize).reverse();
+
+  return {
+    ops: page,
+    hasMore,
+    nextBefore: hasMore ? page[0].seq : null,
+  };
+};
+
+/**
+ * Get one page of a board's ops, newest page first
+ *
+ * @param {string} boardId
+ * @param {Object} options - { limit, before } where before is an exclusive seq
+ * @returns {Promise<Object>} { ops (ascending seq), hasMore, nextBefore }
+ */
+export const getOpsPage = (boardId, options) => findOpsPage(boardId, options);
+
+/**
+ * Get one page of a lightweight timeline of a board's ops (no payloads)
+ * with each op's author name, for history playback
+ *
+ * @param {string} boardId
+ * @param {Object} options - { limit, before }, as for getOpsPage
+ * @returns {Promise<Object>} { ops (ascending seq), hasMore, nextBefore }
+ */
+export const getOpTimeline = (boardId, options) =>
+  findOpsPage(boardId, options, (query) =>
+    query
+      .select("seq opType undoOf redoOf createdBy createdAt")
+      .populate("createdBy", "name"),
+  );
+
+/**
+ * Delete a board's ops log
+ */
+export const deleteBoardOps = (boardId) => Op.deleteMany({ boardId });
@@ -0,0 +1,110 @@
+/**
+ * Freehand path simplification
+ *
+ * Mouse and pen input produce a point for every event, most of them on
+ * (nearly) straight runs. Paths are simplified with Ramer–Douglas–Peucker
+ * before they are stored: a point is kept only if leaving it out would
+ * move the line by more than the tolerance. On paths drawn with a pen,
+ * a point is also kept if it changes the pressure (and so the stroke's
+ * width) by more than that. Kept points are returned unchanged.
+ */
+
+/**
+ * Tolerance used when PATH_SIMPLIFY_TOLERANCE isn't set, in board units
+ */
+export const DEFAULT_TOLERANCE = 1;
+
+/**
+ * Tolerance for simplifying paths; 0 turns simplification off
+ * Read when used rather than at import, after dotenv has loaded .env
+ */
+export const getPathTolerance = () => {
+  const tolerance = Number(process.env.PATH_SIMPLIFY_TOLERANCE);
+  return Number.isFinite(tolerance) && tolerance >= 0
+    ? tolerance
+    : DEFAULT_TOLERANCE;
+};
+
+/**
+ * How far a path's edge moves per unit of pressure, as a multiple of its
+ * strokeWidth: drawn widths span 1.6 × strokeWidth over the pressure range
+ * (see frontend/src/utils/paths.js) and each edge moves by half of that
+ */
+export const PRESSURE_EDGE_SCALE = 0.8;
+
+/**
+ * How far leaving out point p, between a and b, would move the path: the
+ * distance from p to the segment a-b or, for pen paths, how far the edge
+ * would move with the pressure taken along the segment instead of p's
+ */
+const deviation = (p, a, b, pressureScale) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared),
+        );
+  const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+
+  if (
+    pressureScale === 0 ||
+    p.pressure === undefined ||
+    a.pressure === undefined ||
+    b.pressure === undefined
+  ) {
+    return distance;
+  }
+  const pressure = a.pressure + t * (b.pressure - a.pressure);
+  return Math.max(distance, Math.abs(p.pressure - pressure) * pressureScale);
+};
+
+/**
+ * Simplify a path with Ramer–Douglas–Peucker
+ *
+ * @param {Array} points - [{ x, y, pressure? }]
+ * @param {number} tolerance - Largest distance a dropped point may be from
+ *   the simplified line
+ * @param {number} [pressureScale] - How far the edge moves per unit of
+ *   pressure, so changes in pressure are kept too; 0 ignores pressure
+ * @returns {Array} The points that are kept, first and last included
+ */
+export const simplifyPath = (points, tolerance, pressureScale = 0) => {
+  if (points.length <= 2 || tolerance <= 0) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Ranges still to check, as [first, last] indexes; a stack rather than
+  // recursion, so long strokes can't overflow the call stack
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = deviation(
+        points[i],
+        points[first],
+        points[last],
+        pressureScale,
+      );
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
@@ -0,0 +1,122 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_TOLERANCE,
+  getPathTolerance,
+  simplifyPath,
+} from "./pathSimplify.js";
+
+const line = (count, y = () => 0) =>
+  Array.from({ length: count }, (_, i) => ({ x: i, y: y(i) }));
+
+describe("simplifyPath", () => {
+  it("reduces a straight run to its ends", () => {
+    const points = line(100);
+    assert.deepEqual(simplifyPath(points, 1), [points[0], points[99]]);
+  });
+
+  it("keeps corners further from the line than the tolerance", () => {
+    const points = [
+      ...line(11),
+      ...Array.from({ length: 10 }, (_, i) => ({ x: 10, y: i + 1 })),
+    ];
+    assert.deepEqual(
+      simplifyPath(points, 1).map(({ x, y }) => [x, y]),
+      [
+        [0, 0],
+        [10, 0],
+        [10, 10],
+      ],
+    );
+  });
+
+  it("drops jitter within the tolerance", () => {
+    const points = line(50, (i) => (i % 2 ? 0.4 : -0.4));
+    assert.equal(simplifyPath(points, 1).length, 2);
+    assert.ok(simplifyPath(points, 0.1).length > 2);
+  });
+
+  it("returns kept points unchanged, first and last included", () => {
+    const points = line(20, (i) => Math.sin(i) * 5);
+    const simplified = simplifyPath(points, 0.5);
+    assert.equal(simplified[0], points[0]);
+    assert.equal(simplified.at(-1), points.at(-1));
+    simplified.forEach((point) => assert.ok(points.includes(point)));
+  });
+
+  it("leaves short paths and tolerance 0 alone", () => {
+    const two = line(2);
+    assert.equal(simplifyPath(two, 1), two);
+    const points = line(10);
+    assert.equal(simplifyPath(points, 0), points);
+  });
+
+  it("keeps every point no further than the tolerance from the result", () => {
+    const points = line(200, (i) => Math.sin(i / 10) * 20);
+    const simplified = simplifyPath(points, 1);
+    assert.ok(simplified.length < points.length / 2);
+
+    // Each dropped point is near the segment between the kept points
+    // either side of it
+    points.forEach((p) => {
+      const j = simplified.findIndex((q) => q.x >= p.x);
+      if (simplified[j].x === p.x) return;
+      const a = simplified[j - 1];
+      const b = simplified[j];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy);
+      const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+      assert.ok(distance <= 1 + 1e-9, `${p.x} is ${distance} away`);
+    });
+  });
+
+  it("keeps pressure changes on pen paths when pressure is scaled", () => {
+    const points = line(21).map((p, i) => ({
+      ...p,
+      pressure: i === 10 ? 0.9 : 0.1,
+    }));
+    assert.equal(simplifyPath(points, 1).length, 2);
+    // Edge moves by 0.8 × 5 × 0.8 = 3.2, past the tolerance
+    assert.deepEqual(
+      simplifyPath(points, 1, 0.8 * 5).map((p) => p.x),
+      [0, 9, 10, 11, 20],
+    );
+  });
+
+  it("ignores pressure on points without it", () => {
+    const points = line(10).map((p, i) =>
+      i === 5 ? p : { ...p, pressure: 0.5 },
+    );
+    assert.equal(simplifyPath(points, 1, 4).length, 2);
+  });
+
+  it("keeps every point of a zigzag wider than the tolerance", () => {
+    const points = line(2000, (i) => (i % 2) * 5);
+    assert.equal(simplifyPath(points, 1).length, points.length);
+  });
+});
+
+describe("getPathTolerance", () => {
+  const saved = process.env.PATH_SIMPLIFY_TOLERANCE;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.PATH_SIMPLIFY_TOLERANCE;
+    else process.env.PATH_SIMPLIFY_TOLERANCE = saved;
+  });
+
+  it("reads PATH_SIMPLIFY_TOLERANCE", () => {
+    process.env.PATH_SIMPLIFY_TOLERANCE = "2.5";
+    assert.equal(getPathTolerance(), 2.5);
+    process.env.PATH_SIMPLIFY_TOLERANCE = "0";
+    assert.equal(getPathTolerance(), 0);
+  });
+
+  it("falls back to the default when unset or invalid", () => {
+    delete process.env.PATH_SIMPLIFY_TOLERANCE;
+    assert.equal(getPathTolerance(), DEFAULT_TOLERANCE);
+    process.env.PATH_SIMPLIFY_TOLERANCE = "-1";
+    assert.equal(getPathTolerance(), DEFAULT_TOLERANCE);
+    process.env.PATH_SIMPLIFY_TOLERANCE = "lots";
+    assert.equal(getPathTolerance(), DEFAULT_TOLERANCE);
+  });
+});
@@ -0,0 +1,420 @@
+import { isAssetId } from "./assetStore.js";
+
+/**
+ * Validation of client-supplied shape data
+ *
+ * Every shape and every property change coming from a client is checked
+ * here before it reaches the board, so malformed input is rejected with a
+ * specific error instead of failing (or silently succeeding) at write time.
+ *
+ * Validators return null when the input is valid, otherwise an error:
+ * { code, message, details } where code is one of VALIDATION_ERRORS and
+ * details names the offending field. Socket handlers emit it as-is on the
+ * "error" event.
+ */
+
+/**
+ * Error codes
+ */
+export const VALIDATION_ERRORS = {
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  INVALID_ID: "INVALID_ID",
+  INVALID_TYPE: "INVALID_TYPE",
+  MISSING_FIELD: "MISSING_FIELD",
+  UNKNOWN_FIELD: "UNKNOWN_FIELD",
+  INVALID_NUMBER: "INVALID_NUMBER",
+  OUT_OF_RANGE: "OUT_OF_RANGE",
+  INVALID_POINTS: "INVALID_POINTS",
+  TOO_MANY_POINTS: "TOO_MANY_POINTS",
+  INVALID_TEXT: "INVALID_TEXT",
+  TEXT_TOO_LONG: "TEXT_TOO_LONG",
+  INVALID_COLOR: "INVALID_COLOR",
+  INVALID_LAYER: "INVALID_LAYER",
+  INVALID_BINDING: "INVALID_BINDING",
+  INVALID_ARROWHEAD: "INVALID_ARROWHEAD",
+  INVALID_ASSET: "INVALID_ASSET",
+  INVALID_STYLE: "INVALID_STYLE",
+};
+
+/**
+ * Size limits for shape data
+ */
+export const SHAPE_LIMITS = {
+  maxIdLength: 100,
+  maxCoordinate: 1000000,
+  maxSize: 1000000,
+  maxStrokeWidth: 100,
+  maxPoints: 10000,
+  maxTextLength: 5000,
+  maxLayerLength: 50,
+};
+
+/**
+ * Supported shape types
+ */
+export const SHAPE_TYPES = [
+  "path",
+  "rect",
+  "circle",
+  "text",
+  "sticky",
+  "image",
+  "line",
+  "arrow",
+];
+
+/**
+ * Shape types drawn between two endpoints that can attach to shapes
+ */
+export const CONNECTOR_TYPES = ["line", "arrow"];
+
+/**
+ * Styles for the ends of lines and arrows
+ */
+export const ARROWHEAD_STYLES = ["none", "arrow", "triangle", "dot"];
+
+/**
+ * Stroke dash patterns, line caps and line joins
+ */
+export const STROKE_DASHES = ["solid", "dashed", "dotted"];
+export const LINE_CAPS = ["butt", "round", "square"];
+export const LINE_JOINS = ["miter", "round", "bevel"];
+
+/**
+ * Hex colors: #rgb, #rrggbb or #rrggbbaa
+ */
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const fail = (code, message, details) => ({ code, message, details });
+
+/**
+ * Check a finite number within [min, max]
+ */
+const checkNumber = (field, value, min, max) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_NUMBER,
+      `${field} must be a finite number`,
+      { field },
+    );
+  }
+  if (value < min || value > max) {
+    return fail(
+      VALIDATION_ERRORS.OUT_OF_RANGE,
+      `${field} must be between ${min} and ${max}`,
+      { field, min, max },
+    );
+  }
+  return null;
+};
+
+const checkCoordinate = (field, value) =>
+  checkNumber(
+    field,
+    value,
+    -SHAPE_LIMITS.maxCoordinate,
+    SHAPE_LIMITS.maxCoordinate,
+  );
+
+const checkPoints = (field, points) => {
+  if (!Array.isArray(points) || points.length === 0) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_POINTS,
+      `${field} must be a non-empty array`,
+      { field },
+    );
+  }
+  if (points.length > SHAPE_LIMITS.maxPoints) {
+    return fail(
+      VALIDATION_ERRORS.TOO_MANY_POINTS,
+      `${field} can have at most ${SHAPE_LIMITS.maxPoints} points`,
+      { field, max: SHAPE_LIMITS.maxPoints },
+    );
+  }
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (!point || typeof point !== "object") {
+      return fail(
+        VALIDATION_ERRORS.INVALID_POINTS,
+        `${field}[${i}] must be an {x, y} point`,
+        { field, index: i },
+      );
+    }
+    const error =
+      checkCoordinate(`${field}[${i}].x`, point.x) ||
+      checkCoordinate(`${field}[${i}].y`, point.y) ||
+      (point.pressure !== undefined &&
+        checkNumber(`${field}[${i}].pressure`, point.pressure, 0, 1));
+    if (error) return error;
+  }
+  return null;
+};
+
+const checkText = (field, text) => {
+  if (typeof text !== "string") {
+    return fail(VALIDATION_ERRORS.INVALID_TEXT, `${field} must be a string`, {
+      field,
+    });
+  }
+  if (text.length > SHAPE_LIMITS.maxTextLength) {
+    return fail(
+      VALIDATION_ERRORS.TEXT_TOO_LONG,
+      `${field} can be at most ${SHAPE_LIMITS.maxTextLength} characters`,
+      { field, max: SHAPE_LIMITS.maxTextLength },
+    );
+  }
+  return null;
+};
+
+const checkColor = (field, color) =>
+  typeof color === "string" && COLOR_PATTERN.test(color)
+    ? null
+    : fail(
+        VALIDATION_ERRORS.INVALID_COLOR,
+        `${field} must be a hex color like #1a2b3c`,
+        { field },
+      );
+
+// A fill can be removed by setting it to null
+const checkFillColor = (field, color) =>
+  color === null ? null : checkColor(field, color);
+
+const checkStyle = (allowed) => (field, value) =>
+  allowed.includes(value)
+    ? null
+    : fail(
+        VALIDATION_ERRORS.INVALID_STYLE,
+        `${field} must be one of: ${allowed.join(", ")}`,
+        { field, allowed },
+      );
+
+const checkLayer = (field, layer) =>
+  typeof layer === "string" &&
+  layer.length > 0 &&
+  layer.length <= SHAPE_LIMITS.maxLayerLength
+    ? null
+    : fail(
+        VALIDATION_ERRORS.INVALID_LAYER,
+        `${field} must be a name of 1 to ${SHAPE_LIMITS.maxLayerLength} characters`,
+        { field },
+      );
+
+const checkBinding = (field, shapeId) =>
+  shapeId === null ||
+  (typeof shapeId === "string" &&
+    shapeId.length > 0 &&
+    shapeId.length <= SHAPE_LIMITS.maxIdLength)
+    ? null
+    : fail(
+        VALIDATION_ERRORS.INVALID_BINDING,
+        `${field} must be a shape ID or null`,
+        { field },
+      );
+
+const checkAssetId = (field, assetId) =>
+  isAssetId(assetId)
+    ? null
+    : fail(
+        VALIDATION_ERRORS.INVALID_ASSET,
+        `${field} must be the ID of an uploaded asset`,
+        { field },
+      );
+
+const checkArrowhead = (field, style) =>
+  ARROWHEAD_STYLES.includes(style)
+    ? null
+    : fail(
+        VALIDATION_ERRORS.INVALID_ARROWHEAD,
+        `${field} must be one of: ${ARROWHEAD_STYLES.join(", ")}`,
+        { field, allowed: ARROWHEAD_STYLES },
+      );
+
+/**
+ * Validator for each property clients may set
+ */
+const FIELD_VALIDATORS = {
+  x: checkCoordinate,
+  y: checkCoordinate,
+  width: (field, value) => checkNumber(field, value, 0, SHAPE_LIMITS.maxSize),
+  height: (field, value) => checkNumber(field, value, 0, SHAPE_LIMITS.maxSize),
+  rotation: (field, value) => checkNumber(field, value, -360, 360),
+  color: checkColor,
+  strokeWidth: (field, value) =>
+    checkNumber(field, value, 0, SHAPE_LIMITS.maxStrokeWidth),
+  fillColor: checkFillColor,
+  opacity: (field, value) => checkNumber(field, value, 0, 1),
+  strokeDash: checkStyle(STROKE_DASHES),
+  lineCap: checkStyle(LINE_CAPS),
+  lineJoin: checkStyle(LINE_JOINS),
+  points: checkPoints,
+  text: checkText,
+  layer: checkLayer,
+  startBinding: checkBinding,
+  endBinding: checkBinding,
+  startArrowhead: checkArrowhead,
+  endArrowhead: checkArrowhead,
+  assetId: checkAssetId,
+};
+
+/**
+ * Style properties of shapes drawn with a stroke
+ */
+const STROKE_FIELDS = ["strokeDash", "lineCap", "lineJoin"];
+
+/**
+ * Properties each shape type has, and which of them are required
+ */
+const TYPE_FIELDS = {
+  path: {
+    required: ["points"],
+    optional: ["color", "strokeWidth", "opacity", ...STROKE_FIELDS, "layer"],
+  },
+  rect: {
+    required: ["x", "y", "width", "height"],
+    optional: [
+      "rotation",
+      "color",
+      "fillColor",
+      "strokeWidth",
+      "opacity",
+      ...STROKE_FIELDS,
+      "layer",
+    ],
+  },
+  circle: {
+    required: ["x", "y", "width", "height"],
+    optional: [
+      "color",
+      "fillColor",
+      "strokeWidth",
+      "opacity",
+      ...STROKE_FIELDS,
+      "layer",
+    ],
+  },
+  text: {
+    required: ["x", "y", "text"],
+    optional: ["width", "height", "color", "strokeWidth", "opacity", "layer"],
+  },
+  sticky: {
+    required: ["x", "y", "width", "height"],
+    optional: ["rotation", "text", "color", "strokeWidth", "opacity", "layer"],
+  },
+  image: {
+    required: ["x", "y", "width", "height", "assetId"],
+    optional: ["rotation", "opacity", "layer"],
+  },
+};
+
+// Lines and arrows share their properties
+CONNECTOR_TYPES.forEach((type) => {
+  TYPE_FIELDS[type] = {
+    required: ["points"],
+    optional: [
+      "color",
+      "strokeWidth",
+      "opacity",
+      ...STROKE_FIELDS,
+      "layer",
+      "startBinding",
+      "endBinding",
+      "startArrowhead",
+      "endArrowhead",
+    ],
+  };
+});
+
+/**
+ * Validate a new shape from a client
+ * Properties that don't belong to the shape's type are ignored
+ *
+ * @param {Object} data - { id, type, ...properties }
+ * @returns {Object|null} Validation error, or null if valid
+ */
+export const validateShape = (data) => {
+  if (!data || typeof data !== "object") {
+    return fail(VALIDATION_ERRORS.INVALID_PAYLOAD, "Shape must be an object");
+  }
+
+  if (
+    typeof data.id !== "string" ||
+    data.id.length === 0 ||
+    data.id.length > SHAPE_LIMITS.maxIdLength
+  ) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_ID,
+      `Shape ID must be a string of 1 to ${SHAPE_LIMITS.maxIdLength} characters`,
+      { field: "id" },
+    );
+  }
+
+  const fields = TYPE_FIELDS[data.type];
+  if (!fields) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_TYPE,
+      `Shape type must be one of: ${SHAPE_TYPES.join(", ")}`,
+      { field: "type", allowed: SHAPE_TYPES },
+    );
+  }
+
+  for (const field of fields.required) {
+    if (data[field] === undefined || data[field] === null) {
+      return fail(
+        VALIDATION_ERRORS.MISSING_FIELD,
+        `${field} is required for ${data.type} shapes`,
+        { field },
+      );
+    }
+  }
+
+  for (const field of [...fields.required, ...fields.optional]) {
+    if (data[field] === undefined || data[field] === null) continue;
+    const error = FIELD_VALIDATORS[field](field, data[field]);
+    if (error) return error;
+  }
+
+  if (CONNECTOR_TYPES.includes(data.type) && data.points.length !== 2) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_POINTS,
+      `${data.type} shapes need exactly 2 points`,
+      { field: "points" },
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Validate property changes to an existing shape
+ *
+ * @param {Object} changes - { property: value }
+ * @returns {Object|null} Validation error, or null if valid
+ */
+export const validateShapeChanges = (changes) => {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_PAYLOAD,
+      "Changes must be an object of properties",
+    );
+  }
+
+  const fields = Object.keys(changes);
+  if (fields.length === 0) {
+    return fail(VALIDATION_ERRORS.INVALID_PAYLOAD, "No changes given");
+  }
+
+  for (const field of fields) {
+    const validator = FIELD_VALIDATORS[field];
+    if (!validator) {
+      return fail(
+        VALIDATION_ERRORS.UNKNOWN_FIELD,
+        `${field} can't be changed`,
+        { field },
+      );
+    }
+    const error = validator(field, changes[field]);
+    if (error) return error;
+  }
+
+  return null;
+};
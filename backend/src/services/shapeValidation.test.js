@@ -0,0 +1,249 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SHAPE_LIMITS,
+  VALIDATION_ERRORS,
+  validateShape,
+  validateShapeChanges,
+} from "./shapeValidation.js";
+
+const rect = (overrides = {}) => ({
+  id: "shape-1",
+  type: "rect",
+  x: 10,
+  y: 20,
+  width: 100,
+  height: 50,
+  ...overrides,
+});
+
+describe("validateShape", () => {
+  it("accepts a complete shape of each kind", () => {
+    assert.equal(validateShape(rect({ color: "#abc", opacity: 0.5 })), null);
+    assert.equal(
+      validateShape({
+        id: "p",
+        type: "path",
+        points: [
+          { x: 0, y: 0, pressure: 0.2 },
+          { x: 5, y: 5, pressure: 1 },
+        ],
+      }),
+      null,
+    );
+    assert.equal(
+      validateShape({
+        id: "a",
+        type: "arrow",
+        points: [
+          { x: 0, y: 0 },
+          { x: 1, y: 1 },
+        ],
+        startBinding: "shape-1",
+        endBinding: null,
+        endArrowhead: "triangle",
+      }),
+      null,
+    );
+    assert.equal(
+      validateShape(
+        rect({
+          type: "image",
+          assetId: "0123abcd-0123-4567-89ab-0123456789ab.png",
+        }),
+      ),
+      null,
+    );
+  });
+
+  it("rejects payloads that aren't objects", () => {
+    assert.equal(validateShape(null).code, VALIDATION_ERRORS.INVALID_PAYLOAD);
+    assert.equal(validateShape("rect").code, VALIDATION_ERRORS.INVALID_PAYLOAD);
+  });
+
+  it("rejects missing, empty and overlong IDs", () => {
+    [undefined, "", "x".repeat(SHAPE_LIMITS.maxIdLength + 1), 42].forEach(
+      (id) => {
+        assert.deepEqual(validateShape(rect({ id })), {
+          code: VALIDATION_ERRORS.INVALID_ID,
+          message: `Shape ID must be a string of 1 to ${SHAPE_LIMITS.maxIdLength} characters`,
+          details: { field: "id" },
+        });
+      },
+    );
+  });
+
+  it("rejects unknown types", () => {
+    const error = validateShape(rect({ type: "hexagon" }));
+    assert.equal(error.code, VALIDATION_ERRORS.INVALID_TYPE);
+    assert.equal(error.details.field, "type");
+  });
+
+  it("names the first missing required field", () => {
+    const error = validateShape(rect({ width: undefined }));
+    assert.equal(error.code, VALIDATION_ERRORS.MISSING_FIELD);
+    assert.deepEqual(error.details, { field: "width" });
+
+    assert.equal(
+      validateShape({ id: "t", type: "text", x: 0, y: 0, text: null }).code,
+      VALIDATION_ERRORS.MISSING_FIELD,
+    );
+  });
+
+  it("rejects non-finite and out-of-range numbers", () => {
+    assert.equal(
+      validateShape(rect({ x: NaN })).code,
+      VALIDATION_ERRORS.INVALID_NUMBER,
+    );
+    assert.equal(
+      validateShape(rect({ y: "20" })).code,
+      VALIDATION_ERRORS.INVALID_NUMBER,
+    );
+    assert.deepEqual(validateShape(rect({ width: -1 })).details, {
+      field: "width",
+      min: 0,
+      max: SHAPE_LIMITS.maxSize,
+    });
+    assert.equal(
+      validateShape(rect({ x: SHAPE_LIMITS.maxCoordinate + 1 })).code,
+      VALIDATION_ERRORS.OUT_OF_RANGE,
+    );
+    assert.equal(
+      validateShape(rect({ opacity: 1.5 })).code,
+      VALIDATION_ERRORS.OUT_OF_RANGE,
+    );
+  });
+
+  it("checks every point of a path", () => {
+    const path = (points) => ({ id: "p", type: "path", points });
+
+    assert.equal(
+      validateShape(path([])).code,
+      VALIDATION_ERRORS.INVALID_POINTS,
+    );
+    assert.deepEqual(validateShape(path([{ x: 0, y: 0 }, null])).details, {
+      field: "points",
+      index: 1,
+    });
+    assert.equal(
+      validateShape(path([{ x: 0, y: Infinity }])).details.field,
+      "points[0].y",
+    );
+    assert.equal(
+      validateShape(path([{ x: 0, y: 0, pressure: 2 }])).details.field,
+      "points[0].pressure",
+    );
+    assert.equal(
+      validateShape(
+        path(
+          Array.from({ length: SHAPE_LIMITS.maxPoints + 1 }, () => ({
+            x: 0,
+            y: 0,
+          })),
+        ),
+      ).code,
+      VALIDATION_ERRORS.TOO_MANY_POINTS,
+    );
+  });
+
+  it("needs exactly two points for lines and arrows", () => {
+    const error = validateShape({
+      id: "l",
+      type: "line",
+      points: [
+        { x: 0, y: 0 },
+        { x: 1, y: 1 },
+        { x: 2, y: 2 },
+      ],
+    });
+    assert.equal(error.code, VALIDATION_ERRORS.INVALID_POINTS);
+    assert.equal(error.message, "line shapes need exactly 2 points");
+  });
+
+  it("rejects bad colors, styles, layers, bindings and assets", () => {
+    assert.equal(
+      validateShape(rect({ color: "red" })).code,
+      VALIDATION_ERRORS.INVALID_COLOR,
+    );
+    assert.equal(
+      validateShape(rect({ strokeDash: "wavy" })).code,
+      VALIDATION_ERRORS.INVALID_STYLE,
+    );
+    assert.equal(
+      validateShape(rect({ layer: "" })).code,
+      VALIDATION_ERRORS.INVALID_LAYER,
+    );
+    assert.equal(
+      validateShape({
+        id: "l",
+        type: "line",
+        points: [
+          { x: 0, y: 0 },
+          { x: 1, y: 1 },
+        ],
+        startBinding: 7,
+      }).code,
+      VALIDATION_ERRORS.INVALID_BINDING,
+    );
+    assert.equal(
+      validateShape(rect({ type: "image", assetId: "../secret.png" })).code,
+      VALIDATION_ERRORS.INVALID_ASSET,
+    );
+  });
+
+  it("ignores properties that don't belong to the type", () => {
+    // Paths have no x; a bad one is never looked at
+    assert.equal(
+      validateShape({
+        id: "p",
+        type: "path",
+        points: [{ x: 0, y: 0 }],
+        x: "nope",
+      }),
+      null,
+    );
+  });
+});
+
+describe("validateShapeChanges", () => {
+  it("accepts known properties with valid values", () => {
+    assert.equal(validateShapeChanges({ x: 5, color: "#112233" }), null);
+    // A fill can be removed
+    assert.equal(validateShapeChanges({ fillColor: null }), null);
+  });
+
+  it("rejects payloads that aren't plain objects, or are empty", () => {
+    [null, "x", [], {}].forEach((changes) => {
+      assert.equal(
+        validateShapeChanges(changes).code,
+        VALIDATION_ERRORS.INVALID_PAYLOAD,
+      );
+    });
+  });
+
+  it("rejects properties clients can't change", () => {
+    ["id", "type", "zIndex", "versions", "groupId"].forEach((field) => {
+      assert.deepEqual(validateShapeChanges({ [field]: 1 }), {
+        code: VALIDATION_ERRORS.UNKNOWN_FIELD,
+        message: `${field} can't be changed`,
+        details: { field },
+      });
+    });
+  });
+
+  it("validates each value like a new shape's", () => {
+    assert.equal(
+      validateShapeChanges({ rotation: 720 }).code,
+      VALIDATION_ERRORS.OUT_OF_RANGE,
+    );
+    assert.equal(
+      validateShapeChanges({ text: "x".repeat(SHAPE_LIMITS.maxTextLength + 1) })
+        .code,
+      VALIDATION_ERRORS.TEXT_TOO_LONG,
+    );
+    assert.equal(
+      validateShapeChanges({ fillColor: "#12" }).code,
+      VALIDATION_ERRORS.INVALID_COLOR,
+    );
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Per-property versions for field-level conflict resolution
+ *
+ * Every shape carries `versions`: { [property]: number }, bumped each time
+ * the server writes that property. Clients send the versions their edit
+ * was based on (`baseVersions`) with update-shape:
+ *
+ * - Edits to different properties never conflict and are all kept.
+ * - An edit to a property that someone else changed since the client's
+ *   base version is stale and dropped: the change the server committed
+ *   first wins. The sender is told which properties were rejected.
+ *
+ * Because the server decides and broadcasts the resulting versions, every
+ * client converges on the same value for every property.
+ */
+
+/**
+ * Shape fields that are never written after creation, so never versioned
+ */
+const UNVERSIONED_KEYS = ["id", "type", "versions", "createdBy", "createdAt"];
+
+/**
+ * Split requested changes into accepted and stale (rejected) properties
+ *
+ * @param {Object} versions - Current shape.versions
+ * @param {Object} changes - Requested { property: value } changes
+ * @param {Object} [baseVersions] - Versions the client's edit was based on;
+ *   properties without a base version are always accepted
+ * @returns {{ accepted: Object, rejected: string[] }}
+ */
+export const resolveFieldChanges = (versions = {}, changes, baseVersions) => {
+  const accepted = {};
+  const rejected = [];
+
+  Object.keys(changes).forEach((key) => {
+    const base = baseVersions?.[key];
+    if (base !== undefined && base < (versions[key] || 0)) {
+      rejected.push(key);
+    } else {
+      accepted[key] = changes[key];
+    }
+  });
+
+  return { accepted, rejected };
+};
+
+/**
+ * Next versions for the given properties
+ *
+ * @param {Object} versions - Current shape.versions
+ * @param {string[]} keys - Properties being written
+ * @returns {Object} { property: newVersion } for just those properties
+ */
+export const bumpVersions = (versions = {}, keys) => {
+  const bumped = {};
+  keys.forEach((key) => {
+    bumped[key] = (versions[key] || 0) + 1;
+  });
+  return bumped;
+};
+
+/**
+ * Versions for the shapes a version restore writes back
+ *
+ * A snapshot's shapes carry the versions they had when it was saved, which
+ * are usually behind the board's. Every restored property gets a version
+ * above both, so an edit based on the board before the restore is rejected
+ * as stale instead of overwriting the restored value.
+ *
+ * @param {Array} snapshot - Shapes being restored
+ * @param {Array} current - Shapes on the board now
+ * @returns {Array} The snapshot's shapes with their new versions
+ */
+export const bumpRestoredVersions = (snapshot, current) => {
+  const currentById = new Map(current.map((shape) => [shape.id, shape]));
+
+  return snapshot.map((shape) => {
+    const saved = shape.versions || {};
+    const live = currentById.get(shape.id)?.versions || {};
+    const keys = new Set([
+      ...Object.keys(shape).filter((key) => !UNVERSIONED_KEYS.includes(key)),
+      ...Object.keys(saved),
+      ...Object.keys(live),
+    ]);
+
+    const versions = {};
+    keys.forEach((key) => {
+      versions[key] = Math.max(saved[key] || 0, live[key] || 0) + 1;
+    });
+    return { ...shape, versions };
+  });
+};
@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bumpRestoredVersions,
+  bumpVersions,
+  resolveFieldChanges,
+} from "./shapeVersions.js";
+
+describe("resolveFieldChanges", () => {
+  it("accepts every change without base versions", () => {
+    assert.deepEqual(resolveFieldChanges({ x: 3, color: 1 }, { x: 5 }), {
+      accepted: { x: 5 },
+      rejected: [],
+    });
+  });
+
+  it("accepts changes based on the current version", () => {
+    assert.deepEqual(
+      resolveFieldChanges({ x: 2 }, { x: 5 }, { x: 2 }).rejected,
+      [],
+    );
+  });
+
+  it("rejects changes based on an older version", () => {
+    assert.deepEqual(
+      resolveFieldChanges({ x: 2, y: 1 }, { x: 5, y: 6 }, { x: 1, y: 1 }),
+      { accepted: { y: 6 }, rejected: ["x"] },
+    );
+  });
+
+  it("merges edits to different properties", () => {
+    // Someone changed color since; this client only moved the shape
+    assert.deepEqual(
+      resolveFieldChanges({ x: 1, color: 4 }, { x: 9 }, { x: 1, color: 3 }),
+      { accepted: { x: 9 }, rejected: [] },
+    );
+  });
+
+  it("treats properties never written as version 0", () => {
+    assert.deepEqual(resolveFieldChanges(undefined, { x: 1 }, { x: 0 }), {
+      accepted: { x: 1 },
+      rejected: [],
+    });
+    // Only properties with a base version are checked
+    assert.deepEqual(
+      resolveFieldChanges({ x: 4 }, { x: 1, y: 2 }, { y: 0 }).rejected,
+      [],
+    );
+  });
+
+  it("keeps falsy values", () => {
+    assert.deepEqual(
+      resolveFieldChanges({}, { fillColor: null, x: 0 }).accepted,
+      { fillColor: null, x: 0 },
+    );
+  });
+});
+
+describe("bumpVersions", () => {
+  it("increments only the written properties", () => {
+    assert.deepEqual(bumpVersions({ x: 2, y: 7 }, ["x", "color"]), {
+      x: 3,
+      color: 1,
+    });
+  });
+
+  it("starts shapes without versions at 1", () => {
+    assert.deepEqual(bumpVersions(undefined, ["x"]), { x: 1 });
+  });
+
+  it("never modifies the current versions", () => {
+    const versions = { x: 1 };
+    bumpVersions(versions, ["x"]);
+    assert.deepEqual(versions, { x: 1 });
+  });
+});
+
+describe("bumpRestoredVersions", () => {
+  const saved = {
+    id: "a",
+    type: "rect",
+    x: 1,
+    color: "#000000",
+    versions: { x: 2 },
+    createdAt: "then",
+  };
+
+  it("puts every restored property above its live and saved versions", () => {
+    const [restored] = bumpRestoredVersions(
+      [saved],
+      [{ id: "a", x: 9, versions: { x: 5, color: 1 } }],
+    );
+    assert.deepEqual(restored, { ...saved, versions: { x: 6, color: 2 } });
+  });
+
+  it("bumps properties the snapshot doesn't have, since it clears them", () => {
+    const [restored] = bumpRestoredVersions(
+      [saved],
+      [{ id: "a", versions: { fillColor: 3 } }],
+    );
+    assert.equal(restored.versions.fillColor, 4);
+  });
+
+  it("bumps shapes deleted since the snapshot from their saved versions", () => {
+    const [restored] = bumpRestoredVersions([saved], []);
+    assert.deepEqual(restored.versions, { x: 3, color: 1 });
+  });
+
+  it("rejects edits based on the board before the restore", () => {
+    const live = { id: "a", versions: { x: 5 } };
+    const [restored] = bumpRestoredVersions([saved], [live]);
+    assert.deepEqual(
+      resolveFieldChanges(restored.versions, { x: 7 }, live.versions).rejected,
+      ["x"],
+    );
+  });
+});
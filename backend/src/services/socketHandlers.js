@@ -1,15 +1,52 @@
 import jwt from "jsonwebtoken";
 import Board from "../models/Board.js";
 import User from "../models/User.js";
+import {
+  findLaterOpByOthers,
+  getOpsSince,
+  getUserHistoryOps,
+} from "./opLog.js";
+import {
+  createShape,
+  updateShape,
+  deleteShape,
+  commitBoardOp,
+} from "./boardStore.js";
+import { applyOpToBoard } from "./applyOp.js";
+import { resolveFieldChanges } from "./shapeVersions.js";
+import {
+  CONNECTOR_TYPES,
+  validateShape,
+  validateShapeChanges,
+} from "./shapeValidation.js";
+import { Z_ORDER_ACTIONS, computeZOrderChanges } from "./zOrder.js";
+import { getLockScope, buildGroupOp, buildUngroupOp } from "./groups.js";
+import {
+  PRESSURE_EDGE_SCALE,
+  getPathTolerance,
+  simplifyPath,
+} from "./pathSimplify.js";
+import {
+  toPlain,
+  buildUpdatePayload,
+  getHistoryStacks,
+  getConflictQuery,
+  findUndoTarget,
+  createUndoOp,
+  createRedoOp,
+} from "./history.js";
 
 /**
  * In-memory locks structure:
  * {
  *   boardId: {
- *     objectId: { socketId, userId, timestamp }
+ *     objectId: { socketId, userId, timestamp, rootId }
  *   }
  * }
  *
+ * Locking a group locks every shape in it; each of those locks records the
+ * locked object as rootId so they are released together.
+ *
  * LIMITATION: Locks are not persistent and only work with single backend instance.
  * For multi-instance deployment, use Redis or similar distributed store.
  */
@@ -31,6 +68,45 @@ const LOCK_TIMEOUT = 30000;
  */
 const presence = {};
 
+/**
+ * Maximum number of missed ops replayed on rejoin
+ * Clients that missed more than this get the full board-state instead
+ */
+const MAX_RESYNC_OPS = 500;
+
+/**
+ * Undo and redo need every op from the user's oldest history op up to
+ * the board's seq; only a log recorded before board.pendingOps existed
+ * can lack one (see getUserHistoryOps)
+ */
+const HISTORY_INCOMPLETE =
+  "Part of the board's history is missing, so it can't be undone or redone";
+
+/**
+ * Find, in the ops log, a later op by another user on the shapes of an
+ * entry from the user's undo or redo stack (see getConflictQuery)
+ *
+ * @param {Object} board - { _id, opSeq } as read for the undo or redo
+ * @param {Array} ops - The user's history ops, from getUserHistoryOps
+ * @param {Object} entryOp
+ * @param {string} userId
+ */
+const findLoggedConflict = (board, ops, entryOp, userId) =>
+  findLaterOpByOthers(
+    board._id,
+    getConflictQuery(ops, entryOp, userId, board.opSeq),
+  );
+
+/**
+ * Maximum number of entries in a single batch
+ */
+const MAX_BATCH_OPS = 1000;
+
+/**
+ * Maximum number of pieces a path can be split into at once
+ */
+const MAX_SPLIT_PIECES = 100;
+
 /**
  * Authenticate socket connection via JWT token
  * Returns user object or null if authentication fails
@@ -106,81 +182,284 @@ const cleanExpiredLocks = (boardId) => {
 };
 
 /**
- * Create compensating op for undo
- * Returns the inverse operation that will undo the given op
+ * Check if an object is locked by a socket other than the given one
  */
-const createUndoOp = (op, board) => {
-  switch (op.opType) {
-    case "create":
-      // Undo create → delete the created shape
+const isLockedByOther = (boardId, objectId, socketId) => {
+  const lock = locks[boardId]?.[objectId];
+  return !!lock && lock.socketId !== socketId;
+};
+
+/**
+ * Object IDs of a lock-object/unlock-object payload: { objectId } or
+ * { objectIds }
+ */
+const getObjectIds = (data) => {
+  const ids = Array.isArray(data?.objectIds)
+    ? data.objectIds
+    : [data?.objectId];
+  return [...new Set(ids.filter((id) => typeof id === "string"))];
+};
+
+/**
+ * Build a shape object from client data
+ * Paths, lines and arrows also get their points, and lines and arrows
+ * their attachments and arrowheads
+ */
+const buildShape = (data, userId) => {
+  const shape = {
+    id: data.id,
+    type: data.type,
+    x: data.x,
+    y: data.y,
+    width: data.width,
+    height: data.height,
+    rotation: data.rotation,
+    color: data.color,
+    strokeWidth: data.strokeWidth,
+    fillColor: data.fillColor,
+    opacity: data.opacity,
+    strokeDash: data.strokeDash,
+    lineCap: data.lineCap,
+    lineJoin: data.lineJoin,
+    text: data.text || null,
+    layer: data.layer || "default",
+    createdBy: userId,
+    createdAt: new Date(),
+  };
+
+  if (data.type === "path") {
+    shape.points = data.points;
+  }
+
+  if (data.type === "image") {
+    shape.assetId = data.assetId;
+  }
+
+  if (CONNECTOR_TYPES.includes(data.type)) {
+    shape.points = data.points;
+    shape.startBinding = data.startBinding || null;
+    shape.endBinding = data.endBinding || null;
+    shape.startArrowhead = data.startArrowhead || "none";
+    shape.endArrowhead =
+      data.endArrowhead || (data.type === "arrow" ? "arrow" : "none");
+  }
+
+  return shape;
+};
+
+/**
+ * Validate one batch entry against the board snapshot { shapes, opSeq }
+ * (as modified by the entries before it) and turn it into complete ops
+ * Returns { ops } or { error, code?, details? } with a message for the
+ * client and, for invalid shape data, the validation error code
+ *
+ * A "group" entry ({ groupId, shapeIds }) expands into the ops of
+ * group-shapes, so shapes created earlier in the batch can be grouped
+ *
+ * A "split" entry ({ shapeId, pieces: [{ id, points }] }) replaces a path
+ * with pieces of it, as the eraser leaves them: a delete and a create per
+ * piece. The pieces keep the path's style, group and place in the
+ * stacking order.
+ */
+const prepareBatchEntry = (board, entry, socket) => {
+  const boardId = socket.currentBoardId;
+  const payload = entry?.payload || {};
+  const shape =
+    payload.shapeId && board.shapes.find((s) => s.id === payload.shapeId);
+
+  switch (entry?.opType) {
+    case "create": {
+      const invalid = validateShape(payload);
+      if (invalid) {
+        return {
+          error: invalid.message,
+          code: invalid.code,
+          details: invalid.details,
+        };
+      }
+      if (board.shapes.some((s) => s.id === payload.id)) {
+        return { error: `Shape ${payload.id} already exists` };
+      }
+      // Created shapes go on top: zIndex is the seq the batch will get
+      const created = {
+        ...buildShape(payload, socket.userData?.userId || null),
+        zIndex: board.opSeq + 1,
+      };
+      return { ops: [{ opType: "create", payload: created }] };
+    }
+
+    case "update": {
+      if (!shape) {
+        return { error: `Shape ${payload.shapeId} not found` };
+      }
+      const invalid = validateShapeChanges(payload.changes);
+      if (invalid) {
+        return {
+          error: invalid.message,
+          code: invalid.code,
+          details: invalid.details,
+        };
+      }
+      if (isLockedByOther(boardId, payload.shapeId, socket.id)) {
+        return { error: "Object is locked by another user" };
+      }
+      const { rejected } = resolveFieldChanges(
+        shape.versions,
+        payload.changes,
+        payload.baseVersions,
+      );
+      if (rejected.length > 0) {
+        return {
+          error: `Shape ${payload.shapeId} was changed by another user`,
+        };
+      }
       return {
-        opType: "delete",
-        payload: {
-          shapeId: op.payload.id,
-          deletedShape: op.payload, // Store for potential redo
-        },
+        ops: [
+          {
+            opType: "update",
+            payload: buildUpdatePayload(
+              board,
+              payload.shapeId,
+              payload.changes,
+            ),
+          },
+        ],
       };
+    }
 
     case "delete":
-      // Undo delete → recreate the shape
+      if (!shape) {
+        return { error: `Shape ${payload.shapeId} not found` };
+      }
+      if (isLockedByOther(boardId, payload.shapeId, socket.id)) {
+        return { error: "Object is locked by another user" };
+      }
       return {
-        opType: "create",
-        payload: op.payload.deletedShape,
+        ops: [
+          {
+            opType: "delete",
+            payload: { shapeId: payload.shapeId, deletedShape: toPlain(shape) },
+          },
+        ],
       };
 
-    case "update":
-      // Undo update → update back with previous values
-      // Find the shape to get its current state
-      const shape = board.shapes.find((s) => s.id === op.payload.shapeId);
-      if (!shape) return null;
+    case "group": {
+      if (
+        (payload.shapeIds || []).some((id) =>
+          isLockedByOther(boardId, id, socket.id),
+        )
+      ) {
+        return { error: "Object is locked by another user" };
+      }
+      const grouped = buildGroupOp(
+        board,
+        { groupId: payload.groupId, shapeIds: payload.shapeIds },
+        socket.userData?.userId || null,
+      );
+      if (grouped.error) return { error: grouped.error };
+      return { ops: grouped.op.payload.ops };
+    }
 
-      // Build reverse changes object
-      const reverseChanges = {};
-      Object.keys(op.payload.changes).forEach((key) => {
-        reverseChanges[key] = shape[key];
-      });
+    case "split": {
+      if (!shape) {
+        return { error: `Shape ${payload.shapeId} not found` };
+      }
+      if (shape.type !== "path") {
+        return { error: `Shape ${payload.shapeId} is not a path` };
+      }
+      if (isLockedByOther(boardId, payload.shapeId, socket.id)) {
+        return { error: "Object is locked by another user" };
+      }
+      const pieces = payload.pieces;
+      if (
+        !Array.isArray(pieces) ||
+        pieces.length === 0 ||
+        pieces.length > MAX_SPLIT_PIECES
+      ) {
+        return {
+          error: `A path can be split into 1 to ${MAX_SPLIT_PIECES} pieces`,
+        };
+      }
 
-      return {
-        opType: "update",
-        payload: {
-          shapeId: op.payload.shapeId,
-          changes: reverseChanges,
+      const original = toPlain(shape);
+      const ops = [
+        {
+          opType: "delete",
+          payload: { shapeId: payload.shapeId, deletedShape: original },
         },
-      };
+      ];
+      const ids = new Set();
+      for (const piece of pieces) {
+        const data = { ...original, id: piece?.id, points: piece?.points };
+        const invalid = validateShape(data);
+        if (invalid) {
+          return {
+            error: invalid.message,
+            code: invalid.code,
+            details: invalid.details,
+          };
+        }
+        if (ids.has(data.id) || board.shapes.some((s) => s.id === data.id)) {
+          return { error: `Shape ${data.id} already exists` };
+        }
+        ids.add(data.id);
+
+        ops.push({
+          opType: "create",
+          payload: {
+            ...buildShape(data, socket.userData?.userId || null),
+            groupId: original.groupId ?? null,
+            zIndex: original.zIndex,
+          },
+        });
+      }
+      return { ops };
+    }
 
     default:
-      return null;
+      return { error: `Unsupported batch entry: ${entry?.opType}` };
   }
 };
 
 /**
- * Apply an operation to the board
- * Modifies board.shapes array based on the op
+ * Ids of the shapes a batch's entries create, change or delete
  */
-const applyOpToBoard = (board, op) => {
-  switch (op.opType) {
-    case "create":
-      // Add shape if it doesn't already exist
-      if (!board.shapes.find((s) => s.id === op.payload.id)) {
-        board.shapes.push(op.payload);
-      }
-      break;
+const getBatchShapeIds = (entries) => {
+  const ids = new Set();
+  entries.forEach((entry) => {
+    const payload = entry?.payload || {};
+    const shapeIds = Array.isArray(payload.shapeIds) ? payload.shapeIds : [];
+    const pieces = Array.isArray(payload.pieces) ? payload.pieces : [];
+    [
+      payload.id,
+      payload.shapeId,
+      payload.groupId,
+      ...shapeIds,
+      ...pieces.map((piece) => piece?.id),
+    ]
+      .filter((id) => typeof id === "string")
+      .forEach((id) => ids.add(id));
+  });
+  return ids;
+};
 
-    case "delete":
-      // Remove shape
-      board.shapes = board.shapes.filter((s) => s.id !== op.payload.shapeId);
-      break;
-
-    case "update":
-      // Update shape properties
-      const shapeIndex = board.shapes.findIndex(
-        (s) => s.id === op.payload.shapeId,
-      );
-      if (shapeIndex !== -1) {
-        Object.assign(board.shapes[shapeIndex], op.payload.changes);
-      }
-      break;
-  }
+/**
+ * Tell the sender their batch was not applied
+ * Sends the board's current copies of the shapes it touched (shapes it
+ * would have created aren't there), so the client can take back the
+ * changes it already showed, e.g. shapes it moved while dragging
+ */
+const rejectBatch = async (socket, entries, error) => {
+  const shapeIds = getBatchShapeIds(entries);
+  const board = await Board.findById(socket.currentBoardId, {
+    shapes: 1,
+  }).lean();
+
+  socket.emit("batch-rejected", {
+    ...error,
+    shapeIds: [...shapeIds],
+    shapes: (board?.shapes || []).filter((s) => shapeIds.has(s.id)),
+  });
 };
 
 /**
@@ -200,11 +479,16 @@ export const setupSocketHandlers = (io) => {
     /**
      * EVENT: join-board
      * Client joins a board room and receives full board state
-     * Payload: { boardId, token? }
+     * Payload: { boardId, token?, sinceSeq? }
+     *
+     * Every op broadcast carries the op's board sequence number (seq).
+     * A reconnecting client passes the last seq it applied as sinceSeq and
+     * receives only the ops it missed (board-resync) instead of the full
+     * board-state, unless it missed too many.
      */
     socket.on("join-board", async (data) => {
       try {
-        const { boardId, token } = data;
+        const { boardId, token, sinceSeq } = data;
 
         // Authenticate if token provided
         if (token) {
@@ -252,12 +536,26 @@ export const setupSocketHandlers = (io) => {
           cursor: { x: 0, y: 0 },
         };
 
-        // Send board state to joining client
-        socket.emit("board-state", {
-          shapes: board.shapes,
-          ops: board.ops,
-          locks: locks[boardId] || {},
-        });
+        // Send missed ops to a rejoining client if possible
+        const missedOps =
+          Number.isInteger(sinceSeq) && sinceSeq >= 0 && sinceSeq <= board.opSeq
+            ? await getOpsSince(boardId, sinceSeq, board.opSeq, MAX_RESYNC_OPS)
+            : null;
+
+        if (missedOps) {
+          socket.emit("board-resync", {
+            ops: missedOps,
+            seq: board.opSeq,
+            locks: locks[boardId] || {},
+          });
+        } else {
+          // Send board state to joining client
+          socket.emit("board-state", {
+            shapes: board.shapes,
+            seq: board.opSeq,
+            locks: locks[boardId] || {},
+          });
+        }
 
         // Send current presence to joining client
         socket.emit("presence-state", Object.values(presence[boardId]));
@@ -328,19 +626,31 @@ export const setupSocketHandlers = (io) => {
      * EVENT: draw-end
      * User completes a drawing stroke - persist to DB
      * Payload: { id, points: [{x, y}, ...], color, strokeWidth, layer? }
+     *
+     * The points are simplified (see pathSimplify.js) before they are
+     * stored, and the stored points are what is broadcast.
      */
     socket.on("draw-end", async (data) => {
       if (!socket.currentBoardId) return;
 
+      const invalid = validateShape({ ...data, type: "path" });
+      if (invalid) {
+        socket.emit("error", invalid);
+        return;
+      }
+
       try {
-        const board = await Board.findById(socket.currentBoardId);
-        if (!board) return;
+        const points = simplifyPath(
+          data.points,
+          getPathTolerance(),
+          (data.strokeWidth || 2) * PRESSURE_EDGE_SCALE,
+        );
 
         // Create shape object
         const shape = {
           id: data.id,
           type: "path",
-          points: data.points,
+          points,
           color: data.color,
           strokeWidth: data.strokeWidth,
           layer: data.layer || "default",
@@ -349,23 +659,23 @@ export const setupSocketHandlers = (io) => {
         };
 
         // Add shape to board
-        board.shapes.push(shape);
-
-        // Create operation for undo/redo
-        const op = {
-          opType: "create",
-          payload: shape,
-          createdBy: socket.userData?.userId || null,
-          createdAt: new Date(),
-        };
-        board.ops.push(op);
-
-        await board.save();
+        const { op, seq, error } = await createShape(
+          socket.currentBoardId,
+          shape,
+          socket.userData?.userId || null,
+        );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
 
         // Broadcast to room (including sender for confirmation)
         io.to(socket.currentBoardId).emit("draw-end", {
           ...data,
+          points,
           userId: socket.userData?.userId || socket.id,
+          zIndex: op.payload.zIndex,
+          seq,
         });
 
         console.log(
@@ -379,48 +689,42 @@ export const setupSocketHandlers = (io) => {
 
     /**
      * EVENT: create-shape
-     * Create a shape (rect, circle, text)
+     * Create a shape (rect, circle, text, sticky, image, line, arrow)
      * Payload: { id, type, x, y, width, height, color, strokeWidth, text?, layer? }
+     *   Lines and arrows: { id, type, points: [start, end], color,
+     *   strokeWidth, startBinding?, endBinding?, startArrowhead?,
+     *   endArrowhead?, layer? } where the bindings are IDs of the shapes
+     *   the ends are attached to
      */
     socket.on("create-shape", async (data) => {
       if (!socket.currentBoardId) return;
 
-      try {
-        const board = await Board.findById(socket.currentBoardId);
-        if (!board) return;
+      const invalid = validateShape(data);
+      if (invalid) {
+        socket.emit("error", invalid);
+        return;
+      }
 
+      try {
         // Create shape object
-        const shape = {
-          id: data.id,
-          type: data.type,
-          x: data.x,
-          y: data.y,
-          width: data.width,
-          height: data.height,
-          color: data.color,
-          strokeWidth: data.strokeWidth,
-          text: data.text || null,
-          layer: data.layer || "default",
-          createdBy: socket.userData?.userId || null,
-          createdAt: new Date(),
-        };
+        const shape = buildShape(data, socket.userData?.userId || null);
 
         // Add shape to board
-        board.shapes.push(shape);
-
-        // Create operation
-        const op = {
-          opType: "create",
-          payload: shape,
-          createdBy: socket.userData?.userId || null,
-          createdAt: new Date(),
-        };
-        board.ops.push(op);
-
-        await board.save();
+        const { op, seq, error } = await createShape(
+          socket.currentBoardId,
+          shape,
+          socket.userData?.userId || null,
+        );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
 
         // Broadcast to room
-        io.to(socket.currentBoardId).emit("shape-created", shape);
+        io.to(socket.currentBoardId).emit("shape-created", {
+          ...op.payload,
+          seq,
+        });
 
         console.log(
           `Shape ${data.id} created on board ${socket.currentBoardId}`,
@@ -434,58 +738,64 @@ export const setupSocketHandlers = (io) => {
     /**
      * EVENT: update-shape
      * Update shape properties (move, resize, style change)
-     * Payload: { shapeId, changes: { x?, y?, width?, height?, color?, ... } }
+     * Payload: { shapeId, changes: { x?, y?, width?, height?, color?, ... },
+     *            baseVersions?: { property: version the edit was based on } }
+     *
+     * Properties are merged individually. Changes to properties another
+     * user wrote since baseVersions are dropped and reported back to the
+     * sender with update-conflict (see services/shapeVersions.js).
      */
     socket.on("update-shape", async (data) => {
       if (!socket.currentBoardId) return;
 
-      try {
-        const board = await Board.findById(socket.currentBoardId);
-        if (!board) return;
-
-        // Find shape
-        const shapeIndex = board.shapes.findIndex((s) => s.id === data.shapeId);
-        if (shapeIndex === -1) {
-          socket.emit("error", { message: "Shape not found" });
-          return;
-        }
+      const invalid = validateShapeChanges(data.changes);
+      if (invalid) {
+        socket.emit("error", invalid);
+        return;
+      }
 
+      try {
         // Check if object is locked by another user
         cleanExpiredLocks(socket.currentBoardId);
-        const lock = locks[socket.currentBoardId]?.[data.shapeId];
-        if (lock && lock.socketId !== socket.id) {
+        if (isLockedByOther(socket.currentBoardId, data.shapeId, socket.id)) {
           socket.emit("error", { message: "Object is locked by another user" });
           return;
         }
 
-        // Store old values for undo
-        const oldValues = {};
-        Object.keys(data.changes).forEach((key) => {
-          oldValues[key] = board.shapes[shapeIndex][key];
-        });
-
-        // Apply changes
-        Object.assign(board.shapes[shapeIndex], data.changes);
+        // Field-level merge: stale writes to concurrently edited fields
+        // are dropped, the rest are written atomically
+        const { op, seq, rejected, current, versions, error } =
+          await updateShape(
+            socket.currentBoardId,
+            {
+              shapeId: data.shapeId,
+              changes: data.changes,
+              baseVersions: data.baseVersions,
+            },
+            socket.userData?.userId || null,
+          );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
 
-        // Create operation
-        const op = {
-          opType: "update",
-          payload: {
+        if (rejected.length > 0) {
+          socket.emit("update-conflict", {
             shapeId: data.shapeId,
-            changes: data.changes,
-            oldValues, // Store for potential undo
-          },
-          createdBy: socket.userData?.userId || null,
-          createdAt: new Date(),
-        };
-        board.ops.push(op);
+            rejected,
+            current,
+            versions,
+          });
+        }
 
-        await board.save();
+        if (!op) return;
 
         // Broadcast to room
         io.to(socket.currentBoardId).emit("shape-updated", {
           shapeId: data.shapeId,
-          changes: data.changes,
+          changes: op.payload.changes,
+          versions: op.payload.versions,
+          seq,
         });
 
         console.log(
@@ -506,44 +816,28 @@ export const setupSocketHandlers = (io) => {
       if (!socket.currentBoardId) return;
 
       try {
-        const board = await Board.findById(socket.currentBoardId);
-        if (!board) return;
-
-        // Find and store shape for undo
-        const shape = board.shapes.find((s) => s.id === data.shapeId);
-        if (!shape) {
-          socket.emit("error", { message: "Shape not found" });
-          return;
-        }
-
         // Check if locked
         cleanExpiredLocks(socket.currentBoardId);
-        const lock = locks[socket.currentBoardId]?.[data.shapeId];
-        if (lock && lock.socketId !== socket.id) {
+        if (isLockedByOther(socket.currentBoardId, data.shapeId, socket.id)) {
           socket.emit("error", { message: "Object is locked by another user" });
           return;
         }
 
-        // Remove shape
-        board.shapes = board.shapes.filter((s) => s.id !== data.shapeId);
-
-        // Create operation
-        const op = {
-          opType: "delete",
-          payload: {
-            shapeId: data.shapeId,
-            deletedShape: shape, // Store for undo
-          },
-          createdBy: socket.userData?.userId || null,
-          createdAt: new Date(),
-        };
-        board.ops.push(op);
-
-        await board.save();
+        // Remove shape; the op keeps the removed shape for undo
+        const { seq, error } = await deleteShape(
+          socket.currentBoardId,
+          data.shapeId,
+          socket.userData?.userId || null,
+        );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
 
         // Broadcast to room
         io.to(socket.currentBoardId).emit("shape-deleted", {
           shapeId: data.shapeId,
+          seq,
         });
 
         console.log(
@@ -556,47 +850,408 @@ export const setupSocketHandlers = (io) => {
     });
 
     /**
-     * EVENT: undo
-     * Undo the last operation
-     * Creates a compensating operation
+     * EVENT: reorder-shape
+     * Move a shape or group in the stacking order
+     * Payload: { shapeId, action: "front" | "back" | "forward" | "backward" }
+     *
+     * A group moves every shape in it, nested groups included, together.
+     * Recorded as a batch of zIndex updates, so it is undone in one step
+     * and clients receive batch-applied.
      */
-    socket.on("undo", async () => {
+    socket.on("reorder-shape", async (data) => {
+      if (!socket.currentBoardId) return;
+
+      if (!Z_ORDER_ACTIONS.includes(data?.action)) {
+        socket.emit("error", {
+          message: `Reorder action must be one of: ${Z_ORDER_ACTIONS.join(", ")}`,
+        });
+        return;
+      }
+
+      try {
+        cleanExpiredLocks(socket.currentBoardId);
+
+        const { op, seq, error } = await commitBoardOp(
+          socket.currentBoardId,
+          (board) => {
+            const shape = board.shapes.find((s) => s.id === data.shapeId);
+            if (!shape) {
+              return { error: "Shape not found" };
+            }
+            const scope = getLockScope(board.shapes, shape.id);
+            const changes = computeZOrderChanges(
+              board.shapes,
+              scope,
+              data.action,
+            );
+            if (changes.length === 0) {
+              return { op: null };
+            }
+            if (
+              [...scope, ...changes.map((change) => change.shapeId)].some(
+                (id) => isLockedByOther(socket.currentBoardId, id, socket.id),
+              )
+            ) {
+              return { error: "Object is locked by another user" };
+            }
+
+            return {
+              op: {
+                opType: "batch",
+                payload: {
+                  ops: changes.map(({ shapeId, zIndex }) => ({
+                    opType: "update",
+                    payload: buildUpdatePayload(board, shapeId, { zIndex }),
+                  })),
+                },
+                createdBy: socket.userData?.userId || null,
+              },
+            };
+          },
+        );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
+
+        // Already in place
+        if (!op) return;
+
+        io.to(socket.currentBoardId).emit("batch-applied", {
+          ops: op.payload.ops,
+          seq,
+        });
+
+        console.log(
+          `Shape ${data.shapeId} moved ${data.action} on board ${socket.currentBoardId}`,
+        );
+      } catch (error) {
+        console.error("reorder-shape error:", error);
+        socket.emit("error", { message: "Failed to reorder shape" });
+      }
+    });
+
+    /**
+     * EVENT: group-shapes
+     * Group shapes (or groups) that share a parent into a new group
+     * Payload: { groupId, shapeIds }
+     *
+     * Recorded as a batch (create the group, point members at it), so it
+     * is undone in one step and clients receive batch-applied.
+     */
+    socket.on("group-shapes", async (data) => {
       if (!socket.currentBoardId) return;
 
       try {
-        const board = await Board.findById(socket.currentBoardId);
-        if (!board || board.ops.length === 0) {
-          socket.emit("error", { message: "Nothing to undo" });
+        cleanExpiredLocks(socket.currentBoardId);
+
+        const { op, seq, error } = await commitBoardOp(
+          socket.currentBoardId,
+          (board) => {
+            if (
+              (data?.shapeIds || []).some((id) =>
+                isLockedByOther(socket.currentBoardId, id, socket.id),
+              )
+            ) {
+              return { error: "Object is locked by another user" };
+            }
+
+            return buildGroupOp(
+              board,
+              { groupId: data?.groupId, shapeIds: data?.shapeIds },
+              socket.userData?.userId || null,
+            );
+          },
+        );
+        if (error) {
+          socket.emit("error", { message: error });
           return;
         }
 
-        // Get last op
-        const lastOp = board.ops[board.ops.length - 1];
+        io.to(socket.currentBoardId).emit("batch-applied", {
+          ops: op.payload.ops,
+          seq,
+        });
+
+        console.log(
+          `Group ${data.groupId} created on board ${socket.currentBoardId}`,
+        );
+      } catch (error) {
+        console.error("group-shapes error:", error);
+        socket.emit("error", { message: "Failed to group shapes" });
+      }
+    });
+
+    /**
+     * EVENT: ungroup-shapes
+     * Dissolve a group; its members move up to the group's parent
+     * Payload: { groupId }
+     */
+    socket.on("ungroup-shapes", async (data) => {
+      if (!socket.currentBoardId) return;
+
+      try {
+        cleanExpiredLocks(socket.currentBoardId);
 
-        // Create compensating op
-        const undoOp = createUndoOp(lastOp, board);
-        if (!undoOp) {
-          socket.emit("error", { message: "Cannot undo this operation" });
+        const { op, seq, error } = await commitBoardOp(
+          socket.currentBoardId,
+          (board) => {
+            if (
+              getLockScope(board.shapes, data?.groupId).some((id) =>
+                isLockedByOther(socket.currentBoardId, id, socket.id),
+              )
+            ) {
+              return { error: "Object is locked by another user" };
+            }
+
+            return buildUngroupOp(
+              board,
+              data?.groupId,
+              socket.userData?.userId || null,
+            );
+          },
+        );
+        if (error) {
+          socket.emit("error", { message: error });
           return;
         }
 
-        // Apply undo op to board state
-        applyOpToBoard(board, undoOp);
+        io.to(socket.currentBoardId).emit("batch-applied", {
+          ops: op.payload.ops,
+          seq,
+        });
 
-        // Add undo op to history
-        undoOp.createdBy = socket.userData?.userId || null;
-        undoOp.createdAt = new Date();
-        board.ops.push(undoOp);
+        console.log(
+          `Group ${data.groupId} ungrouped on board ${socket.currentBoardId}`,
+        );
+      } catch (error) {
+        console.error("ungroup-shapes error:", error);
+        socket.emit("error", { message: "Failed to ungroup shapes" });
+      }
+    });
+
+    /**
+     * EVENT: clear-board
+     * Delete every shape on the board
+     *
+     * Built here rather than sent as a batch, so it works however many
+     * shapes there are. Recorded as one batch of deletes, so it is undone
+     * in one step and clients receive batch-applied.
+     */
+    socket.on("clear-board", async () => {
+      if (!socket.currentBoardId) return;
+
+      try {
+        cleanExpiredLocks(socket.currentBoardId);
+
+        const { op, seq, error } = await commitBoardOp(
+          socket.currentBoardId,
+          (board) => {
+            if (board.shapes.length === 0) {
+              return { op: null };
+            }
+            if (
+              board.shapes.some((shape) =>
+                isLockedByOther(socket.currentBoardId, shape.id, socket.id),
+              )
+            ) {
+              return { error: "Object is locked by another user" };
+            }
+
+            return {
+              op: {
+                opType: "batch",
+                payload: {
+                  ops: board.shapes.map((shape) => ({
+                    opType: "delete",
+                    payload: {
+                      shapeId: shape.id,
+                      deletedShape: toPlain(shape),
+                    },
+                  })),
+                },
+                createdBy: socket.userData?.userId || null,
+              },
+            };
+          },
+        );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
+
+        // Already empty
+        if (!op) return;
 
-        await board.save();
+        io.to(socket.currentBoardId).emit("batch-applied", {
+          ops: op.payload.ops,
+          seq,
+        });
+
+        console.log(`Board ${socket.currentBoardId} cleared`);
+      } catch (error) {
+        console.error("clear-board error:", error);
+        socket.emit("error", { message: "Failed to clear board" });
+      }
+    });
+
+    /**
+     * EVENT: batch
+     * Apply several creates, updates and deletes as one transaction
+     * Payload: { ops: [
+     *   { opType: "create", payload: { id, type, ...shape } },
+     *   { opType: "update", payload: { shapeId, changes, baseVersions? } },
+     *   { opType: "delete", payload: { shapeId } },
+     *   { opType: "group", payload: { groupId, shapeIds } },
+     *   { opType: "split", payload: { shapeId, pieces: [{ id, points }] } },
+     * ] }
+     *
+     * Entries are applied in order and either all succeed or none do.
+     * The batch is written once and recorded as a single op, so one undo
+     * reverts all of it. Clients receive batch-applied with the resulting
+     * ops (a group entry becomes a create and one update per member, a
+     * split entry a delete and a create per piece). A batch that isn't
+     * applied is answered with batch-rejected (see rejectBatch).
+     */
+    socket.on("batch", async (data) => {
+      if (!socket.currentBoardId) return;
+
+      const entries = data?.ops;
+      if (!Array.isArray(entries) || entries.length === 0) {
+        socket.emit("error", {
+          message: `A batch must contain between 1 and ${MAX_BATCH_OPS} operations`,
+        });
+        return;
+      }
+
+      try {
+        if (entries.length > MAX_BATCH_OPS) {
+          await rejectBatch(socket, entries, {
+            message: `Too many changes at once: a batch can contain at most ${MAX_BATCH_OPS} operations`,
+          });
+          return;
+        }
+
+        cleanExpiredLocks(socket.currentBoardId);
+
+        // Validate each entry against the board as changed by the ones
+        // before it; nothing is written on any error
+        const { op, seq, error, code, details } = await commitBoardOp(
+          socket.currentBoardId,
+          (board) => {
+            const working = { ...board, shapes: [...board.shapes] };
+            const ops = [];
+            for (const [index, entry] of entries.entries()) {
+              const prepared = prepareBatchEntry(working, entry, socket);
+              if (prepared.error) {
+                return {
+                  error: `Batch rejected: ${prepared.error}`,
+                  code: prepared.code,
+                  details: prepared.details && { ...prepared.details, index },
+                };
+              }
+              prepared.ops.forEach((entryOp) => {
+                applyOpToBoard(working, entryOp);
+                ops.push(entryOp);
+              });
+            }
+
+            return {
+              op: {
+                opType: "batch",
+                payload: { ops },
+                createdBy: socket.userData?.userId || null,
+              },
+            };
+          },
+        );
+        if (error) {
+          await rejectBatch(socket, entries, { message: error, code, details });
+          return;
+        }
+        const { ops } = op.payload;
+
+        // Broadcast to room
+        io.to(socket.currentBoardId).emit("batch-applied", { ops, seq });
+
+        console.log(
+          `Batch of ${ops.length} ops applied on board ${socket.currentBoardId}`,
+        );
+      } catch (error) {
+        console.error("batch error:", error);
+        await rejectBatch(socket, entries, {
+          message: "Failed to apply batch",
+        }).catch(() =>
+          socket.emit("error", { message: "Failed to apply batch" }),
+        );
+      }
+    });
+
+    /**
+     * EVENT: undo
+     * Undo the user's most recent operation still in effect
+     * Ops whose shapes were later changed by another user are skipped
+     * Creates a compensating operation that references it via undoOf
+     */
+    socket.on("undo", async () => {
+      if (!socket.currentBoardId) return;
+
+      try {
+        let skipped = 0;
+        const { op, seq, shapes, error } = await commitBoardOp(
+          socket.currentBoardId,
+          async (board) => {
+            const userId = socket.userData?.userId;
+            const ops = await getUserHistoryOps(board._id, userId, board.opSeq);
+            if (!ops) {
+              return { error: HISTORY_INCOMPLETE };
+            }
+
+            // Only the user's own ops, skipping ones others have since edited
+            const undo = await findUndoTarget(ops, userId, (entryOp) =>
+              findLoggedConflict(board, ops, entryOp, userId),
+            );
+            skipped = undo.skipped;
+            if (!undo.targetOp) {
+              return {
+                error:
+                  skipped > 0
+                    ? "Nothing to undo - your remaining changes were edited by other users"
+                    : "Nothing to undo",
+              };
+            }
+
+            // Create compensating op
+            const undoOp = createUndoOp(undo.targetOp, board);
+            if (!undoOp) {
+              return { error: "Cannot undo this operation" };
+            }
+
+            return {
+              op: {
+                ...undoOp,
+                undoOf: undo.targetOp.opId,
+                createdBy: socket.userData?.userId || null,
+              },
+            };
+          },
+        );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
 
         // Broadcast undo to all clients
         io.to(socket.currentBoardId).emit("undo-applied", {
-          undoOp,
-          shapes: board.shapes, // Send full shapes state for simplicity
+          undoOp: op,
+          shapes, // Send full shapes state for simplicity
+          seq,
         });
 
-        console.log(`Undo applied on board ${socket.currentBoardId}`);
+        console.log(
+          `Undo applied on board ${socket.currentBoardId}` +
+            (skipped > 0 ? ` (skipped ${skipped} conflicting ops)` : ""),
+        );
       } catch (error) {
         console.error("undo error:", error);
         socket.emit("error", { message: "Failed to undo" });
@@ -605,98 +1260,178 @@ export const setupSocketHandlers = (io) => {
 
     /**
      * EVENT: redo
-     * Redo implementation (simplified - redo last undo)
-     * In a full implementation, maintain separate undo/redo stacks
+     * Replay the user's most recently undone operation
+     * Only available until the user makes a new edit, and fails if
+     * another user has since changed the same shape
      */
     socket.on("redo", async () => {
       if (!socket.currentBoardId) return;
 
-      // Simplified redo: similar logic to undo but operating on undo ops
-      // For full production, maintain separate redo stack
-      socket.emit("error", {
-        message: "Redo not fully implemented - use undo to reverse",
-      });
+      try {
+        const { op, seq, shapes, error } = await commitBoardOp(
+          socket.currentBoardId,
+          async (board) => {
+            const userId = socket.userData?.userId;
+            const ops = await getUserHistoryOps(board._id, userId, board.opSeq);
+            if (!ops) {
+              return { error: HISTORY_INCOMPLETE };
+            }
+            const { redoStack } = getHistoryStacks(ops, userId);
+            const targetOp = redoStack[redoStack.length - 1];
+            if (!targetOp) {
+              return { error: "Nothing to redo" };
+            }
+
+            if (await findLoggedConflict(board, ops, targetOp, userId)) {
+              return {
+                error:
+                  "Cannot redo - another user has since changed this shape",
+              };
+            }
+
+            const redoOp = createRedoOp(targetOp, board);
+            if (!redoOp) {
+              return { error: "Cannot redo this operation" };
+            }
+
+            return {
+              op: {
+                ...redoOp,
+                redoOf: targetOp.opId,
+                createdBy: socket.userData?.userId || null,
+              },
+            };
+          },
+        );
+        if (error) {
+          socket.emit("error", { message: error });
+          return;
+        }
+
+        io.to(socket.currentBoardId).emit("redo-applied", {
+          redoOp: op,
+          shapes,
+          seq,
+        });
+
+        console.log(`Redo applied on board ${socket.currentBoardId}`);
+      } catch (error) {
+        console.error("redo error:", error);
+        socket.emit("error", { message: "Failed to redo" });
+      }
     });
 
     /**
      * EVENT: lock-object
-     * Lock an object for editing (prevents others from modifying)
-     * Payload: { objectId }
+     * Lock objects for editing (prevents others from modifying)
+     * Payload: { objectId } or { objectIds } to lock a whole selection
+     *
+     * Locking a group locks every shape and group inside it. Either every
+     * object is locked or, if any of them is locked by someone else, none.
      */
-    socket.on("lock-object", (data) => {
+    socket.on("lock-object", async (data) => {
       if (!socket.currentBoardId) return;
 
-      const { objectId } = data;
+      const rootIds = getObjectIds(data);
+      if (rootIds.length === 0) return;
       const boardId = socket.currentBoardId;
 
-      // Clean expired locks first
-      cleanExpiredLocks(boardId);
+      try {
+        // A group is locked together with everything in it
+        const board = await Board.findById(boardId, {
+          "shapes.id": 1,
+          "shapes.type": 1,
+          "shapes.groupId": 1,
+        }).lean();
+        const scope = new Map();
+        rootIds.forEach((rootId) => {
+          const ids = board ? getLockScope(board.shapes, rootId) : [rootId];
+          ids.forEach((id) => scope.set(id, rootId));
+        });
 
-      // Initialize board locks if needed
-      if (!locks[boardId]) {
-        locks[boardId] = {};
-      }
+        // Clean expired locks first
+        cleanExpiredLocks(boardId);
 
-      // Check if already locked by someone else
-      const existingLock = locks[boardId][objectId];
-      if (existingLock && existingLock.socketId !== socket.id) {
-        socket.emit("lock-failed", {
-          objectId,
-          lockedBy: existingLock.userId,
-        });
-        return;
-      }
+        // Initialize board locks if needed
+        if (!locks[boardId]) {
+          locks[boardId] = {};
+        }
 
-      // Acquire lock
-      locks[boardId][objectId] = {
-        socketId: socket.id,
-        userId: socket.userData?.userId || socket.id,
-        timestamp: Date.now(),
-      };
+        // Check if any of it is already locked by someone else
+        const lockedId = [...scope.keys()].find((id) =>
+          isLockedByOther(boardId, id, socket.id),
+        );
+        if (lockedId) {
+          socket.emit("lock-failed", {
+            objectId: scope.get(lockedId),
+            objectIds: rootIds,
+            lockedBy: locks[boardId][lockedId].userId,
+          });
+          return;
+        }
 
-      // Broadcast lock update to room
-      io.to(boardId).emit("lock-update", {
-        objectId,
-        locked: true,
-        userId: socket.userData?.userId || socket.id,
-      });
+        // Acquire locks
+        scope.forEach((rootId, id) => {
+          locks[boardId][id] = {
+            socketId: socket.id,
+            userId: socket.userData?.userId || socket.id,
+            timestamp: Date.now(),
+            rootId,
+          };
+
+          // Broadcast lock update to room
+          io.to(boardId).emit("lock-update", {
+            objectId: id,
+            locked: true,
+            userId: socket.userData?.userId || socket.id,
+          });
+        });
 
-      console.log(
-        `Object ${objectId} locked by ${socket.id} on board ${boardId}`,
-      );
+        console.log(
+          `Object ${rootIds.join(", ")} locked by ${socket.id} on board ${boardId}` +
+            (scope.size > 1 ? ` (${scope.size} objects)` : ""),
+        );
+      } catch (error) {
+        console.error("lock-object error:", error);
+        socket.emit("error", { message: "Failed to lock object" });
+      }
     });
 
     /**
      * EVENT: unlock-object
-     * Release lock on an object
-     * Payload: { objectId }
+     * Release locks on objects (and, for groups, on their members)
+     * Payload: { objectId } or { objectIds }
      */
     socket.on("unlock-object", (data) => {
       if (!socket.currentBoardId) return;
 
-      const { objectId } = data;
+      const rootIds = getObjectIds(data);
       const boardId = socket.currentBoardId;
 
-      if (!locks[boardId] || !locks[boardId][objectId]) {
+      if (!locks[boardId]) {
         return; // Not locked
       }
 
-      // Only the lock owner can unlock
-      if (locks[boardId][objectId].socketId !== socket.id) {
-        return;
-      }
-
-      // Release lock
-      delete locks[boardId][objectId];
-
-      // Broadcast unlock to room
-      io.to(boardId).emit("lock-update", {
-        objectId,
-        locked: false,
+      // Release the locks and any taken with them (group members);
+      // only the lock owner can unlock
+      Object.keys(locks[boardId]).forEach((id) => {
+        const lock = locks[boardId][id];
+        if (
+          (rootIds.includes(id) || rootIds.includes(lock.rootId)) &&
+          lock.socketId === socket.id
+        ) {
+          delete locks[boardId][id];
+
+          // Broadcast unlock to room
+          io.to(boardId).emit("lock-update", {
+            objectId: id,
+            locked: false,
+          });
+        }
       });
 
       console.log(
-        `Object ${objectId} unlocked by ${socket.id} on board ${boardId}`,
+        `Object ${rootIds.join(", ")} unlocked by ${socket.id} on board ${boardId}`,
       );
     });
 
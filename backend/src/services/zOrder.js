@@ -0,0 +1,108 @@
+/**
+ * Z-order (stacking order) of shapes
+ *
+ * Shapes are drawn in ascending zIndex; shapes with equal zIndex (or none,
+ * on boards created before zIndex existed) keep their array order.
+ */
+
+/**
+ * Supported reorder actions
+ */
+export const Z_ORDER_ACTIONS = ["front", "back", "forward", "backward"];
+
+const getZIndex = (shape) => shape.zIndex ?? 0;
+
+/**
+ * Shapes sorted bottom to top
+ * Returns a new array; the sort is stable so ties keep array order
+ */
+export const sortByZIndex = (shapes) =>
+  [...shapes].sort((a, b) => getZIndex(a) - getZIndex(b));
+
+/**
+ * Compute the zIndex changes that move shapes in the stacking order
+ *
+ * The shapes move as one block, keeping their order among themselves:
+ * front/back move it above/below every other shape, forward/backward move
+ * it past the shape directly above its top shape/below its bottom shape.
+ * Groups have no geometry and are never drawn, so they are skipped; move
+ * a group by passing the shapes in it (see getDescendantIds in
+ * services/groups.js). Only shapes whose zIndex has to change are
+ * returned.
+ *
+ * @param {Array} shapes - Board shapes
+ * @param {string[]} shapeIds - Shapes to move
+ * @param {string} action - One of Z_ORDER_ACTIONS
+ * @returns {Array|null} [{ shapeId, zIndex }], empty if the shapes are
+ *   already in place or none of them is drawn, or null for an unknown
+ *   action
+ */
+export const computeZOrderChanges = (shapes, shapeIds, action) => {
+  if (!Z_ORDER_ACTIONS.includes(action)) return null;
+
+  const moving = new Set(shapeIds);
+  const ordered = sortByZIndex(shapes.filter((s) => s.type !== "group"));
+  const block = ordered.filter((s) => moving.has(s.id));
+  const others = ordered.filter((s) => !moving.has(s.id));
+  if (block.length === 0 || others.length === 0) return [];
+
+  const isMoving = (s) => moving.has(s.id);
+  const changes = [];
+  const setZIndex = (shape, zIndex) => {
+    if (zIndex !== getZIndex(shape)) {
+      changes.push({ shapeId: shape.id, zIndex });
+    }
+  };
+
+  if (action === "front") {
+    if (ordered.slice(-block.length).every(isMoving)) return [];
+    const top = Math.max(...others.map(getZIndex));
+    block.forEach((shape, i) => setZIndex(shape, top + 1 + i));
+    return changes;
+  }
+
+  if (action === "back") {
+    if (ordered.slice(0, block.length).every(isMoving)) return [];
+    const bottom = Math.min(...others.map(getZIndex));
+    block.forEach((shape, i) => setZIndex(shape, bottom - block.length + i));
+    return changes;
+  }
+
+  // forward/backward: put the block just past its neighbor among the
+  // other shapes
+  let insertAt;
+  if (action === "forward") {
+    const topIndex = ordered.findLastIndex(isMoving);
+    insertAt = others.findIndex((s) => ordered.indexOf(s) > topIndex) + 1;
+    if (insertAt === 0) return [];
+  } else {
+    const bottomIndex = ordered.findIndex(isMoving);
+    insertAt = others.findLastIndex((s) => ordered.indexOf(s) < bottomIndex);
+    if (insertAt === -1) return [];
+  }
+  const reordered = [
+    ...others.slice(0, insertAt),
+    ...block,
+    ...others.slice(insertAt),
+  ];
+
+  // Each position keeps its zIndex, so a swap of two distinct values is
+  // just that. Where values tie, array order decides, so raise any shape
+  // that would otherwise not sit above the one below it
+  const arrayIndex = new Map(shapes.map((s, i) => [s.id, i]));
+  let previous = null;
+  reordered.forEach((shape, i) => {
+    let zIndex = getZIndex(ordered[i]);
+    if (
+      previous &&
+      (zIndex < previous.zIndex ||
+        (zIndex === previous.zIndex &&
+          arrayIndex.get(shape.id) < arrayIndex.get(previous.id)))
+    ) {
+      zIndex = previous.zIndex + 1;
+    }
+    setZIndex(shape, zIndex);
+    previous = { id: shape.id, zIndex };
+  });
+  return changes;
+};
@@ -0,0 +1,149 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeZOrderChanges, sortByZIndex } from "./zOrder.js";
+
+/**
+ * Shapes from [id, zIndex] pairs, in that array order
+ */
+const stack = (...pairs) =>
+  pairs.map(([id, zIndex]) => (zIndex === undefined ? { id } : { id, zIndex }));
+
+const ids = (shapes) => shapes.map((s) => s.id);
+
+describe("sortByZIndex", () => {
+  it("sorts bottom to top without changing the input", () => {
+    const shapes = stack(["c", 3], ["a", 1], ["b", 2]);
+    assert.deepEqual(ids(sortByZIndex(shapes)), ["a", "b", "c"]);
+    assert.deepEqual(ids(shapes), ["c", "a", "b"]);
+  });
+
+  it("keeps array order for ties and counts a missing zIndex as 0", () => {
+    const shapes = stack(["b", 0], ["x"], ["a", -1], ["y"]);
+    assert.deepEqual(ids(sortByZIndex(shapes)), ["a", "b", "x", "y"]);
+  });
+});
+
+describe("computeZOrderChanges", () => {
+  const shapes = stack(["a", 1], ["b", 2], ["c", 3]);
+
+  it("brings a shape above the top one", () => {
+    assert.deepEqual(computeZOrderChanges(shapes, ["a"], "front"), [
+      { shapeId: "a", zIndex: 4 },
+    ]);
+  });
+
+  it("sends a shape below the bottom one", () => {
+    assert.deepEqual(computeZOrderChanges(shapes, ["c"], "back"), [
+      { shapeId: "c", zIndex: 0 },
+    ]);
+  });
+
+  it("swaps zIndex with the shape directly above or below", () => {
+    assert.deepEqual(computeZOrderChanges(shapes, ["a"], "forward"), [
+      { shapeId: "b", zIndex: 1 },
+      { shapeId: "a", zIndex: 2 },
+    ]);
+    assert.deepEqual(computeZOrderChanges(shapes, ["c"], "backward"), [
+      { shapeId: "c", zIndex: 2 },
+      { shapeId: "b", zIndex: 3 },
+    ]);
+  });
+
+  it("changes nothing for a shape already in place", () => {
+    assert.deepEqual(computeZOrderChanges(shapes, ["c"], "front"), []);
+    assert.deepEqual(computeZOrderChanges(shapes, ["c"], "forward"), []);
+    assert.deepEqual(computeZOrderChanges(shapes, ["a"], "back"), []);
+    assert.deepEqual(computeZOrderChanges(shapes, ["a"], "backward"), []);
+  });
+
+  it("breaks ties by raising shapes that would no longer be above the one below", () => {
+    const tied = stack(["a", 1], ["b", 1], ["c", 1]);
+    // Order becomes b, a, c
+    assert.deepEqual(computeZOrderChanges(tied, ["a"], "forward"), [
+      { shapeId: "a", zIndex: 2 },
+      { shapeId: "c", zIndex: 3 },
+    ]);
+    // Order becomes a, c, b: a and c can stay tied, as c is later in
+    // the array
+    assert.deepEqual(computeZOrderChanges(tied, ["c"], "backward"), [
+      { shapeId: "b", zIndex: 2 },
+    ]);
+  });
+
+  it("only raises shapes up to the first gap", () => {
+    const tied = stack(["a", 1], ["b", 1], ["c", 5], ["d", 7], ["e", 7]);
+    assert.deepEqual(computeZOrderChanges(tied, ["a"], "forward"), [
+      { shapeId: "a", zIndex: 2 },
+    ]);
+  });
+
+  it("counts shapes without a zIndex as 0", () => {
+    const legacy = stack(["x"], ["y"], ["z", 5]);
+    assert.deepEqual(computeZOrderChanges(legacy, ["x"], "forward"), [
+      { shapeId: "x", zIndex: 1 },
+    ]);
+    assert.deepEqual(computeZOrderChanges(legacy, ["z"], "back"), [
+      { shapeId: "z", zIndex: -1 },
+    ]);
+    assert.deepEqual(computeZOrderChanges(legacy, ["y"], "front"), [
+      { shapeId: "y", zIndex: 6 },
+    ]);
+  });
+
+  it("returns null for an unknown action and nothing for unknown shapes", () => {
+    assert.equal(computeZOrderChanges(shapes, ["a"], "sideways"), null);
+    assert.deepEqual(computeZOrderChanges(shapes, ["nope"], "front"), []);
+  });
+});
+
+describe("computeZOrderChanges with groups", () => {
+  // g holds a and c; b sits between them and d on top
+  const shapes = [
+    { id: "g", type: "group" },
+    { id: "a", zIndex: 1, groupId: "g" },
+    { id: "b", zIndex: 2 },
+    { id: "c", zIndex: 3, groupId: "g" },
+    { id: "d", zIndex: 4 },
+  ];
+
+  it("never treats a group as a neighbor", () => {
+    const withGroup = [{ id: "g", type: "group" }, ...stack(["a", 1])];
+    assert.deepEqual(computeZOrderChanges(withGroup, ["a"], "backward"), []);
+    assert.deepEqual(computeZOrderChanges(withGroup, ["a"], "back"), []);
+  });
+
+  it("brings every shape of a group to the front, in their order", () => {
+    assert.deepEqual(computeZOrderChanges(shapes, ["g", "a", "c"], "front"), [
+      { shapeId: "a", zIndex: 5 },
+      { shapeId: "c", zIndex: 6 },
+    ]);
+  });
+
+  it("sends every shape of a group to the back", () => {
+    assert.deepEqual(computeZOrderChanges(shapes, ["g", "a", "c"], "back"), [
+      { shapeId: "a", zIndex: 0 },
+      { shapeId: "c", zIndex: 1 },
+    ]);
+  });
+
+  it("moves a group forward past the shape above its top shape", () => {
+    // Order becomes b, d, a, c
+    assert.deepEqual(computeZOrderChanges(shapes, ["g", "a", "c"], "forward"), [
+      { shapeId: "b", zIndex: 1 },
+      { shapeId: "d", zIndex: 2 },
+      { shapeId: "a", zIndex: 3 },
+      { shapeId: "c", zIndex: 4 },
+    ]);
+  });
+
+  it("changes nothing for a group already in front or with no shapes", () => {
+    const onTop = [...shapes, { id: "e", zIndex: 0 }].map((s) =>
+      s.id === "d" ? { ...s, groupId: "g" } : s,
+    );
+    assert.deepEqual(
+      computeZOrderChanges(onTop, ["g", "a", "c", "d"], "forward"),
+      [],
+    );
+    assert.deepEqual(computeZOrderChanges(shapes, ["g"], "front"), []);
+  });
+});
@@ -1,18 +1,157 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
+import React, {
+  useEffect,
+  useRef,
+  useState,
+  useCallback,
+  useMemo,
+} from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { io } from "socket.io-client";
 import api from "../services/api";
+import {
+  MAX_BATCH_OPS,
+  applyOp,
+  mergeShapeChanges,
+  revertShapes,
+} from "../utils/applyOp";
+import { sortByZIndex } from "../utils/zOrder";
+import {
+  expandSelection,
+  getDescendantIds,
+  getTopLevelId,
+} from "../utils/groups";
+import {
+  getCombinedBounds,
+  getFontSize,
+  getPosition,
+  getShapeBounds,
+  translateShape,
+} from "../utils/geometry";
+import {
+  ARROWHEAD_STYLES,
+  canBindTo,
+  distanceToSegment,
+  drawConnector,
+  getConnectorEndpoints,
+  isConnector,
+} from "../utils/connectors";
+import {
+  STICKY_COLORS,
+  STICKY_LINE_HEIGHT,
+  STICKY_PADDING,
+  STICKY_SIZE,
+  STICKY_TEXT_COLOR,
+  drawSticky,
+  layoutStickyText,
+} from "../utils/sticky";
+import {
+  MAX_IMAGE_SIZE,
+  createImageCache,
+  drawImageShape,
+  fitImageSize,
+  getImageFiles,
+  loadImage,
+} from "../utils/images";
+import {
+  LINE_CAPS,
+  LINE_JOINS,
+  STROKE_DASHES,
+  applyShapeStyle,
+  canFill,
+  getShapeStyle,
+  hasStroke,
+} from "../utils/shapeStyle";
+import {
+  applyRotation,
+  canResize,
+  drawHandles,
+  getHandleAt,
+  getTransformChanges,
+  toShapeFrame,
+} from "../utils/transform";
+import { getMarqueeBounds, getUnitsInMarquee } from "../utils/selection";
+import { distanceToPath, strokeSmoothPath } from "../utils/paths";
+import {
+  ERASER_MODES,
+  ERASER_RADIUS,
+  cutPath,
+  touchesPath,
+} from "../utils/eraser";
+import { getPinch, isPalmTouch, toPathPoint } from "../utils/pointers";
+import {
+  PASTE_OFFSET,
+  buildPasteOps,
+  parseClipboard,
+  serializeShapes,
+} from "../utils/clipboard";
+import {
+  NUDGE_STEP,
+  NUDGE_STEP_FAR,
+  SHORTCUT_ACTIONS,
+  findAction,
+  formatCombo,
+  getBindings,
+  getKeyCombo,
+  rebind,
+  resetBinding,
+} from "../utils/shortcuts";
+import {
+  DEFAULT_VIEWPORT,
+  ZOOM_STEP,
+  applyViewport,
+  fitBounds,
+  getVisibleBounds,
+  panBy,
+  pinchZoom,
+  screenToWorld,
+  worldToScreen,
+  zoomAt,
+} from "../utils/viewport";
+import { createSpatialIndex, getDrawnBounds } from "../utils/spatialIndex";
+
+/**
+ * History playback steps loaded per request
+ */
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Steps of a page of history by seq, for the seqs before `before` it
+ * covers; seqs with no step (ops missing from the log) map to null
+ */
+const indexSteps = ({ steps, hasMore }, before) => {
+  const bySeq = {};
+  const from = hasMore ? steps[0].seq : 1;
+  for (let seq = from; seq < before; seq++) bySeq[seq] = null;
+  steps.forEach((step) => {
+    bySeq[step.seq] = step;
+  });
+  return bySeq;
+};
 
 /**
  * Workspace - Main collaborative whiteboard component
  *
  * Features:
  * - HTML5 Canvas drawing with freehand paths
- * - Shape tools (rect, circle, text)
- * - Selection and transformation
+ * - Eraser that deletes whole strokes or cuts away the parts it covers
+ * - Infinite canvas: wheel zoom, Space+drag (or middle-drag) to pan
+ * - Pointer Events for mouse, touch and pen: pinch-zoom and two-finger
+ *   pan, palm rejection, and pen pressure stored on path points
+ * - Large boards: only shapes in view are drawn, shapes are found through
+ *   a spatial index, and cursors and selection are drawn on an overlay
+ *   canvas so they don't repaint the shapes
+ * - Shape tools (rect, circle, text, sticky note, line, arrow)
+ * - Images dropped or pasted onto the canvas
+ * - Lines and arrows that stay attached to shapes
+ * - Selection (click, Shift+click, rubber band) and transformation
+ * - Grouping (nested groups move, delete, lock and style as one)
+ * - Copy, paste and duplicate, including between boards
+ * - Keyboard shortcuts, customizable per user
+ * - Z-order (bring forward / send backward)
  * - Layers panel
  * - Real-time collaboration via Socket.IO
  * - Undo/redo with operation log
+ * - Named versions and history playback
  * - Object locking
  * - Presence (collaborative cursors)
  */
@@ -21,32 +160,93 @@ const Workspace = () => {
   const navigate = useNavigate();
 
   // Refs
+  // Shapes are drawn on the scene canvas; canvasRef is the overlay above
+  // it (selection, previews, cursors), which also takes the pointer events
   const canvasRef = useRef(null);
+  const sceneCanvasRef = useRef(null);
+  const canvasWrapperRef = useRef(null);
+  // Pan in progress: { start pointer position, viewport when it started }
+  const panRef = useRef(null);
+  // Pointer using the current tool; other pointers wait until it's lifted
+  const activePointerRef = useRef(null);
+  // Fingers on the canvas (pointer ID -> canvas position), and their pinch
+  // once there are two: { start pinch, viewport when it started }
+  const touchesRef = useRef(new Map());
+  const pinchRef = useRef(null);
+  // timeStamp of the last pen event, for palm rejection
+  const lastPenTimeRef = useRef(-Infinity);
   const socketRef = useRef(null);
   const drawingRef = useRef(false);
   const currentPathRef = useRef(null);
   const lastEmitTimeRef = useRef(0);
+  const dragOriginRef = useRef(null);
+  // Erase in progress: { last eraser position, erased (as erasePreview) }
+  const eraseRef = useRef(null);
+  // Resize/rotate in progress: { handle, shape as it was when it started,
+  // offset from the pointer to the handle }
+  const transformRef = useRef(null);
+  const styleTimerRef = useRef(null);
+  const pendingStyleRef = useRef(null);
+  const imageCacheRef = useRef(null);
+  // Last clipboard text pasted and how many times, so repeated pastes
+  // step further from the copied shapes
+  const pasteRef = useRef({ text: null, count: 0 });
+  // Arrow-key move not yet sent: { key, shapes as they were, dx, dy, timer }
+  const nudgeRef = useRef(null);
+  const playbackRequestRef = useRef(0);
+  // `before` of the last page of history steps requested
+  const playbackPageRef = useRef(null);
+  // Highest op seq applied with no gaps before it (null until board-state)
+  const seqRef = useRef(null);
+  // Seqs received ahead of seqRef (broadcasts can arrive out of order)
+  const pendingSeqsRef = useRef(new Set());
 
   // Canvas state
   const [shapes, setShapes] = useState([]);
+  // How the board is panned and zoomed (see utils/viewport), and the size
+  // of the canvas, which fills the space next to the toolbar
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT);
+  const [canvasSize, setCanvasSize] = useState({ width: 1200, height: 800 });
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [isPanning, setIsPanning] = useState(false);
   const [boardName, setBoardName] = useState("");
   const [currentDrawingPath, setCurrentDrawingPath] = useState(null);
   const [currentDrawingShape, setCurrentDrawingShape] = useState(null);
 
   // Tool state
-  const [currentTool, setCurrentTool] = useState("pen"); // pen, rect, circle, text, select
+  const [currentTool, setCurrentTool] = useState("pen"); // pen, eraser, rect, circle, text, sticky, line, arrow, select
   const [currentColor, setCurrentColor] = useState("#000000");
   const [strokeWidth, setStrokeWidth] = useState(2);
+  const [arrowhead, setArrowhead] = useState("arrow");
+  // "stroke" deletes whole paths, "partial" cuts away what it covers
+  const [eraserMode, setEraserMode] = useState("stroke");
+  const [stickyColor, setStickyColor] = useState(STICKY_COLORS[0]);
 
   // Layer state
   const [layers, setLayers] = useState(["default"]);
   const [currentLayer, setCurrentLayer] = useState("default");
   const [layerVisibility, setLayerVisibility] = useState({ default: true });
 
-  // Selection state
-  const [selectedShapeId, setSelectedShapeId] = useState(null);
+  // Selection state: top-level shapes and groups (members of a selected
+  // group are not listed individually)
+  const [selectedIds, setSelectedIds] = useState([]);
   const [isDragging, setIsDragging] = useState(false);
+  // Sticky note whose text is being edited in place, and the draft text
+  const [editingId, setEditingId] = useState(null);
+  const [editingText, setEditingText] = useState("");
+
+  // Properties panel edits not yet reflected in the selected shapes
+  const [styleDraft, setStyleDraft] = useState({});
+
+  // Bumped whenever an image finishes loading, to redraw the canvas
+  const [imagesLoaded, setImagesLoaded] = useState(0);
   const [dragStart, setDragStart] = useState(null);
+  // Rubber-band selection being dragged: { start, end, additive }
+  const [marquee, setMarquee] = useState(null);
+  // Paths the eraser has gone over, as what's left of them (path ID ->
+  // arrays of points), and where the eraser is while over the canvas
+  const [erasePreview, setErasePreview] = useState(null);
+  const [eraserPosition, setEraserPosition] = useState(null);
 
   // Presence state
   const [collaborators, setCollaborators] = useState([]);
@@ -58,7 +258,16 @@ const Workspace = () => {
   // UI state
   const [showLayers, setShowLayers] = useState(true);
   const [showCollaborators, setShowCollaborators] = useState(true);
+  const [showVersions, setShowVersions] = useState(true);
   const [error, setError] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+
+  // Keyboard shortcuts: the user's changes to the default bindings, and
+  // the action waiting for a new key in the shortcuts dialog
+  const [customShortcuts, setCustomShortcuts] = useState({});
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [recordingAction, setRecordingAction] = useState(null);
+  const shortcutBindings = getBindings(customShortcuts);
 
   // Invite modal state
   const [showInviteModal, setShowInviteModal] = useState(false);
@@ -66,6 +275,81 @@ const Workspace = () => {
   const [inviting, setInviting] = useState(false);
   const [inviteSuccess, setInviteSuccess] = useState(null);
 
+  // Versions state
+  const [versions, setVersions] = useState([]);
+
+  // History playback state (playbackSteps is null outside playback mode)
+  // The position is an op seq, from 0 (empty board) to playbackEnd; steps
+  // are loaded a page at a time as it moves: { [seq]: step }
+  const [playbackSteps, setPlaybackSteps] = useState(null);
+  const [playbackEnd, setPlaybackEnd] = useState(0);
+  const [playbackIndex, setPlaybackIndex] = useState(0);
+  const [playbackShapes, setPlaybackShapes] = useState([]);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const isPlaybackMode = playbackSteps !== null;
+
+  // Shapes shown on the canvas: the live board, or a past state in playback
+  const displayedShapes = isPlaybackMode ? playbackShapes : shapes;
+
+  // Shapes by ID, for following connector attachments
+  const shapesById = useMemo(
+    () => new Map(shapes.map((s) => [s.id, s])),
+    [shapes],
+  );
+  const displayedById = useMemo(
+    () => new Map(displayedShapes.map((s) => [s.id, s])),
+    [displayedShapes],
+  );
+
+  // Off-screen context for measuring text
+  const measureCtx = useMemo(
+    () => document.createElement("canvas").getContext("2d"),
+    [],
+  );
+
+  // Spatial index of the displayed shapes, for drawing only what's in
+  // view and for finding shapes under the pointer
+  const shapeIndex = useMemo(
+    () =>
+      createSpatialIndex(
+        displayedShapes.flatMap((shape) => {
+          const bounds = getDrawnBounds(shape, displayedById, measureCtx);
+          return bounds ? [{ id: shape.id, bounds }] : [];
+        }),
+      ),
+    [displayedShapes, displayedById, measureCtx],
+  );
+
+  // The single selected shape or group, if exactly one is selected
+  const singleSelected =
+    selectedIds.length === 1
+      ? shapes.find((s) => s.id === selectedIds[0]) || null
+      : null;
+
+  // Shapes the properties panel edits (members of selected groups
+  // included) and the style it shows: the first shape's
+  const selectedShapes = (() => {
+    if (selectedIds.length === 0) return [];
+    const ids = expandSelection(shapes, selectedIds);
+    return shapes.filter((s) => ids.has(s.id) && s.type !== "group");
+  })();
+  const styleSource = selectedShapes[0] || null;
+  const panelStyle = styleSource && {
+    ...getShapeStyle(styleSource),
+    ...styleDraft,
+  };
+
+  // Sticky note being edited, and the font size its draft text fits at
+  const editingNote =
+    (editingId && shapes.find((s) => s.id === editingId)) || null;
+  const editingFontSize =
+    editingNote && canvasRef.current
+      ? layoutStickyText(canvasRef.current.getContext("2d"), {
+          ...editingNote,
+          text: editingText,
+        }).fontSize
+      : undefined;
+
   /**
    * Generate unique ID for shapes
    */
@@ -86,6 +370,29 @@ const Workspace = () => {
     };
   };
 
+  /**
+   * Record that the op with this seq has been applied
+   * Advances seqRef over any contiguous run of received seqs, so a
+   * reconnect asks for everything after the first gap
+   */
+  const trackSeq = (seq) => {
+    if (seq === undefined || seqRef.current === null) return;
+
+    pendingSeqsRef.current.add(seq);
+    while (pendingSeqsRef.current.has(seqRef.current + 1)) {
+      seqRef.current += 1;
+      pendingSeqsRef.current.delete(seqRef.current);
+    }
+  };
+
+  /**
+   * Reset seq tracking to a known full-state seq
+   */
+  const resetSeq = (seq) => {
+    seqRef.current = seq ?? null;
+    pendingSeqsRef.current = new Set();
+  };
+
   /**
    * Initialize Socket.IO connection
    */
@@ -99,15 +406,35 @@ const Workspace = () => {
     });
 
     const socket = socketRef.current;
+    resetSeq(null);
+
+    // Join board room on connect, and rejoin after every reconnect
+    // On rejoin, only the ops missed while disconnected are requested
+    socket.on("connect", () => {
+      setIsConnected(true);
+      socket.emit("join-board", {
+        boardId,
+        token,
+        ...(seqRef.current !== null && { sinceSeq: seqRef.current }),
+      });
+    });
 
-    // Join board room
-    socket.emit("join-board", { boardId, token });
+    socket.on("disconnect", () => {
+      setIsConnected(false);
+    });
 
-    // Listen for board state (on join)
+    // Listen for board state (on join, or after a version restore)
     socket.on("board-state", (data) => {
       console.log("Received board state:", data);
+      resetSeq(data.seq);
       setShapes(data.shapes || []);
-      setLockedObjects(data.locks || {});
+      // Restores re-send shapes only; keep the current locks
+      if (data.locks) {
+        setLockedObjects(data.locks);
+      }
+      if (data.restoredVersion) {
+        setSelectedIds([]);
+      }
 
       // Extract unique layers from shapes
       const uniqueLayers = [
@@ -116,6 +443,14 @@ const Workspace = () => {
       setLayers(uniqueLayers.length > 0 ? uniqueLayers : ["default"]);
     });
 
+    // Listen for missed ops (on rejoin)
+    socket.on("board-resync", (data) => {
+      console.log("Received board resync:", data);
+      setShapes((prev) => data.ops.reduce(applyOp, prev));
+      setLockedObjects(data.locks || {});
+      resetSeq(data.seq);
+    });
+
     // Listen for draw events from other users
     socket.on("draw-start", (data) => {
       console.log("Remote draw-start:", data);
@@ -140,28 +475,63 @@ const Workspace = () => {
         color: data.color,
         strokeWidth: data.strokeWidth,
         layer: data.layer || "default",
+        zIndex: data.zIndex,
       };
-      setShapes((prev) => [...prev, shape]);
+      setShapes((prev) => applyOp(prev, { opType: "create", payload: shape }));
+      trackSeq(data.seq);
     });
 
     // Listen for shape events
-    socket.on("shape-created", (shape) => {
+    socket.on("shape-created", ({ seq, ...shape }) => {
       console.log("Remote shape-created:", shape);
-      setShapes((prev) => [...prev, shape]);
+      setShapes((prev) => applyOp(prev, { opType: "create", payload: shape }));
+      trackSeq(seq);
     });
 
     socket.on("shape-updated", (data) => {
       console.log("Remote shape-updated:", data);
+      setShapes((prev) => applyOp(prev, { opType: "update", payload: data }));
+      trackSeq(data.seq);
+    });
+
+    // Our change lost to a concurrent edit of the same property:
+    // take the server's values back
+    socket.on("update-conflict", (data) => {
+      console.log("Update conflict:", data);
       setShapes((prev) =>
         prev.map((shape) =>
-          shape.id === data.shapeId ? { ...shape, ...data.changes } : shape,
+          shape.id === data.shapeId
+            ? mergeShapeChanges(shape, data.current, data.versions)
+            : shape,
         ),
       );
+      setError(
+        `Your change to ${data.rejected.join(", ")} was overridden by another user`,
+      );
+      setTimeout(() => setError(null), 3000);
     });
 
     socket.on("shape-deleted", (data) => {
       console.log("Remote shape-deleted:", data);
-      setShapes((prev) => prev.filter((s) => s.id !== data.shapeId));
+      setShapes((prev) => applyOp(prev, { opType: "delete", payload: data }));
+      trackSeq(data.seq);
+    });
+
+    socket.on("batch-applied", (data) => {
+      console.log("Remote batch-applied:", data);
+      setShapes((prev) =>
+        applyOp(prev, { opType: "batch", payload: { ops: data.ops } }),
+      );
+      trackSeq(data.seq);
+    });
+
+    // Nothing in our batch was applied: put back the server's copies of
+    // the shapes it touched, e.g. ones we moved while dragging
+    socket.on("batch-rejected", (data) => {
+      console.log("Batch rejected:", data);
+      setShapes((prev) => revertShapes(prev, data.shapeIds, data.shapes));
+      setError(data.message);
+      setTimeout(() => setError(null), 3000);
     });
 
     // Listen for undo events
@@ -169,6 +539,14 @@ const Workspace = () => {
       console.log("Undo applied:", data);
       // Server sends full shapes state after undo
       setShapes(data.shapes || []);
+      trackSeq(data.seq);
+    });
+
+    // Listen for redo events
+    socket.on("redo-applied", (data) => {
+      console.log("Redo applied:", data);
+      setShapes(data.shapes || []);
+      trackSeq(data.seq);
     });
 
     // Listen for lock events
@@ -258,8 +636,60 @@ const Workspace = () => {
     };
 
     loadBoard();
+    loadVersions();
   }, [boardId]);
 
+  /**
+   * Fetch saved versions of the board
+   */
+  const loadVersions = async () => {
+    try {
+      const versionList = await api.boards.getVersions(boardId);
+      setVersions(versionList);
+    } catch (err) {
+      console.error("Failed to load versions:", err);
+    }
+  };
+
+  /**
+   * Save the current board state as a named version
+   */
+  const handleSaveVersion = async () => {
+    const name = prompt("Version name:");
+    if (!name || !name.trim()) return;
+
+    try {
+      const version = await api.boards.createVersion(boardId, name.trim());
+      setVersions((prev) => [version, ...prev]);
+    } catch (err) {
+      console.error("Failed to save version:", err);
+      setError(err.message || "Failed to save version");
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  /**
+   * Restore a saved version
+   * The restored shapes arrive for everyone through board-state
+   */
+  const handleRestoreVersion = async (version) => {
+    if (
+      !window.confirm(
+        `Restore "${version.name}"? This replaces the board for everyone and clears undo history.`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await api.boards.restoreVersion(boardId, version.id);
+    } catch (err) {
+      console.error("Failed to restore version:", err);
+      setError(err.message || "Failed to restore version");
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
   /**
    * Invite user to board
    */
@@ -292,48 +722,191 @@ const Workspace = () => {
   };
 
   /**
-   * Redraw canvas when shapes change
+   * Enter history playback mode, starting at the latest op
+   */
+  const enterPlayback = async () => {
+    try {
+      const history = await api.boards.getHistory(boardId, {
+        limit: HISTORY_PAGE_SIZE,
+      });
+      setSelectedIds([]);
+      playbackPageRef.current = null;
+      setPlaybackSteps(indexSteps(history, history.opSeq + 1));
+      setPlaybackEnd(history.opSeq);
+      setPlaybackIndex(history.opSeq);
+      setIsPlaying(false);
+    } catch (err) {
+      console.error("Failed to load history:", err);
+      setError(err.message || "Failed to load history");
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  /**
+   * Leave history playback and return to the live board
+   */
+  const exitPlayback = () => {
+    setIsPlaying(false);
+    setPlaybackSteps(null);
+    setPlaybackShapes([]);
+  };
+
+  /**
+   * Toggle play/pause; restarts from the beginning when at the end
+   */
+  const togglePlaying = () => {
+    if (!isPlaying && playbackIndex >= playbackEnd) {
+      setPlaybackIndex(0);
+    }
+    setIsPlaying((prev) => !prev);
+  };
+
+  /**
+   * Label for a playback step: what happened, who did it and when
+   */
+  const describeStep = (step) => {
+    const action = step.kind === "edit" ? step.opType : step.kind;
+    const author = step.author?.name || "Unknown";
+    return `${action} by ${author} · ${new Date(step.createdAt).toLocaleString()}`;
+  };
+
+  /**
+   * Label for the current playback position
+   */
+  const describePlaybackIndex = () => {
+    if (playbackIndex === 0) return "Empty board";
+    const step = playbackSteps[playbackIndex];
+    if (step === undefined) return "Loading...";
+    return step ? describeStep(step) : "Step not recorded";
+  };
+
+  /**
+   * Load the steps from the playback position on when its step isn't
+   * loaded yet, so playing forward needs one request per page
    */
   useEffect(() => {
-    const canvas = canvasRef.current;
+    if (!playbackSteps || playbackIndex === 0) return;
+    if (playbackIndex in playbackSteps) return;
+
+    const before = Math.min(playbackIndex + HISTORY_PAGE_SIZE, playbackEnd + 1);
+    if (playbackPageRef.current === before) return;
+    playbackPageRef.current = before;
+
+    api.boards
+      .getHistory(boardId, { limit: HISTORY_PAGE_SIZE, before })
+      .then((history) => {
+        setPlaybackSteps(
+          (prev) => prev && { ...prev, ...indexSteps(history, before) },
+        );
+      })
+      .catch((err) => {
+        console.error("Failed to load history:", err);
+        setError("Failed to load history");
+        setTimeout(() => setError(null), 3000);
+      });
+  }, [boardId, playbackSteps, playbackEnd, playbackIndex]);
+
+  /**
+   * Rebuild the canvas for the current playback step
+   * Position seq shows the board right after that op (0 = empty board)
+   */
+  useEffect(() => {
+    if (!isPlaybackMode) return;
+
+    const seq = playbackIndex;
+    const requestId = ++playbackRequestRef.current;
+
+    api.boards
+      .getHistorySnapshot(boardId, seq)
+      .then((snapshot) => {
+        // Ignore responses that arrive after the slider moved on
+        if (requestId === playbackRequestRef.current) {
+          setPlaybackShapes(snapshot.shapes);
+        }
+      })
+      .catch((err) => {
+        console.error("Failed to load history snapshot:", err);
+        setError("Failed to load history snapshot");
+        setTimeout(() => setError(null), 3000);
+      });
+  }, [boardId, isPlaybackMode, playbackIndex]);
+
+  /**
+   * Advance playback while playing
+   */
+  useEffect(() => {
+    if (!isPlaying || !isPlaybackMode) return;
+
+    if (playbackIndex >= playbackEnd) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      setPlaybackIndex((prev) => prev + 1);
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, isPlaybackMode, playbackEnd, playbackIndex]);
+
+  /**
+   * Cache of the board's uploaded images, released when leaving the board
+   */
+  useEffect(() => {
+    const cache = createImageCache(
+      (assetId) => api.boards.getAsset(boardId, assetId),
+      () => setImagesLoaded((n) => n + 1),
+    );
+    imageCacheRef.current = cache;
+    return () => cache.clear();
+  }, [boardId]);
+
+  /**
+   * Redraw the shapes when they or the view change
+   * Only shapes in view are drawn. Selection, previews and cursors are on
+   * the overlay canvas, so they don't repaint the shapes.
+   */
+  useEffect(() => {
+    const canvas = sceneCanvasRef.current;
     if (!canvas) return;
 
     const ctx = canvas.getContext("2d");
 
-    // Clear canvas
+    // Clear canvas, then draw in world coordinates
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+    applyViewport(ctx, viewport);
+
+    const inView = shapeIndex
+      .search(getVisibleBounds(viewport, canvas.width, canvas.height))
+      .map((id) => displayedById.get(id));
+
+    // Draw shapes bottom to top (respecting layer visibility)
+    sortByZIndex(inView).forEach((shape) => {
+      // Groups have no geometry of their own
+      if (shape.type === "group") return;
 
-    // Draw all shapes (respecting layer visibility)
-    shapes.forEach((shape) => {
       const layerVisible = layerVisibility[shape.layer] !== false;
       if (!layerVisible) return;
 
-      ctx.strokeStyle = shape.color;
-      ctx.lineWidth = shape.strokeWidth || 2;
-      ctx.fillStyle = shape.color;
+      ctx.save();
+      applyShapeStyle(ctx, shape);
+      applyRotation(ctx, shape);
 
       if (shape.type === "path") {
         // Draw freehand path
-        if (shape.points && shape.points.length > 0) {
-          ctx.beginPath();
-          ctx.moveTo(shape.points[0].x, shape.points[0].y);
-          for (let i = 1; i < shape.points.length; i++) {
-            ctx.lineTo(shape.points[i].x, shape.points[i].y);
-          }
-          ctx.stroke();
-        }
+        // Paths the eraser is going over are drawn as what's left
+        const pieces = erasePreview?.get(shape.id) ?? [shape.points || []];
+        pieces.forEach((points) => {
+          strokeSmoothPath(ctx, points, shape.strokeWidth || 2);
+        });
       } else if (shape.type === "rect") {
         // Draw rectangle
-        ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
-
-        // Highlight if selected
-        if (shape.id === selectedShapeId) {
-          ctx.strokeStyle = "#00ff00";
-          ctx.lineWidth = 2;
-          ctx.setLineDash([5, 5]);
-          ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
-          ctx.setLineDash([]);
+        if (shape.fillColor) {
+          ctx.fillStyle = shape.fillColor;
+          ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
         }
+        ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
       } else if (shape.type === "circle") {
         // Draw circle
         const radius =
@@ -347,69 +920,211 @@ const Workspace = () => {
           0,
           2 * Math.PI,
         );
-        ctx.stroke();
-
-        // Highlight if selected
-        if (shape.id === selectedShapeId) {
-          ctx.strokeStyle = "#00ff00";
-          ctx.lineWidth = 2;
-          ctx.setLineDash([5, 5]);
-          ctx.beginPath();
-          ctx.arc(
-            shape.x + shape.width / 2,
-            shape.y + shape.height / 2,
-            radius,
-            0,
-            2 * Math.PI,
-          );
-          ctx.stroke();
-          ctx.setLineDash([]);
+        if (shape.fillColor) {
+          ctx.fillStyle = shape.fillColor;
+          ctx.fill();
         }
+        ctx.stroke();
+      } else if (shape.type === "image") {
+        // Draw uploaded image (loading it the first time it's shown)
+        drawImageShape(ctx, shape, imageCacheRef.current?.get(shape.assetId));
+      } else if (shape.type === "sticky") {
+        // Draw note; while it's being edited the editor shows its text
+        drawSticky(
+          ctx,
+          shape.id === editingId ? { ...shape, text: "" } : shape,
+        );
+      } else if (isConnector(shape)) {
+        // Draw line or arrow, following the shapes its ends are attached to
+        const { start, end } = getConnectorEndpoints(shape, displayedById, ctx);
+        drawConnector(ctx, shape, start, end);
       } else if (shape.type === "text") {
         // Draw text
-        ctx.font = `${shape.strokeWidth * 10 || 20}px sans-serif`;
+        ctx.font = `${getFontSize(shape)}px sans-serif`;
         ctx.fillText(shape.text || "", shape.x, shape.y);
+      }
 
-        // Highlight if selected
-        if (shape.id === selectedShapeId) {
-          const metrics = ctx.measureText(shape.text || "");
-          ctx.strokeStyle = "#00ff00";
-          ctx.lineWidth = 2;
-          ctx.setLineDash([5, 5]);
-          ctx.strokeRect(
-            shape.x - 2,
-            shape.y - (shape.strokeWidth * 10 || 20),
-            metrics.width + 4,
-            (shape.strokeWidth * 10 || 20) + 4,
-          );
-          ctx.setLineDash([]);
-        }
+      ctx.restore();
+    });
+  }, [
+    displayedById,
+    shapeIndex,
+    layerVisibility,
+    editingId,
+    imagesLoaded,
+    erasePreview,
+    viewport,
+    canvasSize,
+  ]);
+
+  /**
+   * Redraw the overlay: selection, handles, rubber band, drawing previews
+   * and collaborators' cursors
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext("2d");
+
+    // Clear canvas, then draw in world coordinates
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    applyViewport(ctx, viewport);
+    // One screen pixel, for outlines that shouldn't scale with the zoom
+    const px = 1 / viewport.zoom;
+
+    // Selected shapes, including members of selected groups
+    const highlighted = expandSelection(displayedShapes, selectedIds);
+
+    // Outline selected shapes
+    ctx.strokeStyle = "#00ff00";
+    ctx.lineWidth = 2 * px;
+    ctx.setLineDash([5 * px, 5 * px]);
+    highlighted.forEach((id) => {
+      const shape = displayedById.get(id);
+      if (!shape || shape.type === "group") return;
+      if (layerVisibility[shape.layer] === false) return;
+
+      ctx.beginPath();
+      if (shape.type === "circle") {
+        const radius =
+          Math.sqrt(shape.width * shape.width + shape.height * shape.height) /
+          2;
+        ctx.arc(
+          shape.x + shape.width / 2,
+          shape.y + shape.height / 2,
+          radius,
+          0,
+          2 * Math.PI,
+        );
+      } else if (isConnector(shape)) {
+        const { start, end } = getConnectorEndpoints(shape, displayedById, ctx);
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+      } else if (shape.rotation) {
+        // Rotated boxes are outlined along their own edges
+        ctx.save();
+        applyRotation(ctx, shape);
+        ctx.rect(
+          shape.x - 2 * px,
+          shape.y - 2 * px,
+          shape.width + 4 * px,
+          shape.height + 4 * px,
+        );
+        ctx.restore();
+      } else {
+        const bounds = getShapeBounds(shape, ctx);
+        if (!bounds) return;
+        ctx.rect(
+          bounds.minX - 2 * px,
+          bounds.minY - 2 * px,
+          bounds.maxX - bounds.minX + 4 * px,
+          bounds.maxY - bounds.minY + 4 * px,
+        );
       }
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Resize and rotate handles of a single selected shape
+    const handleTarget =
+      !isPlaybackMode &&
+      currentTool === "select" &&
+      selectedIds.length === 1 &&
+      displayedById.get(selectedIds[0]);
+    if (canResize(handleTarget)) {
+      drawHandles(ctx, handleTarget, viewport.zoom);
+    }
+
+    // Rubber-band selection
+    if (marquee) {
+      const bounds = getMarqueeBounds(marquee.start, marquee.end);
+      ctx.fillStyle = "rgba(0, 123, 255, 0.08)";
+      ctx.strokeStyle = "#007bff";
+      ctx.lineWidth = px;
+      ctx.fillRect(
+        bounds.minX,
+        bounds.minY,
+        bounds.maxX - bounds.minX,
+        bounds.maxY - bounds.minY,
+      );
+      ctx.strokeRect(
+        bounds.minX,
+        bounds.minY,
+        bounds.maxX - bounds.minX,
+        bounds.maxY - bounds.minY,
+      );
+    }
+
+    // Outline selected groups around all their members
+    selectedIds.forEach((id) => {
+      const group = displayedById.get(id);
+      if (group?.type !== "group") return;
+
+      const memberIds = new Set(getDescendantIds(displayedShapes, id));
+      const bounds = getCombinedBounds(
+        displayedShapes.filter((s) => memberIds.has(s.id)),
+        ctx,
+      );
+      if (!bounds) return;
+
+      ctx.strokeStyle = "#2196F3";
+      ctx.lineWidth = px;
+      ctx.setLineDash([4 * px, 4 * px]);
+      ctx.strokeRect(
+        bounds.minX - 6 * px,
+        bounds.minY - 6 * px,
+        bounds.maxX - bounds.minX + 12 * px,
+        bounds.maxY - bounds.minY + 12 * px,
+      );
+      ctx.setLineDash([]);
     });
 
+    // Draw the eraser
+    if (currentTool === "eraser" && eraserPosition) {
+      ctx.strokeStyle = "#666666";
+      ctx.lineWidth = 1 / viewport.zoom;
+      ctx.beginPath();
+      ctx.arc(
+        eraserPosition.x,
+        eraserPosition.y,
+        ERASER_RADIUS / viewport.zoom,
+        0,
+        2 * Math.PI,
+      );
+      ctx.stroke();
+    }
+
     // Draw in-progress path (if currently drawing with pen tool)
     if (currentDrawingPath && currentDrawingPath.points.length > 0) {
       ctx.strokeStyle = currentDrawingPath.color;
       ctx.lineWidth = currentDrawingPath.strokeWidth || 2;
-      ctx.beginPath();
-      ctx.moveTo(
-        currentDrawingPath.points[0].x,
-        currentDrawingPath.points[0].y,
+      strokeSmoothPath(
+        ctx,
+        currentDrawingPath.points,
+        currentDrawingPath.strokeWidth || 2,
       );
-      for (let i = 1; i < currentDrawingPath.points.length; i++) {
-        ctx.lineTo(
-          currentDrawingPath.points[i].x,
-          currentDrawingPath.points[i].y,
-        );
-      }
-      ctx.stroke();
+    }
+
+    // Draw in-progress line or arrow
+    if (isConnector(currentDrawingShape)) {
+      ctx.strokeStyle = currentDrawingShape.color;
+      ctx.fillStyle = currentDrawingShape.color;
+      ctx.lineWidth = currentDrawingShape.strokeWidth || 2;
+      const { start, end } = getConnectorEndpoints(
+        currentDrawingShape,
+        displayedById,
+        ctx,
+      );
+      drawConnector(ctx, currentDrawingShape, start, end);
     }
 
     // Draw in-progress shape (rect/circle being drawn)
-    if (currentDrawingShape) {
+    if (currentDrawingShape && !isConnector(currentDrawingShape)) {
       ctx.strokeStyle = currentDrawingShape.color;
       ctx.lineWidth = currentDrawingShape.strokeWidth || 2;
-      ctx.setLineDash([5, 5]); // Dashed preview
+      ctx.setLineDash([5 * px, 5 * px]); // Dashed preview
 
       if (currentDrawingShape.type === "rect") {
         ctx.strokeRect(
@@ -438,10 +1153,14 @@ const Workspace = () => {
       ctx.setLineDash([]); // Reset dash
     }
 
-    // Draw remote cursors
-    Object.entries(remoteCursors).forEach(([userId, cursor]) => {
+    // Draw remote cursors (sent in world coordinates, drawn at the same
+    // size whatever the zoom)
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    Object.entries(remoteCursors).forEach(([userId, worldCursor]) => {
       const collaborator = collaborators.find((c) => c.userId === userId);
       if (collaborator) {
+        const cursor = worldToScreen(viewport, worldCursor);
+
         // Draw cursor
         ctx.fillStyle = collaborator.color || "#ff0000";
         ctx.beginPath();
@@ -454,19 +1173,26 @@ const Workspace = () => {
       }
     });
   }, [
-    shapes,
+    displayedShapes,
+    displayedById,
     layerVisibility,
-    selectedShapeId,
+    selectedIds,
     remoteCursors,
     collaborators,
     currentDrawingPath,
     currentDrawingShape,
+    currentTool,
+    isPlaybackMode,
+    marquee,
+    eraserPosition,
+    viewport,
+    canvasSize,
   ]);
 
   /**
-   * Get canvas coordinates from mouse event
+   * Position of a pointer event on the canvas, in canvas pixels
    */
-  const getCanvasCoords = (e) => {
+  const getScreenCoords = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
     return {
@@ -476,68 +1202,447 @@ const Workspace = () => {
   };
 
   /**
-   * Check if point is inside a shape (for selection)
+   * Get world coordinates (what shapes are stored in) from pointer event
    */
-  const isPointInShape = (x, y, shape) => {
-    if (shape.type === "rect") {
-      return (
-        x >= shape.x &&
-        x <= shape.x + shape.width &&
-        y >= shape.y &&
-        y <= shape.y + shape.height
-      );
-    } else if (shape.type === "circle") {
-      const centerX = shape.x + shape.width / 2;
-      const centerY = shape.y + shape.height / 2;
-      const radius =
-        Math.sqrt(shape.width * shape.width + shape.height * shape.height) / 2;
-      const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
-      return dist <= radius;
-    } else if (shape.type === "text") {
-      // Simple bounding box for text
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext("2d");
-      ctx.font = `${shape.strokeWidth * 10 || 20}px sans-serif`;
-      const metrics = ctx.measureText(shape.text || "");
-      return (
-        x >= shape.x &&
-        x <= shape.x + metrics.width &&
-        y >= shape.y - (shape.strokeWidth * 10 || 20) &&
-        y <= shape.y
-      );
-    }
-    return false;
-  };
+  const getCanvasCoords = (e) => screenToWorld(viewport, getScreenCoords(e));
 
   /**
-   * Handle mouse down on canvas
+   * World coordinates of the middle of the canvas
    */
-  const handleMouseDown = (e) => {
-    const coords = getCanvasCoords(e);
+  const getViewCenter = () =>
+    screenToWorld(viewport, {
+      x: canvasSize.width / 2,
+      y: canvasSize.height / 2,
+    });
+
+  /**
+   * Zoom in (factor > 1) or out about the middle of the canvas
+   */
+  const zoomBy = (factor) => {
+    setViewport((prev) =>
+      zoomAt(prev, factor, {
+        x: canvasSize.width / 2,
+        y: canvasSize.height / 2,
+      }),
+    );
+  };
+
+  /**
+   * Back to 100%, keeping the middle of the canvas where it is
+   */
+  const resetZoom = () => zoomBy(1 / viewport.zoom);
+
+  /**
+   * Pan and zoom so every shown shape fits on the canvas
+   */
+  const zoomToFit = () => {
+    const ctx = canvasRef.current?.getContext("2d");
+    const visible = displayedShapes.filter(
+      (s) => s.type !== "group" && layerVisibility[s.layer] !== false,
+    );
+    setViewport(
+      fitBounds(
+        getCombinedBounds(visible, ctx),
+        canvasSize.width,
+        canvasSize.height,
+      ),
+    );
+  };
+
+  // Keep the canvas the size of the space next to the toolbar
+  useEffect(() => {
+    const wrapper = canvasWrapperRef.current;
+    if (!wrapper) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setCanvasSize({
+        width: Math.max(1, Math.floor(width)),
+        height: Math.max(1, Math.floor(height)),
+      });
+    });
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, []);
+
+  // The wheel (or a trackpad pinch) zooms about the pointer
+  // Added by hand: React's wheel listeners are passive and can't stop the
+  // page from scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      // Firefox may report lines rather than pixels
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      const rect = canvas.getBoundingClientRect();
+      const anchor = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      setViewport((prev) => zoomAt(prev, Math.exp(-delta * 0.002), anchor));
+    };
+
+    canvas.addEventListener("wheel", handleWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", handleWheel);
+  }, []);
+
+  // Holding Space turns dragging on the canvas into panning
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code !== "Space") return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      // Don't scroll the page or press a focused button
+      e.preventDefault();
+      setSpaceHeld(true);
+    };
+    const handleKeyUp = (e) => {
+      if (e.code === "Space") setSpaceHeld(false);
+    };
+    const handleBlur = () => setSpaceHeld(false);
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, []);
+
+  /**
+   * Check if point is inside a shape (for selection)
+   */
+  const isPointInShape = (x, y, shape) => {
+    // Test rotated shapes in their own, unrotated frame
+    if (shape.rotation) ({ x, y } = toShapeFrame(shape, { x, y }));
+
+    if (isConnector(shape)) {
+      // Near the line as drawn (the margin is in screen pixels)
+      const { start, end } = getConnectorEndpoints(shape, shapesById);
+      return (
+        distanceToSegment({ x, y }, start, end) <=
+        Math.max(6, ((shape.strokeWidth || 2) * viewport.zoom) / 2 + 3) /
+          viewport.zoom
+      );
+    } else if (shape.type === "path") {
+      // Near the stroke, as for lines
+      return (
+        distanceToPath({ x, y }, shape.points || []) <=
+        Math.max(6, ((shape.strokeWidth || 2) * viewport.zoom) / 2 + 3) /
+          viewport.zoom
+      );
+    } else if (["rect", "sticky", "image"].includes(shape.type)) {
+      return (
+        x >= shape.x &&
+        x <= shape.x + shape.width &&
+        y >= shape.y &&
+        y <= shape.y + shape.height
+      );
+    } else if (shape.type === "circle") {
+      const centerX = shape.x + shape.width / 2;
+      const centerY = shape.y + shape.height / 2;
+      const radius =
+        Math.sqrt(shape.width * shape.width + shape.height * shape.height) / 2;
+      const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+      return dist <= radius;
+    } else if (shape.type === "text") {
+      // Simple bounding box for text
+      const canvas = canvasRef.current;
+      const ctx = canvas.getContext("2d");
+      ctx.font = `${shape.strokeWidth * 10 || 20}px sans-serif`;
+      const metrics = ctx.measureText(shape.text || "");
+      return (
+        x >= shape.x &&
+        x <= shape.x + metrics.width &&
+        y >= shape.y - (shape.strokeWidth * 10 || 20) &&
+        y <= shape.y
+      );
+    }
+    return false;
+  };
+
+  /**
+   * Shapes under a point, topmost first
+   * Only shapes the spatial index finds near the point are tested
+   */
+  const getShapesAt = (point) =>
+    sortByZIndex(
+      shapeIndex
+        .searchPoint(point, 8 / viewport.zoom)
+        .map((id) => shapesById.get(id))
+        .filter(Boolean),
+    )
+      .reverse()
+      .filter((shape) => isPointInShape(point.x, point.y, shape));
+
+  /**
+   * Topmost shape at a point that a line or arrow end can attach to
+   */
+  const findBindableShapeAt = (point) => getShapesAt(point).find(canBindTo);
+
+  /**
+   * Erase along the eraser's move from one point to another
+   * Nothing is sent until the pointer is lifted; until then the erased
+   * paths are only previewed
+   */
+  const eraseAlong = (from, to) => {
+    const erase = eraseRef.current;
+    const radius = ERASER_RADIUS / viewport.zoom;
+    const sweep = getMarqueeBounds(from, to);
+
+    let erased = null;
+    shapeIndex
+      .search({
+        minX: sweep.minX - radius,
+        minY: sweep.minY - radius,
+        maxX: sweep.maxX + radius,
+        maxY: sweep.maxY + radius,
+      })
+      .map((id) => shapesById.get(id))
+      .filter(
+        (shape) =>
+          shape?.type === "path" &&
+          layerVisibility[shape.layer] !== false &&
+          !lockedObjects[shape.id],
+      )
+      .forEach((shape) => {
+        const pieces = erase.erased.get(shape.id) ?? [shape.points || []];
+        if (pieces.length === 0) return;
+
+        // Touching the stroke's edge counts, not just its centre line
+        const reach = radius + (shape.strokeWidth || 2) / 2;
+        let left = null;
+        if (eraserMode === "stroke") {
+          if (pieces.some((points) => touchesPath(points, from, to, reach))) {
+            left = [];
+          }
+        } else {
+          const cut = pieces.map((points) =>
+            cutPath(points, from, to, reach, radius / 2),
+          );
+          if (cut.some(Boolean)) {
+            left = cut.flatMap((result, i) => result ?? [pieces[i]]);
+          }
+        }
+
+        if (left) {
+          erased = erased ?? new Map(erase.erased);
+          erased.set(shape.id, left);
+        }
+      });
+
+    if (erased) {
+      erase.erased = erased;
+      setErasePreview(erased);
+    }
+  };
+
+  /**
+   * Send what the eraser did as one batch (one undo step): erased paths
+   * are deleted, cut ones split into the pieces left
+   */
+  const finishErase = () => {
+    const { erased } = eraseRef.current;
+    eraseRef.current = null;
+    setErasePreview(null);
+
+    const ops = [...erased]
+      .filter(([shapeId]) => shapesById.has(shapeId))
+      .map(([shapeId, pieces]) =>
+        pieces.length === 0
+          ? { opType: "delete", payload: { shapeId } }
+          : {
+              opType: "split",
+              payload: {
+                shapeId,
+                pieces: pieces.map((points) => ({ id: generateId(), points })),
+              },
+            },
+      );
+    if (ops.length === 0 || isOverBatchLimit(ops, "erase")) return;
+    socketRef.current.emit("batch", { ops });
+  };
+
+  /**
+   * Drop whatever the active pointer was doing, e.g. when a second finger
+   * turns it into a pinch: nothing is saved, and shapes being moved or
+   * transformed go back to where they were
+   */
+  const cancelPointerAction = () => {
+    const socket = socketRef.current;
+    activePointerRef.current = null;
+
+    if (panRef.current) {
+      panRef.current = null;
+      setIsPanning(false);
+    }
+
+    drawingRef.current = false;
+    currentPathRef.current = null;
+    setCurrentDrawingPath(null);
+    setCurrentDrawingShape(null);
+    setMarquee(null);
+    eraseRef.current = null;
+    setErasePreview(null);
+
+    if (transformRef.current) {
+      const { shape } = transformRef.current;
+      transformRef.current = null;
+      setShapes((prev) => prev.map((s) => (s.id === shape.id ? shape : s)));
+      socket.emit("unlock-object", { objectId: shape.id });
+    } else if (isDragging) {
+      const origin = dragOriginRef.current;
+      if (origin && dragStart) {
+        const dx = origin.x - dragStart.x;
+        const dy = origin.y - dragStart.y;
+        setShapes((prev) => {
+          const moving = expandSelection(prev, selectedIds);
+          return prev.map((shape) =>
+            moving.has(shape.id)
+              ? { ...shape, ...translateShape(shape, dx, dy) }
+              : shape,
+          );
+        });
+      }
+      setIsDragging(false);
+      socket.emit("unlock-object", { objectIds: selectedIds });
+    }
+
+    dragOriginRef.current = null;
+    setDragStart(null);
+  };
+
+  /**
+   * Forget a finger lifted from the canvas
+   * Returns true when there's nothing more to do: it was a palm, or part
+   * of a pinch
+   */
+  const releaseTouch = (e) => {
+    const touches = touchesRef.current;
+    if (!touches.delete(e.pointerId)) return true;
+    if (!pinchRef.current) return false;
+
+    if (touches.size >= 2) {
+      // Carry on pinching with the fingers left
+      const [a, b] = touches.values();
+      pinchRef.current = { start: getPinch(a, b), viewport };
+    } else {
+      pinchRef.current = null;
+    }
+    return true;
+  };
+
+  /**
+   * Handle pointer down on canvas (mouse, pen or finger)
+   */
+  const handlePointerDown = (e) => {
+    if (e.pointerType === "pen") lastPenTimeRef.current = e.timeStamp;
+
+    if (e.pointerType === "touch") {
+      if (isPalmTouch(e, lastPenTimeRef.current)) return;
+
+      const touches = touchesRef.current;
+      touches.set(e.pointerId, getScreenCoords(e));
+      if (touches.size === 2) {
+        // A second finger turns the gesture into a pinch (zoom and pan)
+        e.currentTarget.setPointerCapture(e.pointerId);
+        cancelPointerAction();
+        const [a, b] = touches.values();
+        pinchRef.current = { start: getPinch(a, b), viewport };
+        return;
+      }
+      if (pinchRef.current) return;
+    }
+
+    // (The same pointer again means its pointerup never reached us, e.g.
+    // it was released over the text prompt)
+    if (
+      activePointerRef.current !== null &&
+      activePointerRef.current !== e.pointerId
+    ) {
+      return;
+    }
+    activePointerRef.current = e.pointerId;
+    // Keep getting this pointer's events when it leaves the canvas
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    // Space+drag or middle-drag pans, with any tool and in playback too
+    if (spaceHeld || e.button === 1) {
+      e.preventDefault();
+      panRef.current = { start: getScreenCoords(e), viewport };
+      setIsPanning(true);
+      return;
+    }
+
+    // The canvas is read-only while viewing history
+    if (isPlaybackMode) {
+      activePointerRef.current = null;
+      return;
+    }
+
+    const coords = getCanvasCoords(e);
     const socket = socketRef.current;
 
     if (currentTool === "select") {
-      // Check if clicking on a shape
-      const clickedShape = [...shapes]
-        .reverse()
-        .find((shape) => isPointInShape(coords.x, coords.y, shape));
+      // Dragging a handle of the selected shape resizes or rotates it
+      const handle =
+        canResize(singleSelected) &&
+        getHandleAt(singleSelected, coords, viewport.zoom);
+      if (handle) {
+        if (lockedObjects[singleSelected.id]) {
+          setError("Object is locked by another user");
+          setTimeout(() => setError(null), 3000);
+          return;
+        }
+
+        transformRef.current = {
+          handle: handle.handle,
+          shape: singleSelected,
+          offset: { x: handle.x - coords.x, y: handle.y - coords.y },
+        };
+        dragOriginRef.current = coords;
+        socket.emit("lock-object", { objectId: singleSelected.id });
+        return;
+      }
+
+      // Check if clicking on a shape, topmost first
+      const [clickedShape] = getShapesAt(coords);
 
       if (clickedShape) {
+        // Clicking a grouped shape selects its outermost group
+        const unitId = getTopLevelId(shapes, clickedShape.id);
+
+        // Shift+click adds to or removes from the selection
+        if (e.shiftKey) {
+          setSelectedIds((prev) =>
+            prev.includes(unitId)
+              ? prev.filter((id) => id !== unitId)
+              : [...prev, unitId],
+          );
+          return;
+        }
+
+        // Dragging a selected shape moves the whole selection
+        const dragIds = selectedIds.includes(unitId) ? selectedIds : [unitId];
+
         // Check if locked
-        if (lockedObjects[clickedShape.id]) {
+        if (dragIds.some((id) => lockedObjects[id])) {
           setError("Object is locked by another user");
           setTimeout(() => setError(null), 3000);
           return;
         }
 
-        setSelectedShapeId(clickedShape.id);
+        setSelectedIds(dragIds);
         setIsDragging(true);
         setDragStart(coords);
+        dragOriginRef.current = coords;
 
-        // Acquire lock
-        socket.emit("lock-object", { objectId: clickedShape.id });
+        // Lock the whole selection at once (a group lock covers its members)
+        socket.emit("lock-object", { objectIds: dragIds });
       } else {
-        setSelectedShapeId(null);
+        // Start a rubber-band selection; Shift adds to the selection
+        if (!e.shiftKey) setSelectedIds([]);
+        setMarquee({ start: coords, end: coords, additive: e.shiftKey });
       }
     } else if (currentTool === "pen") {
       // Start freehand drawing
@@ -545,7 +1650,7 @@ const Workspace = () => {
       const pathId = generateId();
       const newPath = {
         id: pathId,
-        points: [coords],
+        points: [toPathPoint(coords, e)],
         color: currentColor,
         strokeWidth,
         layer: currentLayer,
@@ -561,6 +1666,11 @@ const Workspace = () => {
         color: currentColor,
         strokeWidth,
       });
+    } else if (currentTool === "eraser") {
+      // Start erasing, starting with what's under the pointer
+      eraseRef.current = { last: coords, erased: new Map() };
+      setEraserPosition(coords);
+      eraseAlong(coords, coords);
     } else if (["rect", "circle"].includes(currentTool)) {
       // Start shape creation
       drawingRef.current = true;
@@ -574,6 +1684,36 @@ const Workspace = () => {
         color: currentColor,
         strokeWidth,
       });
+    } else if (["line", "arrow"].includes(currentTool)) {
+      // Start a line or arrow, attached to the shape under the cursor
+      drawingRef.current = true;
+      setDragStart(coords);
+      setCurrentDrawingShape({
+        type: currentTool,
+        points: [coords, coords],
+        color: currentColor,
+        strokeWidth,
+        startBinding: findBindableShapeAt(coords)?.id || null,
+        endBinding: null,
+        startArrowhead: "none",
+        endArrowhead: currentTool === "arrow" ? arrowhead : "none",
+      });
+    } else if (currentTool === "sticky") {
+      // Place a note centered on the click and start typing into it
+      const shapeId = generateId();
+      socket.emit("create-shape", {
+        id: shapeId,
+        type: "sticky",
+        x: coords.x - STICKY_SIZE / 2,
+        y: coords.y - STICKY_SIZE / 2,
+        width: STICKY_SIZE,
+        height: STICKY_SIZE,
+        color: stickyColor,
+        text: "",
+        layer: currentLayer,
+      });
+      setEditingId(shapeId);
+      setEditingText("");
     } else if (currentTool === "text") {
       // Insert text
       const text = prompt("Enter text:");
@@ -596,10 +1736,40 @@ const Workspace = () => {
   };
 
   /**
-   * Handle mouse move on canvas
+   * Handle pointer move on canvas
    */
-  const handleMouseMove = useCallback(
+  const handlePointerMove = useCallback(
     (e) => {
+      if (e.pointerType === "pen") lastPenTimeRef.current = e.timeStamp;
+
+      if (e.pointerType === "touch") {
+        const touches = touchesRef.current;
+        // Palms aren't tracked
+        if (!touches.has(e.pointerId)) return;
+        touches.set(e.pointerId, getScreenCoords(e));
+
+        if (pinchRef.current) {
+          const [a, b] = touches.values();
+          const { start, viewport: origin } = pinchRef.current;
+          setViewport(pinchZoom(origin, start, getPinch(a, b)));
+          return;
+        }
+      }
+
+      if (
+        activePointerRef.current !== null &&
+        e.pointerId !== activePointerRef.current
+      ) {
+        return;
+      }
+
+      if (panRef.current) {
+        const { start, viewport: origin } = panRef.current;
+        const point = getScreenCoords(e);
+        setViewport(panBy(origin, point.x - start.x, point.y - start.y));
+        return;
+      }
+
       const coords = getCanvasCoords(e);
       const socket = socketRef.current;
 
@@ -615,7 +1785,7 @@ const Workspace = () => {
         currentPathRef.current
       ) {
         // Continue freehand drawing
-        currentPathRef.current.points.push(coords);
+        currentPathRef.current.points.push(toPathPoint(coords, e));
 
         // Update state to trigger redraw
         setCurrentDrawingPath({ ...currentPathRef.current });
@@ -628,18 +1798,41 @@ const Workspace = () => {
           });
         }, 40);
         emitDelta();
-      } else if (currentTool === "select" && isDragging && selectedShapeId) {
-        // Drag selected shape
+      } else if (currentTool === "eraser") {
+        // Follow the pointer, erasing along the way if it's down
+        setEraserPosition(coords);
+        if (eraseRef.current) {
+          eraseAlong(eraseRef.current.last, coords);
+          eraseRef.current.last = coords;
+        }
+      } else if (currentTool === "select" && marquee) {
+        // Stretch the rubber band
+        setMarquee((prev) => prev && { ...prev, end: coords });
+      } else if (currentTool === "select" && transformRef.current) {
+        // Resize or rotate, starting over from the shape as it was
+        const { handle, shape, offset } = transformRef.current;
+        const changes = getTransformChanges(
+          shape,
+          handle,
+          { x: coords.x + offset.x, y: coords.y + offset.y },
+          e.shiftKey,
+        );
+        setShapes((prev) =>
+          prev.map((s) => (s.id === shape.id ? { ...s, ...changes } : s)),
+        );
+      } else if (currentTool === "select" && isDragging && selectedIds.length) {
+        // Drag selected shapes, including members of selected groups
         const dx = coords.x - dragStart.x;
         const dy = coords.y - dragStart.y;
 
-        setShapes((prev) =>
-          prev.map((shape) =>
-            shape.id === selectedShapeId
-              ? { ...shape, x: shape.x + dx, y: shape.y + dy }
+        setShapes((prev) => {
+          const moving = expandSelection(prev, selectedIds);
+          return prev.map((shape) =>
+            moving.has(shape.id)
+              ? { ...shape, ...translateShape(shape, dx, dy) }
               : shape,
-          ),
-        );
+          );
+        });
 
         setDragStart(coords);
       } else if (
@@ -659,6 +1852,15 @@ const Workspace = () => {
           color: currentColor,
           strokeWidth,
         });
+      } else if (
+        ["line", "arrow"].includes(currentTool) &&
+        drawingRef.current &&
+        dragStart
+      ) {
+        // Move the free end of the line or arrow being drawn
+        setCurrentDrawingShape((prev) =>
+          prev ? { ...prev, points: [prev.points[0], coords] } : prev,
+        );
       }
     },
     [
@@ -666,19 +1868,45 @@ const Workspace = () => {
       currentColor,
       strokeWidth,
       isDragging,
-      selectedShapeId,
+      selectedIds,
       dragStart,
+      marquee,
+      viewport,
+      // Used through eraseAlong
+      eraserMode,
+      shapeIndex,
+      shapesById,
+      layerVisibility,
+      lockedObjects,
     ],
   );
 
   /**
-   * Handle mouse up on canvas
+   * Handle pointer up on canvas
    */
-  const handleMouseUp = (e) => {
+  const handlePointerUp = (e) => {
+    if (e.pointerType === "touch" && releaseTouch(e)) return;
+    if (e.pointerId !== activePointerRef.current) return;
+    activePointerRef.current = null;
+
+    if (panRef.current) {
+      panRef.current = null;
+      setIsPanning(false);
+      return;
+    }
+
+    if (isPlaybackMode) return;
+
     const coords = getCanvasCoords(e);
     const socket = socketRef.current;
 
-    if (currentTool === "pen" && drawingRef.current && currentPathRef.current) {
+    if (currentTool === "eraser" && eraseRef.current) {
+      finishErase();
+    } else if (
+      currentTool === "pen" &&
+      drawingRef.current &&
+      currentPathRef.current
+    ) {
       // Finish freehand drawing
       drawingRef.current = false;
 
@@ -715,21 +1943,289 @@ const Workspace = () => {
 
       setDragStart(null);
       setCurrentDrawingShape(null);
-    } else if (currentTool === "select" && isDragging && selectedShapeId) {
-      // Finish dragging - emit update
-      const shape = shapes.find((s) => s.id === selectedShapeId);
-      if (shape) {
-        socket.emit("update-shape", {
-          shapeId: selectedShapeId,
-          changes: { x: shape.x, y: shape.y },
+    } else if (
+      ["line", "arrow"].includes(currentTool) &&
+      drawingRef.current &&
+      currentDrawingShape
+    ) {
+      // Finish line or arrow, attaching the end to the shape under it
+      drawingRef.current = false;
+
+      const start = currentDrawingShape.points[0];
+      if (Math.hypot(coords.x - start.x, coords.y - start.y) > 5) {
+        const endBinding = findBindableShapeAt(coords)?.id || null;
+        socket.emit("create-shape", {
+          ...currentDrawingShape,
+          id: generateId(),
+          points: [start, coords],
+          // Both ends on the same shape would collapse to a point
+          endBinding:
+            endBinding !== currentDrawingShape.startBinding ? endBinding : null,
+          layer: currentLayer,
         });
       }
 
+      setDragStart(null);
+      setCurrentDrawingShape(null);
+    } else if (currentTool === "select" && marquee) {
+      // Select everything entirely inside the rubber band
+      const bounds = getMarqueeBounds(marquee.start, coords);
+      if (bounds.maxX - bounds.minX > 2 || bounds.maxY - bounds.minY > 2) {
+        const unitIds = getUnitsInMarquee(
+          shapes,
+          bounds,
+          (shape) => layerVisibility[shape.layer] !== false,
+          canvasRef.current.getContext("2d"),
+        );
+        setSelectedIds((prev) =>
+          marquee.additive ? [...new Set([...prev, ...unitIds])] : unitIds,
+        );
+      }
+      setMarquee(null);
+    } else if (currentTool === "select" && transformRef.current) {
+      // Finish resizing or rotating - persist the new box or rotation
+      // unless it was just a click
+      const { handle, shape, offset } = transformRef.current;
+      const origin = dragOriginRef.current;
+      transformRef.current = null;
+      dragOriginRef.current = null;
+
+      if (origin.x !== coords.x || origin.y !== coords.y) {
+        emitShapeUpdate(
+          shape,
+          getTransformChanges(
+            shape,
+            handle,
+            { x: coords.x + offset.x, y: coords.y + offset.y },
+            e.shiftKey,
+          ),
+        );
+      }
+
+      socket.emit("unlock-object", { objectId: shape.id });
+    } else if (currentTool === "select" && isDragging && selectedIds.length) {
+      // Finish dragging - persist new positions unless it was just a click
+      const origin = dragOriginRef.current;
+      if (origin && (origin.x !== coords.x || origin.y !== coords.y)) {
+        const moving = expandSelection(shapes, selectedIds);
+        const moved = shapes.filter(
+          (s) => moving.has(s.id) && s.type !== "group",
+        );
+
+        if (moved.length === 1) {
+          emitShapeUpdate(moved[0], getPosition(moved[0]));
+        } else if (moved.length > 1) {
+          // One batch, so the move is a single undo step
+          socket.emit("batch", {
+            ops: moved.map((shape) =>
+              buildUpdateEntry(shape, getPosition(shape)),
+            ),
+          });
+        }
+      }
+
       setIsDragging(false);
+      dragOriginRef.current = null;
+
+      // Release locks
+      socket.emit("unlock-object", { objectIds: selectedIds });
+    }
+  };
+
+  /**
+   * Handle the browser taking a pointer away (e.g. for a system gesture)
+   */
+  const handlePointerCancel = (e) => {
+    if (e.pointerType === "touch" && releaseTouch(e)) return;
+    if (e.pointerId === activePointerRef.current) cancelPointerAction();
+  };
+
+  /**
+   * Upload image files and add them to the board, centered on point
+   * Several images are fanned out so they don't cover each other
+   */
+  const placeImageFiles = async (files, point) => {
+    const showError = (message) => {
+      setError(message);
+      setTimeout(() => setError(null), 3000);
+    };
+
+    const images = getImageFiles(files);
+    if (images.length === 0) {
+      showError("Only PNG, JPEG, GIF and WebP images can be added");
+      return;
+    }
+
+    for (const [i, file] of images.entries()) {
+      if (file.size > MAX_IMAGE_SIZE) {
+        showError(`${file.name || "Image"} is larger than 5 MB`);
+        continue;
+      }
+
+      try {
+        const [image, { assetId }] = await Promise.all([
+          loadImage(file),
+          api.boards.uploadAsset(boardId, file),
+        ]);
+        imageCacheRef.current?.set(assetId, image);
+
+        const { width, height } = fitImageSize(
+          image.naturalWidth,
+          image.naturalHeight,
+        );
+        socketRef.current.emit("create-shape", {
+          id: generateId(),
+          type: "image",
+          x: Math.round(point.x - width / 2) + i * 20,
+          y: Math.round(point.y - height / 2) + i * 20,
+          width,
+          height,
+          assetId,
+          layer: currentLayer,
+        });
+      } catch (err) {
+        showError(err.message || "Failed to upload image");
+      }
+    }
+  };
+
+  /**
+   * Whether entries are too many for the server to take as one batch;
+   * if so the user is told and nothing should be sent
+   *
+   * @param {Array} ops - Batch entries
+   * @param {string} action - What the user tried, e.g. "paste"
+   */
+  const isOverBatchLimit = (ops, action) => {
+    if (ops.length <= MAX_BATCH_OPS) return false;
+    setError(`Can't ${action} more than ${MAX_BATCH_OPS} shapes at once`);
+    setTimeout(() => setError(null), 3000);
+    return true;
+  };
+
+  /**
+   * Add copies of shapes (see utils/clipboard) to the current layer as one
+   * batch, and select them
+   * Images copied from another board are uploaded to this one first
+   *
+   * @param {Object} data - { sourceBoardId, shapes } from parseClipboard
+   * @param {number} offset - Distance moved right and down
+   */
+  const pasteShapes = async (data, offset) => {
+    let pasted = data.shapes;
+
+    if (data.sourceBoardId !== boardId) {
+      const assetIds = new Map();
+      for (const { assetId } of pasted.filter((s) => s.type === "image")) {
+        if (assetIds.has(assetId)) continue;
+        try {
+          const blob = await api.boards.getAsset(data.sourceBoardId, assetId);
+          const uploaded = await api.boards.uploadAsset(boardId, blob);
+          assetIds.set(assetId, uploaded.assetId);
+        } catch {
+          assetIds.set(assetId, null);
+        }
+      }
+
+      if ([...assetIds.values()].includes(null)) {
+        setError("Some images could not be copied to this board");
+        setTimeout(() => setError(null), 3000);
+      }
+      pasted = pasted
+        .filter((s) => s.type !== "image" || assetIds.get(s.assetId))
+        .map((s) =>
+          s.type === "image" ? { ...s, assetId: assetIds.get(s.assetId) } : s,
+        );
+    }
+    if (pasted.length === 0) return;
+
+    const { ops, ids } = buildPasteOps(pasted, {
+      generateId,
+      layer: currentLayer,
+      offset,
+    });
+    if (isOverBatchLimit(ops, "paste")) return;
+    socketRef.current.emit("batch", { ops });
+    setSelectedIds(ids);
+  };
+
+  /**
+   * Drop image files onto the canvas
+   */
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (isPlaybackMode) return;
+    placeImageFiles(e.dataTransfer.files, getCanvasCoords(e));
+  };
+
+  /**
+   * Double-click a sticky note to edit its text in place
+   */
+  const handleDoubleClick = (e) => {
+    if (isPlaybackMode) return;
+
+    const coords = getCanvasCoords(e);
+    const [note] = getShapesAt(coords);
+    if (note?.type !== "sticky") return;
+
+    if (lockedObjects[note.id]) {
+      setError("Object is locked by another user");
+      setTimeout(() => setError(null), 3000);
+      return;
+    }
+
+    socketRef.current.emit("lock-object", { objectId: note.id });
+    setEditingId(note.id);
+    setEditingText(note.text || "");
+  };
 
-      // Release lock
-      socket.emit("unlock-object", { objectId: selectedShapeId });
+  /**
+   * Save the text of the note being edited and release it
+   */
+  const finishEditing = () => {
+    const note = shapes.find((s) => s.id === editingId);
+    if (note) {
+      if (editingText !== (note.text || "")) {
+        emitShapeUpdate(note, { text: editingText });
+      }
+      socketRef.current.emit("unlock-object", { objectId: note.id });
     }
+    setEditingId(null);
+  };
+
+  /**
+   * Property versions an edit of these properties is based on
+   */
+  const getBaseVersions = (shape, changes) => {
+    const baseVersions = {};
+    Object.keys(changes).forEach((key) => {
+      baseVersions[key] = shape.versions?.[key] ?? 0;
+    });
+    return baseVersions;
+  };
+
+  /**
+   * Batch entry updating a shape, with its base versions
+   */
+  const buildUpdateEntry = (shape, changes) => ({
+    opType: "update",
+    payload: {
+      shapeId: shape.id,
+      changes,
+      baseVersions: getBaseVersions(shape, changes),
+    },
+  });
+
+  /**
+   * Send a shape update along with the property versions it was based on,
+   * so the server can detect concurrent edits to the same property
+   */
+  const emitShapeUpdate = (shape, changes) => {
+    socketRef.current.emit("update-shape", {
+      shapeId: shape.id,
+      changes,
+      baseVersions: getBaseVersions(shape, changes),
+    });
   };
 
   /**
@@ -740,40 +2236,409 @@ const Workspace = () => {
   };
 
   /**
-   * Handle delete selected shape
+   * Handle redo action
    */
-  const handleDelete = () => {
-    if (selectedShapeId) {
-      if (lockedObjects[selectedShapeId]) {
-        setError("Object is locked by another user");
-        setTimeout(() => setError(null), 3000);
+  const handleRedo = () => {
+    socketRef.current.emit("redo");
+  };
+
+  /**
+   * Move the selected shape in the stacking order
+   * action: "front" | "back" | "forward" | "backward"
+   * Only a single shape or group can be reordered; a group moves with
+   * everything in it
+   */
+  const canReorder = !!singleSelected;
+
+  const handleReorder = (action) => {
+    if (!canReorder) return;
+
+    if (lockedObjects[singleSelected.id]) {
+      setError("Object is locked by another user");
+      setTimeout(() => setError(null), 3000);
+      return;
+    }
+
+    socketRef.current.emit("reorder-shape", {
+      shapeId: singleSelected.id,
+      action,
+    });
+  };
+
+  /**
+   * Group the selected shapes and groups into a new group
+   */
+  const handleGroup = () => {
+    if (selectedIds.length < 2) return;
+
+    const groupId = generateId();
+    socketRef.current.emit("group-shapes", {
+      groupId,
+      shapeIds: selectedIds,
+    });
+    setSelectedIds([groupId]);
+  };
+
+  /**
+   * Dissolve the selected group, selecting its former members
+   */
+  const handleUngroup = () => {
+    if (singleSelected?.type !== "group") return;
+
+    socketRef.current.emit("ungroup-shapes", { groupId: singleSelected.id });
+    setSelectedIds(
+      shapes.filter((s) => s.groupId === singleSelected.id).map((s) => s.id),
+    );
+  };
+
+  /**
+   * Add a copy of the selected shapes next to them
+   */
+  const handleDuplicate = () => {
+    if (selectedIds.length === 0) return;
+
+    pasteShapes(
+      parseClipboard(serializeShapes(shapes, selectedIds, boardId)),
+      PASTE_OFFSET,
+    );
+  };
+
+  /**
+   * Send an arrow-key move started by handleNudge
+   */
+  const flushNudge = () => {
+    const nudge = nudgeRef.current;
+    if (!nudge) return;
+    clearTimeout(nudge.timer);
+    nudgeRef.current = null;
+
+    const entries = nudge.shapes.map((shape) =>
+      buildUpdateEntry(shape, translateShape(shape, nudge.dx, nudge.dy)),
+    );
+    if (entries.length === 1) {
+      socketRef.current.emit("update-shape", entries[0].payload);
+    } else if (entries.length > 1) {
+      socketRef.current.emit("batch", { ops: entries });
+    }
+  };
+
+  /**
+   * Move the selected shapes by (dx, dy) from the keyboard
+   * They move on screen right away; the new positions are sent once the
+   * keys have been left alone for a moment, so holding an arrow key makes
+   * one update (and one undo step) instead of one per repeat
+   */
+  const handleNudge = (dx, dy) => {
+    if (selectedIds.length === 0) return;
+
+    const ids = expandSelection(shapes, selectedIds);
+    if ([...ids].some((id) => lockedObjects[id])) {
+      setError("Object is locked by another user");
+      setTimeout(() => setError(null), 3000);
+      return;
+    }
+
+    const key = [...ids].sort().join(",");
+    if (nudgeRef.current?.key !== key) {
+      flushNudge();
+      nudgeRef.current = {
+        key,
+        shapes: shapes.filter((s) => ids.has(s.id) && s.type !== "group"),
+        dx: 0,
+        dy: 0,
+      };
+    }
+    const nudge = nudgeRef.current;
+    nudge.dx += dx;
+    nudge.dy += dy;
+
+    setShapes((prev) =>
+      prev.map((shape) =>
+        ids.has(shape.id)
+          ? { ...shape, ...translateShape(shape, dx, dy) }
+          : shape,
+      ),
+    );
+
+    clearTimeout(nudge.timer);
+    nudge.timer = setTimeout(flushNudge, 300);
+  };
+
+  /**
+   * What each shortcut action does (see utils/shortcuts)
+   */
+  const shortcutHandlers = {
+    "tool-select": () => setCurrentTool("select"),
+    "tool-pen": () => setCurrentTool("pen"),
+    "tool-eraser": () => setCurrentTool("eraser"),
+    "tool-rect": () => setCurrentTool("rect"),
+    "tool-circle": () => setCurrentTool("circle"),
+    "tool-line": () => setCurrentTool("line"),
+    "tool-arrow": () => setCurrentTool("arrow"),
+    "tool-text": () => setCurrentTool("text"),
+    "tool-sticky": () => setCurrentTool("sticky"),
+    undo: handleUndo,
+    redo: handleRedo,
+    delete: () => handleDelete(),
+    duplicate: handleDuplicate,
+    deselect: () => setSelectedIds([]),
+    group: handleGroup,
+    ungroup: handleUngroup,
+    "bring-forward": () => handleReorder("forward"),
+    "send-backward": () => handleReorder("backward"),
+    "bring-to-front": () => handleReorder("front"),
+    "send-to-back": () => handleReorder("back"),
+    "nudge-left": () => handleNudge(-NUDGE_STEP, 0),
+    "nudge-right": () => handleNudge(NUDGE_STEP, 0),
+    "nudge-up": () => handleNudge(0, -NUDGE_STEP),
+    "nudge-down": () => handleNudge(0, NUDGE_STEP),
+    "nudge-left-far": () => handleNudge(-NUDGE_STEP_FAR, 0),
+    "nudge-right-far": () => handleNudge(NUDGE_STEP_FAR, 0),
+    "nudge-up-far": () => handleNudge(0, -NUDGE_STEP_FAR),
+    "nudge-down-far": () => handleNudge(0, NUDGE_STEP_FAR),
+    "zoom-in": () => zoomBy(ZOOM_STEP),
+    "zoom-out": () => zoomBy(1 / ZOOM_STEP),
+    "zoom-reset": resetZoom,
+    "zoom-fit": zoomToFit,
+    "show-shortcuts": () => setShowShortcuts((prev) => !prev),
+  };
+
+  /**
+   * " (key)" to add to a button's title: the first key bound to an action
+   */
+  const shortcutHint = (actionId) => {
+    const [combo] = shortcutBindings.get(actionId);
+    return combo ? ` (${formatCombo(combo)})` : "";
+  };
+
+  /**
+   * Save the user's shortcut changes
+   */
+  const saveShortcuts = async (custom) => {
+    setCustomShortcuts(custom);
+    try {
+      await api.users.saveShortcuts(custom);
+    } catch (err) {
+      setError(err.message || "Failed to save shortcuts");
+      setTimeout(() => setError(null), 3000);
+    }
+  };
+
+  // Load the user's shortcuts; the defaults apply until (or unless) they do
+  useEffect(() => {
+    api.users
+      .getShortcuts()
+      .then(({ shortcuts }) => setCustomShortcuts(shortcuts || {}))
+      .catch((err) => console.error("Failed to load shortcuts:", err));
+  }, []);
+
+  /**
+   * Keyboard shortcuts, looked up in the user's bindings
+   * While the shortcuts dialog is waiting for a new key, the next combo
+   * is bound instead (Esc cancels)
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Don't hijack typing in form fields
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+
+      const combo = getKeyCombo(e);
+      if (!combo) return;
+
+      if (recordingAction) {
+        e.preventDefault();
+        if (combo !== "Escape") {
+          saveShortcuts(rebind(customShortcuts, recordingAction, [combo]));
+        }
+        setRecordingAction(null);
+        return;
+      }
+      if (showShortcuts && combo === "Escape") {
+        e.preventDefault();
+        setShowShortcuts(false);
         return;
       }
 
-      socketRef.current.emit("delete-shape", { shapeId: selectedShapeId });
-      setSelectedShapeId(null);
+      const action = findAction(shortcutBindings, combo);
+      if (!action) return;
+      e.preventDefault();
+
+      // Past states can only be looked at
+      if (
+        isPlaybackMode &&
+        !action.startsWith("tool-") &&
+        !action.startsWith("zoom-") &&
+        action !== "show-shortcuts"
+      ) {
+        return;
+      }
+      shortcutHandlers[action]();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [
+    selectedIds,
+    shapes,
+    lockedObjects,
+    boardId,
+    currentLayer,
+    isPlaybackMode,
+    customShortcuts,
+    showShortcuts,
+    recordingAction,
+    viewport,
+    canvasSize,
+    layerVisibility,
+  ]);
+
+  /**
+   * Copy the selected shapes to the system clipboard (see utils/clipboard)
+   */
+  useEffect(() => {
+    const handleCopy = (e) => {
+      // Let form fields and selected page text copy as usual
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      if (window.getSelection()?.toString()) return;
+      if (selectedIds.length === 0) return;
+
+      e.preventDefault();
+      e.clipboardData.setData(
+        "text/plain",
+        serializeShapes(shapes, selectedIds, boardId),
+      );
+      pasteRef.current = { text: null, count: 0 };
+    };
+
+    window.addEventListener("copy", handleCopy);
+    return () => window.removeEventListener("copy", handleCopy);
+  }, [selectedIds, shapes, boardId]);
+
+  /**
+   * Paste copied shapes, or images into the middle of the canvas
+   */
+  useEffect(() => {
+    const handlePaste = (e) => {
+      // Let form fields handle their own pastes
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      if (isPlaybackMode) return;
+
+      const text = e.clipboardData?.getData("text/plain");
+      const copied = text && parseClipboard(text);
+      if (copied) {
+        e.preventDefault();
+        // Each paste of the same shapes lands one step further away
+        const count =
+          pasteRef.current.text === text ? pasteRef.current.count + 1 : 1;
+        pasteRef.current = { text, count };
+        pasteShapes(copied, PASTE_OFFSET * count);
+        return;
+      }
+
+      const files = e.clipboardData?.files;
+      if (getImageFiles(files).length === 0) return;
+
+      e.preventDefault();
+      placeImageFiles(files, getViewCenter());
+    };
+
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  }, [boardId, currentLayer, isPlaybackMode, viewport, canvasSize]);
+
+  /**
+   * Handle delete selected shapes
+   * Groups are deleted with everything in them, as one batch
+   */
+  const handleDelete = () => {
+    if (selectedIds.length === 0) return;
+
+    const ids = [...expandSelection(shapes, selectedIds)];
+    if (ids.some((id) => lockedObjects[id])) {
+      setError("Object is locked by another user");
+      setTimeout(() => setError(null), 3000);
+      return;
+    }
+    if (isOverBatchLimit(ids, "delete")) return;
+
+    if (ids.length === 1) {
+      socketRef.current.emit("delete-shape", { shapeId: ids[0] });
+    } else {
+      socketRef.current.emit("batch", {
+        ops: ids.map((shapeId) => ({
+          opType: "delete",
+          payload: { shapeId },
+        })),
+      });
     }
+    setSelectedIds([]);
   };
 
   /**
-   * Clear all shapes from the board
+   * Apply a style change (color, strokeWidth, ...) to every selected shape,
+   * including members of selected groups, optionally only to shapes
+   * matching appliesTo
+   * Changes are collected for a moment so dragging a color picker or
+   * slider sends one batch instead of one per step
    */
-  const handleClearBoard = () => {
-    if (
-      window.confirm(
-        "Are you sure you want to clear the entire board? This action cannot be undone.",
-      )
-    ) {
-      const socket = socketRef.current;
+  const applyStyleToSelection = (changes, appliesTo = () => true) => {
+    if (selectedIds.length === 0) return;
+
+    const ids = expandSelection(shapes, selectedIds);
+    const targets = shapes.filter(
+      (s) => ids.has(s.id) && s.type !== "group" && appliesTo(s),
+    );
+    if (targets.length === 0) return;
+    if (targets.some((s) => lockedObjects[s.id])) return;
+
+    // Changes are merged per shape, so a change that only applies to some
+    // shapes (e.g. fill) never reaches the others
+    const pending = pendingStyleRef.current || new Map();
+    targets.forEach((shape) => {
+      pending.set(shape.id, {
+        shape,
+        changes: { ...pending.get(shape.id)?.changes, ...changes },
+      });
+    });
+    pendingStyleRef.current = pending;
 
-      // Delete all shapes one by one
-      shapes.forEach((shape) => {
-        socket.emit("delete-shape", { shapeId: shape.id });
+    clearTimeout(styleTimerRef.current);
+    styleTimerRef.current = setTimeout(() => {
+      const entries = [...pendingStyleRef.current.values()];
+      pendingStyleRef.current = null;
+      socketRef.current.emit("batch", {
+        ops: entries.map(({ shape, changes }) =>
+          buildUpdateEntry(shape, changes),
+        ),
       });
+    }, 300);
+  };
+
+  /**
+   * Change a style property from the properties panel
+   * The panel shows the new value right away; the shapes follow once the
+   * batch is committed
+   */
+  const handlePropertyChange = (changes, appliesTo) => {
+    setStyleDraft((prev) => ({ ...prev, ...changes }));
+    applyStyleToSelection(changes, appliesTo);
+  };
+
+  // Drop drafts once the shape changes (or another shape is selected)
+  useEffect(() => {
+    setStyleDraft({});
+  }, [styleSource]);
 
-      // Clear local state immediately
-      setShapes([]);
-      setSelectedShapeId(null);
+  /**
+   * Clear all shapes from the board
+   * The server deletes them as one op: a single round-trip and a single
+   * undo step, however many shapes there are
+   */
+  const handleClearBoard = () => {
+    if (window.confirm("Are you sure you want to clear the entire board?")) {
+      socketRef.current.emit("clear-board");
+
+      setSelectedIds([]);
     }
   };
 
@@ -811,11 +2676,13 @@ const Workspace = () => {
           <span
             style={{
               fontSize: "12px",
-              color: "#4caf50",
+              color: isConnected ? "#4caf50" : "#ff9800",
               marginLeft: "10px",
               fontWeight: "normal",
             }}
-          ></span>
+          >
+            {isConnected ? "● Live" : "● Connecting..."}
+          </span>
         </h1>
         <div style={styles.headerRight}>
           <button
@@ -844,7 +2711,7 @@ const Workspace = () => {
                 ...styles.toolButton,
                 ...(currentTool === "select" ? styles.activeButton : {}),
               }}
-              title="Select (move/resize)"
+              title={`Select (move/resize)${shortcutHint("tool-select")}`}
             >
               ⬚
             </button>
@@ -854,17 +2721,27 @@ const Workspace = () => {
                 ...styles.toolButton,
                 ...(currentTool === "pen" ? styles.activeButton : {}),
               }}
-              title="Pen (freehand)"
+              title={`Pen (freehand)${shortcutHint("tool-pen")}`}
             >
               ✏️
             </button>
+            <button
+              onClick={() => setCurrentTool("eraser")}
+              style={{
+                ...styles.toolButton,
+                ...(currentTool === "eraser" ? styles.activeButton : {}),
+              }}
+              title={`Eraser${shortcutHint("tool-eraser")}: erases freehand strokes`}
+            >
+              ⌫
+            </button>
             <button
               onClick={() => setCurrentTool("rect")}
               style={{
                 ...styles.toolButton,
                 ...(currentTool === "rect" ? styles.activeButton : {}),
               }}
-              title="Rectangle"
+              title={`Rectangle${shortcutHint("tool-rect")}`}
             >
               ▭
             </button>
@@ -874,20 +2751,50 @@ const Workspace = () => {
                 ...styles.toolButton,
                 ...(currentTool === "circle" ? styles.activeButton : {}),
               }}
-              title="Circle"
+              title={`Circle${shortcutHint("tool-circle")}`}
             >
               ○
             </button>
+            <button
+              onClick={() => setCurrentTool("line")}
+              style={{
+                ...styles.toolButton,
+                ...(currentTool === "line" ? styles.activeButton : {}),
+              }}
+              title={`Line${shortcutHint("tool-line")}: start or end on a shape to attach it`}
+            >
+              ╱
+            </button>
+            <button
+              onClick={() => setCurrentTool("arrow")}
+              style={{
+                ...styles.toolButton,
+                ...(currentTool === "arrow" ? styles.activeButton : {}),
+              }}
+              title={`Arrow${shortcutHint("tool-arrow")}: start or end on a shape to attach it`}
+            >
+              →
+            </button>
             <button
               onClick={() => setCurrentTool("text")}
               style={{
                 ...styles.toolButton,
                 ...(currentTool === "text" ? styles.activeButton : {}),
               }}
-              title="Text"
+              title={`Text${shortcutHint("tool-text")}`}
             >
               T
             </button>
+            <button
+              onClick={() => setCurrentTool("sticky")}
+              style={{
+                ...styles.toolButton,
+                ...(currentTool === "sticky" ? styles.activeButton : {}),
+              }}
+              title={`Sticky note${shortcutHint("tool-sticky")}: double-click a note to edit it`}
+            >
+              ▤
+            </button>
           </div>
 
           <div style={styles.toolSection}>
@@ -897,7 +2804,10 @@ const Workspace = () => {
               <input
                 type="color"
                 value={currentColor}
-                onChange={(e) => setCurrentColor(e.target.value)}
+                onChange={(e) => {
+                  setCurrentColor(e.target.value);
+                  applyStyleToSelection({ color: e.target.value });
+                }}
                 style={styles.colorPicker}
               />
             </label>
@@ -908,25 +2818,309 @@ const Workspace = () => {
                 min="1"
                 max="20"
                 value={strokeWidth}
-                onChange={(e) => setStrokeWidth(Number(e.target.value))}
+                onChange={(e) => {
+                  setStrokeWidth(Number(e.target.value));
+                  applyStyleToSelection({
+                    strokeWidth: Number(e.target.value),
+                  });
+                }}
                 style={styles.slider}
               />
               <span>{strokeWidth}px</span>
             </label>
+            <label style={styles.label}>
+              Arrowhead:
+              <select
+                value={arrowhead}
+                onChange={(e) => {
+                  setArrowhead(e.target.value);
+                  applyStyleToSelection(
+                    { endArrowhead: e.target.value },
+                    isConnector,
+                  );
+                }}
+                style={styles.select}
+              >
+                {ARROWHEAD_STYLES.map((style) => (
+                  <option key={style} value={style}>
+                    {style}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label style={styles.label}>
+              Eraser:
+              <select
+                value={eraserMode}
+                onChange={(e) => setEraserMode(e.target.value)}
+                style={styles.select}
+              >
+                {ERASER_MODES.map((mode) => (
+                  <option key={mode.id} value={mode.id}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div style={styles.label}>
+              Note color:
+              <div style={styles.swatchRow}>
+                {STICKY_COLORS.map((color) => (
+                  <button
+                    key={color}
+                    onClick={() => {
+                      setStickyColor(color);
+                      applyStyleToSelection(
+                        { color },
+                        (s) => s.type === "sticky",
+                      );
+                    }}
+                    style={{
+                      ...styles.swatch,
+                      backgroundColor: color,
+                      ...(stickyColor === color ? styles.activeSwatch : {}),
+                    }}
+                    title={color}
+                  />
+                ))}
+              </div>
+            </div>
           </div>
 
+          {panelStyle && (
+            <div style={styles.toolSection}>
+              <h3 style={styles.sectionTitle}>Properties</h3>
+              <label style={styles.label}>
+                Stroke:
+                <input
+                  type="color"
+                  value={panelStyle.color}
+                  onChange={(e) =>
+                    handlePropertyChange({ color: e.target.value })
+                  }
+                  style={styles.colorPicker}
+                />
+              </label>
+              {selectedShapes.some(canFill) && (
+                <div style={styles.label}>
+                  Fill:
+                  <div style={styles.propertyRow}>
+                    <input
+                      type="checkbox"
+                      checked={!!panelStyle.fillColor}
+                      onChange={(e) =>
+                        handlePropertyChange(
+                          { fillColor: e.target.checked ? "#ffffff" : null },
+                          canFill,
+                        )
+                      }
+                      title="Fill shape"
+                    />
+                    <input
+                      type="color"
+                      value={panelStyle.fillColor || "#ffffff"}
+                      disabled={!panelStyle.fillColor}
+                      onChange={(e) =>
+                        handlePropertyChange(
+                          { fillColor: e.target.value },
+                          canFill,
+                        )
+                      }
+                      style={styles.colorPicker}
+                    />
+                  </div>
+                </div>
+              )}
+              <label style={styles.label}>
+                Opacity:
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={Math.round(panelStyle.opacity * 100)}
+                  onChange={(e) =>
+                    handlePropertyChange({
+                      opacity: Number(e.target.value) / 100,
+                    })
+                  }
+                  style={styles.slider}
+                />
+                <span>{Math.round(panelStyle.opacity * 100)}%</span>
+              </label>
+              {selectedShapes.some(hasStroke) && (
+                <>
+                  <label style={styles.label}>
+                    Stroke width:
+                    <input
+                      type="range"
+                      min="1"
+                      max="20"
+                      value={panelStyle.strokeWidth}
+                      onChange={(e) =>
+                        handlePropertyChange(
+                          { strokeWidth: Number(e.target.value) },
+                          hasStroke,
+                        )
+                      }
+                      style={styles.slider}
+                    />
+                    <span>{panelStyle.strokeWidth}px</span>
+                  </label>
+                  <label style={styles.label}>
+                    Dash:
+                    <select
+                      value={panelStyle.strokeDash}
+                      onChange={(e) =>
+                        handlePropertyChange(
+                          { strokeDash: e.target.value },
+                          hasStroke,
+                        )
+                      }
+                      style={styles.select}
+                    >
+                      {STROKE_DASHES.map((dash) => (
+                        <option key={dash} value={dash}>
+                          {dash}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={styles.label}>
+                    Line cap:
+                    <select
+                      value={panelStyle.lineCap}
+                      onChange={(e) =>
+                        handlePropertyChange(
+                          { lineCap: e.target.value },
+                          hasStroke,
+                        )
+                      }
+                      style={styles.select}
+                    >
+                      {LINE_CAPS.map((cap) => (
+                        <option key={cap} value={cap}>
+                          {cap}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={styles.label}>
+                    Line join:
+                    <select
+                      value={panelStyle.lineJoin}
+                      onChange={(e) =>
+                        handlePropertyChange(
+                          { lineJoin: e.target.value },
+                          hasStroke,
+                        )
+                      }
+                      style={styles.select}
+                    >
+                      {LINE_JOINS.map((join) => (
+                        <option key={join} value={join}>
+                          {join}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              )}
+            </div>
+          )}
+
           <div style={styles.toolSection}>
             <h3 style={styles.sectionTitle}>Actions</h3>
-            <button onClick={handleUndo} style={styles.actionButton}>
+            <button
+              onClick={handleUndo}
+              style={styles.actionButton}
+              title={`Undo${shortcutHint("undo")}`}
+            >
               ↶ Undo
             </button>
+            <button
+              onClick={handleRedo}
+              style={styles.actionButton}
+              title={`Redo${shortcutHint("redo")}`}
+            >
+              ↷ Redo
+            </button>
             <button
               onClick={handleDelete}
               style={styles.actionButton}
-              disabled={!selectedShapeId}
+              disabled={selectedIds.length === 0}
+              title={`Delete selection${shortcutHint("delete")}`}
             >
               🗑️ Delete
             </button>
+            <div style={styles.buttonRow}>
+              <button
+                onClick={handleGroup}
+                style={styles.rowButton}
+                disabled={selectedIds.length < 2}
+                title={`Group selection${shortcutHint("group")}; Shift+click to select several`}
+              >
+                ▣ Group
+              </button>
+              <button
+                onClick={handleUngroup}
+                style={styles.rowButton}
+                disabled={singleSelected?.type !== "group"}
+                title={`Ungroup${shortcutHint("ungroup")}`}
+              >
+                ▢ Ungroup
+              </button>
+            </div>
+            <div style={styles.buttonRow}>
+              <button
+                onClick={() => handleReorder("front")}
+                style={styles.rowButton}
+                disabled={!canReorder}
+                title={`Bring to front${shortcutHint("bring-to-front")}`}
+              >
+                ⤒ Front
+              </button>
+              <button
+                onClick={() => handleReorder("forward")}
+                style={styles.rowButton}
+                disabled={!canReorder}
+                title={`Bring forward${shortcutHint("bring-forward")}`}
+              >
+                ↑ Forward
+              </button>
+            </div>
+            <div style={styles.buttonRow}>
+              <button
+                onClick={() => handleReorder("backward")}
+                style={styles.rowButton}
+                disabled={!canReorder}
+                title={`Send backward${shortcutHint("send-backward")}`}
+              >
+                ↓ Backward
+              </button>
+              <button
+                onClick={() => handleReorder("back")}
+                style={styles.rowButton}
+                disabled={!canReorder}
+                title={`Send to back${shortcutHint("send-to-back")}`}
+              >
+                ⤓ Back
+              </button>
+            </div>
+            <button
+              onClick={isPlaybackMode ? exitPlayback : enterPlayback}
+              style={styles.actionButton}
+              title="Replay the board's history"
+            >
+              🕘 {isPlaybackMode ? "Exit History" : "History"}
+            </button>
+            <button
+              onClick={() => setShowShortcuts(true)}
+              style={styles.actionButton}
+              title={`Keyboard shortcuts${shortcutHint("show-shortcuts")}`}
+            >
+              ⌨️ Shortcuts
+            </button>
             <button
               onClick={handleClearBoard}
               style={{
@@ -961,16 +3155,93 @@ const Workspace = () => {
 
         {/* Canvas */}
         <div style={styles.canvasContainer}>
-          <canvas
-            ref={canvasRef}
-            width={1200}
-            height={800}
-            style={styles.canvas}
-            onMouseDown={handleMouseDown}
-            onMouseMove={handleMouseMove}
-            onMouseUp={handleMouseUp}
-            onMouseLeave={handleMouseUp}
-          />
+          <div ref={canvasWrapperRef} style={styles.canvasWrapper}>
+            <canvas
+              ref={sceneCanvasRef}
+              width={canvasSize.width}
+              height={canvasSize.height}
+              style={styles.canvas}
+            />
+            <canvas
+              ref={canvasRef}
+              width={canvasSize.width}
+              height={canvasSize.height}
+              style={{
+                ...styles.canvas,
+                cursor: isPanning
+                  ? "grabbing"
+                  : spaceHeld
+                    ? "grab"
+                    : styles.canvas.cursor,
+              }}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerCancel}
+              onPointerLeave={() => setEraserPosition(null)}
+              onDoubleClick={handleDoubleClick}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={handleDrop}
+            />
+            {/* In-place editor for the sticky note being edited */}
+            {editingNote && (
+              <textarea
+                autoFocus
+                value={editingText}
+                maxLength={5000}
+                onChange={(e) => setEditingText(e.target.value)}
+                onBlur={finishEditing}
+                onKeyDown={(e) => {
+                  if (e.key === "Escape") e.target.blur();
+                }}
+                style={{
+                  ...styles.stickyEditor,
+                  left: editingNote.x * viewport.zoom + viewport.x,
+                  top: editingNote.y * viewport.zoom + viewport.y,
+                  width: editingNote.width * viewport.zoom,
+                  height: editingNote.height * viewport.zoom,
+                  padding: STICKY_PADDING * viewport.zoom,
+                  fontSize: editingFontSize * viewport.zoom,
+                  lineHeight: STICKY_LINE_HEIGHT,
+                  color: STICKY_TEXT_COLOR,
+                  transform: editingNote.rotation
+                    ? `rotate(${editingNote.rotation}deg)`
+                    : undefined,
+                }}
+              />
+            )}
+            {/* Zoom controls */}
+            <div style={styles.zoomControls}>
+              <button
+                onClick={() => zoomBy(1 / ZOOM_STEP)}
+                style={styles.zoomButton}
+                title={`Zoom out${shortcutHint("zoom-out")}`}
+              >
+                −
+              </button>
+              <button
+                onClick={resetZoom}
+                style={{ ...styles.zoomButton, minWidth: "56px" }}
+                title={`Zoom to 100%${shortcutHint("zoom-reset")}`}
+              >
+                {Math.round(viewport.zoom * 100)}%
+              </button>
+              <button
+                onClick={() => zoomBy(ZOOM_STEP)}
+                style={styles.zoomButton}
+                title={`Zoom in${shortcutHint("zoom-in")}`}
+              >
+                +
+              </button>
+              <button
+                onClick={zoomToFit}
+                style={styles.zoomButton}
+                title={`Zoom to fit${shortcutHint("zoom-fit")}`}
+              >
+                Fit
+              </button>
+            </div>
+          </div>
           {/* Status indicator */}
           <div
             style={{
@@ -986,7 +3257,7 @@ const Workspace = () => {
               color: "#333",
             }}
           >
-            <div>Shapes: {shapes.length}</div>
+            <div>Shapes: {displayedShapes.length}</div>
             <div style={{ fontSize: "12px", color: "#666", marginTop: "4px" }}>
               Tool: {currentTool}
               {(currentDrawingPath || currentDrawingShape) && (
@@ -996,6 +3267,35 @@ const Workspace = () => {
               )}
             </div>
           </div>
+
+          {/* History playback bar */}
+          {isPlaybackMode && (
+            <div style={styles.playbackBar}>
+              <button onClick={togglePlaying} style={styles.playbackButton}>
+                {isPlaying ? "⏸" : "▶"}
+              </button>
+              <input
+                type="range"
+                min="0"
+                max={playbackEnd}
+                value={playbackIndex}
+                onChange={(e) => {
+                  setIsPlaying(false);
+                  setPlaybackIndex(Number(e.target.value));
+                }}
+                style={styles.playbackSlider}
+              />
+              <div style={styles.playbackInfo}>
+                <div>
+                  Step {playbackIndex} / {playbackEnd}
+                </div>
+                <div style={styles.playbackMeta}>{describePlaybackIndex()}</div>
+              </div>
+              <button onClick={exitPlayback} style={styles.playbackButton}>
+                ✕
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Side panels */}
@@ -1031,6 +3331,46 @@ const Workspace = () => {
             </div>
           )}
 
+          {/* Versions Panel */}
+          {showVersions && (
+            <div style={styles.panel}>
+              <div style={styles.panelHeader}>
+                <h3 style={styles.panelTitle}>Versions</h3>
+                <button
+                  onClick={() => setShowVersions(false)}
+                  style={styles.closeButton}
+                >
+                  ×
+                </button>
+              </div>
+              <div style={styles.panelContent}>
+                <button onClick={handleSaveVersion} style={styles.actionButton}>
+                  + Save Version
+                </button>
+                {versions.map((version) => (
+                  <div key={version.id} style={styles.versionItem}>
+                    <div style={styles.versionInfo}>
+                      <span style={styles.versionName}>{version.name}</span>
+                      <span style={styles.versionMeta}>
+                        {new Date(version.createdAt).toLocaleString()} ·{" "}
+                        {version.shapeCount} shapes
+                      </span>
+                    </div>
+                    <button
+                      onClick={() => handleRestoreVersion(version)}
+                      style={styles.restoreButton}
+                    >
+                      Restore
+                    </button>
+                  </div>
+                ))}
+                {versions.length === 0 && (
+                  <p style={styles.emptyText}>No saved versions</p>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Collaborators Panel */}
           {showCollaborators && (
             <div style={styles.panel}>
@@ -1075,6 +3415,14 @@ const Workspace = () => {
               Show Layers
             </button>
           )}
+          {!showVersions && (
+            <button
+              onClick={() => setShowVersions(true)}
+              style={styles.toggleButton}
+            >
+              Show Versions
+            </button>
+          )}
           {!showCollaborators && (
             <button
               onClick={() => setShowCollaborators(true)}
@@ -1086,6 +3434,93 @@ const Workspace = () => {
         </div>
       </div>
 
+      {/* Keyboard shortcuts */}
+      {showShortcuts && (
+        <div
+          style={styles.modalOverlay}
+          onClick={() => {
+            setShowShortcuts(false);
+            setRecordingAction(null);
+          }}
+        >
+          <div
+            style={{ ...styles.modal, maxWidth: "560px" }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={styles.modalHeader}>
+              <h2 style={styles.modalTitle}>Keyboard Shortcuts</h2>
+              <button
+                onClick={() => {
+                  setShowShortcuts(false);
+                  setRecordingAction(null);
+                }}
+                style={styles.modalCloseButton}
+              >
+                ×
+              </button>
+            </div>
+            <div style={styles.modalBody}>
+              {[...new Set(SHORTCUT_ACTIONS.map((a) => a.group))].map(
+                (group) => (
+                  <div key={group}>
+                    <h3 style={styles.shortcutGroup}>{group}</h3>
+                    {SHORTCUT_ACTIONS.filter((a) => a.group === group).map(
+                      (action) => (
+                        <div key={action.id} style={styles.shortcutRow}>
+                          <span style={{ flex: 1 }}>{action.label}</span>
+                          {recordingAction === action.id ? (
+                            <span style={styles.shortcutPrompt}>
+                              Press a key… (Esc to cancel)
+                            </span>
+                          ) : (
+                            <span>
+                              {shortcutBindings.get(action.id).length === 0 && (
+                                <span style={styles.shortcutPrompt}>None</span>
+                              )}
+                              {shortcutBindings.get(action.id).map((combo) => (
+                                <kbd key={combo} style={styles.kbd}>
+                                  {formatCombo(combo)}
+                                </kbd>
+                              ))}
+                            </span>
+                          )}
+                          <button
+                            onClick={() => setRecordingAction(action.id)}
+                            style={styles.shortcutButton}
+                          >
+                            Change
+                          </button>
+                          <button
+                            onClick={() =>
+                              saveShortcuts(
+                                resetBinding(customShortcuts, action.id),
+                              )
+                            }
+                            style={styles.shortcutButton}
+                            disabled={!customShortcuts[action.id]}
+                          >
+                            Reset
+                          </button>
+                        </div>
+                      ),
+                    )}
+                  </div>
+                ),
+              )}
+            </div>
+            <div style={styles.modalFooter}>
+              <button
+                onClick={() => saveShortcuts({})}
+                style={styles.modalCancelButton}
+                disabled={Object.keys(customShortcuts).length === 0}
+              >
+                Reset All
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Invite Modal */}
       {showInviteModal && (
         <div style={styles.modalOverlay}>
@@ -1285,6 +3720,55 @@ const styles = {
     fontSize: "13px",
     fontWeight: "500",
   },
+  buttonRow: {
+    display: "flex",
+    gap: "4px",
+  },
+  rowButton: {
+    flex: 1,
+    padding: "8px 4px",
+    margin: "4px 0",
+    backgroundColor: "#2196F3",
+    color: "white",
+    border: "none",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "12px",
+    fontWeight: "500",
+  },
+  propertyRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+  },
+  swatchRow: {
+    display: "flex",
+    gap: "6px",
+    marginTop: "4px",
+  },
+  swatch: {
+    width: "24px",
+    height: "24px",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+    cursor: "pointer",
+    padding: 0,
+  },
+  activeSwatch: {
+    outline: "2px solid #007bff",
+    outlineOffset: "1px",
+  },
+  stickyEditor: {
+    position: "absolute",
+    boxSizing: "border-box",
+    margin: 0,
+    border: "none",
+    outline: "2px solid #007bff",
+    background: "transparent",
+    resize: "none",
+    overflow: "hidden",
+    fontFamily: "sans-serif",
+  },
   select: {
     width: "100%",
     padding: "8px",
@@ -1297,18 +3781,90 @@ const styles = {
   canvasContainer: {
     flex: 1,
     display: "flex",
-    alignItems: "center",
-    justifyContent: "center",
     backgroundColor: "#fafafa",
-    overflow: "auto",
+    overflow: "hidden",
     padding: "20px",
+    minWidth: 0,
   },
-  canvas: {
+  canvasWrapper: {
+    position: "relative",
+    flex: 1,
+    overflow: "hidden",
     border: "1px solid #ccc",
     backgroundColor: "#ffffff",
-    cursor: "crosshair",
     boxShadow: "0 4px 6px rgba(0,0,0,0.1)",
   },
+  // Positioned so its size never feeds back into the wrapper's
+  canvas: {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    display: "block",
+    cursor: "crosshair",
+    // Touches draw and pinch on the canvas rather than scroll the page
+    touchAction: "none",
+  },
+  zoomControls: {
+    position: "absolute",
+    bottom: "12px",
+    right: "12px",
+    display: "flex",
+    gap: "4px",
+    padding: "4px",
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: "6px",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+  },
+  zoomButton: {
+    minWidth: "28px",
+    height: "28px",
+    padding: "0 6px",
+    backgroundColor: "#f0f0f0",
+    color: "#333",
+    border: "none",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "13px",
+  },
+  playbackBar: {
+    position: "absolute",
+    bottom: "20px",
+    left: "50%",
+    transform: "translateX(-50%)",
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    width: "560px",
+    padding: "12px 16px",
+    background: "rgba(255, 255, 255, 0.95)",
+    borderRadius: "8px",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.15)",
+  },
+  playbackButton: {
+    padding: "6px 10px",
+    backgroundColor: "#f0f0f0",
+    border: "1px solid #ddd",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "14px",
+  },
+  playbackSlider: {
+    flex: 1,
+  },
+  playbackInfo: {
+    width: "200px",
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "#333",
+  },
+  playbackMeta: {
+    fontSize: "11px",
+    fontWeight: "normal",
+    color: "#666",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
   sidePanels: {
     width: "250px",
     backgroundColor: "#ffffff",
@@ -1374,6 +3930,41 @@ const styles = {
     fontSize: "11px",
     fontWeight: "500",
   },
+  versionItem: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    padding: "8px",
+    marginTop: "4px",
+    backgroundColor: "#f9f9f9",
+    borderRadius: "4px",
+  },
+  versionInfo: {
+    display: "flex",
+    flexDirection: "column",
+    flex: 1,
+    minWidth: 0,
+  },
+  versionName: {
+    fontSize: "13px",
+    color: "#333",
+    fontWeight: "500",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  versionMeta: {
+    fontSize: "11px",
+    color: "#999",
+  },
+  restoreButton: {
+    padding: "4px 8px",
+    backgroundColor: "#f0f0f0",
+    border: "1px solid #ddd",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "12px",
+  },
   collaboratorItem: {
     display: "flex",
     alignItems: "center",
@@ -1496,6 +4087,45 @@ const styles = {
     fontSize: "14px",
     fontWeight: "500",
   },
+  shortcutGroup: {
+    margin: "16px 0 8px",
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "#666",
+    textTransform: "uppercase",
+  },
+  shortcutRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    padding: "4px 0",
+    fontSize: "14px",
+    color: "#333",
+  },
+  shortcutPrompt: {
+    fontSize: "13px",
+    color: "#999",
+    fontStyle: "italic",
+  },
+  kbd: {
+    display: "inline-block",
+    marginLeft: "4px",
+    padding: "2px 6px",
+    fontSize: "12px",
+    fontFamily: "monospace",
+    backgroundColor: "#f5f5f5",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+  },
+  shortcutButton: {
+    padding: "4px 8px",
+    backgroundColor: "#f0f0f0",
+    color: "#333",
+    border: "none",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "12px",
+  },
   modalInviteButton: {
     padding: "10px 20px",
     backgroundColor: "#4CAF50",
@@ -129,12 +129,18 @@ export const boardsAPI = {
   },
 
   /**
-   * Get a single board by ID
+   * Get a single board by ID, with one page of its ops
    * @param {string} boardId
+   * @param {Object} [options] - { opsLimit, opsBefore } for paging through ops
    * @returns {Promise<Object>}
    */
-  getBoard: async (boardId) => {
-    const response = await fetch(`${API_URL}/api/boards/${boardId}`, {
+  getBoard: async (boardId, { opsLimit, opsBefore } = {}) => {
+    const params = new URLSearchParams();
+    if (opsLimit) params.set('opsLimit', opsLimit);
+    if (opsBefore) params.set('opsBefore', opsBefore);
+    const query = params.toString() ? `?${params}` : '';
+
+    const response = await fetch(`${API_URL}/api/boards/${boardId}${query}`, {
       headers: getAuthHeaders()
     });
 
@@ -183,6 +189,165 @@ export const boardsAPI = {
       body: JSON.stringify({ userEmail })
     });
 
+    return handleResponse(response);
+  },
+
+  /**
+   * Get one page of the board's op timeline for history playback
+   * @param {string} boardId
+   * @param {Object} [options] - { limit, before } for paging through steps
+   * @returns {Promise<Object>} { opSeq, steps, hasMore, nextBefore }
+   */
+  getHistory: async (boardId, { limit, before } = {}) => {
+    const params = new URLSearchParams();
+    if (limit) params.set('limit', limit);
+    if (before) params.set('before', before);
+    const query = params.toString() ? `?${params}` : '';
+
+    const response = await fetch(
+      `${API_URL}/api/boards/${boardId}/history${query}`,
+      {
+        headers: getAuthHeaders()
+      }
+    );
+
+    return handleResponse(response);
+  },
+
+  /**
+   * Get the board's shapes as they were right after a given op
+   * @param {string} boardId
+   * @param {number} seq - Op sequence number (0 = empty board)
+   * @returns {Promise<Object>} { seq, shapes }
+   */
+  getHistorySnapshot: async (boardId, seq) => {
+    const response = await fetch(
+      `${API_URL}/api/boards/${boardId}/history/${seq}`,
+      {
+        headers: getAuthHeaders()
+      }
+    );
+
+    return handleResponse(response);
+  },
+
+  /**
+   * List saved versions of a board
+   * @param {string} boardId
+   * @returns {Promise<Array>}
+   */
+  getVersions: async (boardId) => {
+    const response = await fetch(`${API_URL}/api/boards/${boardId}/versions`, {
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  /**
+   * Save the board's current state as a named version
+   * @param {string} boardId
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  createVersion: async (boardId, name) => {
+    const response = await fetch(`${API_URL}/api/boards/${boardId}/versions`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ name })
+    });
+
+    return handleResponse(response);
+  },
+
+  /**
+   * Restore a saved version (the new state is pushed to everyone via socket)
+   * @param {string} boardId
+   * @param {string} versionId
+   * @returns {Promise<Object>}
+   */
+  restoreVersion: async (boardId, versionId) => {
+    const response = await fetch(
+      `${API_URL}/api/boards/${boardId}/versions/${versionId}/restore`,
+      {
+        method: 'POST',
+        headers: getAuthHeaders()
+      }
+    );
+
+    return handleResponse(response);
+  },
+
+  /**
+   * Upload an image to a board
+   * @param {string} boardId
+   * @param {File|Blob} file - PNG, JPEG, GIF or WebP image
+   * @returns {Promise<Object>} { assetId, mimeType, size }
+   */
+  uploadAsset: async (boardId, file) => {
+    const token = getToken();
+    const response = await fetch(`${API_URL}/api/boards/${boardId}/assets`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.type,
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: file
+    });
+
+    return handleResponse(response);
+  },
+
+  /**
+   * Download an uploaded image
+   * @param {string} boardId
+   * @param {string} assetId
+   * @returns {Promise<Blob>}
+   */
+  getAsset: async (boardId, assetId) => {
+    const response = await fetch(
+      `${API_URL}/api/boards/${boardId}/assets/${assetId}`,
+      {
+        headers: getAuthHeaders()
+      }
+    );
+
+    if (!response.ok) {
+      await handleResponse(response);
+    }
+
+    return response.blob();
+  }
+};
+
+/**
+ * Users API
+ */
+export const usersAPI = {
+  /**
+   * Get the current user's customized keyboard shortcuts
+   * @returns {Promise<Object>} { shortcuts: { actionId: [combo] } }
+   */
+  getShortcuts: async () => {
+    const response = await fetch(`${API_URL}/api/users/me/shortcuts`, {
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  /**
+   * Replace the current user's customized keyboard shortcuts
+   * @param {Object} shortcuts - { actionId: [combo] }, only changed actions
+   * @returns {Promise<Object>} { shortcuts }
+   */
+  saveShortcuts: async (shortcuts) => {
+    const response = await fetch(`${API_URL}/api/users/me/shortcuts`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ shortcuts })
+    });
+
     return handleResponse(response);
   }
 };
@@ -190,5 +355,6 @@ export const boardsAPI = {
 export default {
   auth: authAPI,
   boards: boardsAPI,
+  users: usersAPI,
   getToken
 };
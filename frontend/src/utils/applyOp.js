@@ -0,0 +1,95 @@
+/**
+ * Most entries the server accepts in one batch (MAX_BATCH_OPS in
+ * backend/src/services/socketHandlers.js)
+ */
+export const MAX_BATCH_OPS = 1000;
+
+/**
+ * Merge property changes into a shape, respecting per-property versions
+ *
+ * A property is only overwritten if the incoming version is at least the
+ * one already applied, so late or replayed updates never roll a property
+ * back. Changes without versions are applied as-is.
+ *
+ * @param {Object} shape
+ * @param {Object} changes - { property: value }
+ * @param {Object} [versions] - { property: version } assigned by the server
+ * @returns {Object} The merged shape
+ */
+export const mergeShapeChanges = (shape, changes, versions) => {
+  if (!versions) return { ...shape, ...changes };
+
+  const merged = { ...shape, versions: { ...shape.versions } };
+  Object.keys(changes).forEach((key) => {
+    const incoming = versions[key] ?? 0;
+    if (incoming >= (merged.versions[key] ?? 0)) {
+      merged[key] = changes[key];
+      merged.versions[key] = incoming;
+    }
+  });
+  return merged;
+};
+
+/**
+ * Apply a board op, as stored in the server's ops log, to a shapes array
+ *
+ * Mirrors backend/src/services/applyOp.js so a client catching up on
+ * missed ops ends in the same state as the server. Returns a new array
+ * and never mutates the input.
+ *
+ * @param {Array} shapes
+ * @param {Object} op - { opType, payload }
+ * @returns {Array}
+ */
+export const applyOp = (shapes, op) => {
+  switch (op.opType) {
+    case "create":
+      // Add shape if it doesn't already exist
+      return shapes.some((s) => s.id === op.payload.id)
+        ? shapes
+        : [...shapes, op.payload];
+
+    case "delete":
+      return shapes.filter((s) => s.id !== op.payload.shapeId);
+
+    case "update":
+      return shapes.map((s) =>
+        s.id === op.payload.shapeId
+          ? mergeShapeChanges(s, op.payload.changes, op.payload.versions)
+          : s,
+      );
+
+    case "restore":
+      // Replace every shape with the version snapshot
+      return op.payload.shapes;
+
+    case "batch":
+      // Apply each entry in order
+      return op.payload.ops.reduce(applyOp, shapes);
+
+    default:
+      return shapes;
+  }
+};
+
+/**
+ * Take back local changes after the server rejected a batch
+ * The shapes the batch touched become the server's copies again, and ones
+ * the server doesn't have (e.g. ones the batch would have created) are
+ * dropped
+ *
+ * @param {Array} shapes
+ * @param {Array} shapeIds - IDs of the shapes the batch touched
+ * @param {Array} current - The server's copies of those shapes
+ * @returns {Array}
+ */
+export const revertShapes = (shapes, shapeIds, current) => {
+  const touched = new Set(shapeIds);
+  const byId = new Map(current.map((shape) => [shape.id, shape]));
+
+  const kept = shapes
+    .filter((shape) => !touched.has(shape.id) || byId.has(shape.id))
+    .map((shape) => byId.get(shape.id) ?? shape);
+  const keptIds = new Set(kept.map((shape) => shape.id));
+  return [...kept, ...current.filter((shape) => !keptIds.has(shape.id))];
+};
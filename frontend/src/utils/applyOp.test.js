@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import { applyOp, mergeShapeChanges, revertShapes } from "./applyOp";
+
+const rect = (id, x = 0) => ({ id, type: "rect", x, y: 0 });
+
+const create = (shape) => ({ opType: "create", payload: shape });
+const update = (shapeId, changes, versions) => ({
+  opType: "update",
+  payload: { shapeId, changes, versions },
+});
+const remove = (shapeId) => ({ opType: "delete", payload: { shapeId } });
+
+describe("mergeShapeChanges", () => {
+  const shape = { ...rect("a"), versions: { x: 2, y: 2 } };
+
+  it("applies changes at or above the current version", () => {
+    expect(mergeShapeChanges(shape, { x: 5, y: 6 }, { x: 3, y: 2 })).toEqual({
+      ...rect("a", 5),
+      y: 6,
+      versions: { x: 3, y: 2 },
+    });
+  });
+
+  it("never rolls a property back to an older version", () => {
+    expect(mergeShapeChanges(shape, { x: 5, y: 6 }, { x: 1, y: 3 })).toEqual({
+      ...rect("a"),
+      y: 6,
+      versions: { x: 2, y: 3 },
+    });
+  });
+
+  it("applies changes without versions as-is", () => {
+    expect(mergeShapeChanges(shape, { x: 5 })).toEqual({
+      ...shape,
+      x: 5,
+    });
+  });
+
+  it("never changes the shape it is given", () => {
+    mergeShapeChanges(shape, { x: 5 }, { x: 3 });
+    expect(shape).toEqual({ ...rect("a"), versions: { x: 2, y: 2 } });
+  });
+});
+
+describe("applyOp", () => {
+  it("creates a shape once", () => {
+    const shapes = applyOp([], create(rect("a")));
+    expect(shapes).toEqual([rect("a")]);
+    expect(applyOp(shapes, create(rect("a", 5)))).toBe(shapes);
+  });
+
+  it("updates and deletes shapes by ID", () => {
+    const shapes = [rect("a"), rect("b")];
+    expect(applyOp(shapes, update("b", { x: 4 }))).toEqual([
+      rect("a"),
+      rect("b", 4),
+    ]);
+    expect(applyOp(shapes, remove("a"))).toEqual([rect("b")]);
+  });
+
+  it("ignores updates and deletes of missing shapes", () => {
+    const shapes = [rect("a")];
+    expect(applyOp(shapes, update("nope", { x: 4 }))).toEqual(shapes);
+    expect(applyOp(shapes, remove("nope"))).toEqual(shapes);
+  });
+
+  it("replaces every shape on restore", () => {
+    expect(
+      applyOp([rect("a")], { opType: "restore", payload: { shapes: [] } }),
+    ).toEqual([]);
+  });
+
+  it("returns the shapes unchanged for unknown ops", () => {
+    const shapes = [rect("a")];
+    expect(applyOp(shapes, { opType: "sideways", payload: {} })).toBe(shapes);
+  });
+
+  it("never changes the array or shapes it is given", () => {
+    const shapes = [rect("a")];
+    applyOp(shapes, update("a", { x: 4 }));
+    applyOp(shapes, create(rect("b")));
+    expect(shapes).toEqual([rect("a")]);
+  });
+});
+
+describe("applyOp with batches", () => {
+  it("applies every entry in order", () => {
+    const batch = {
+      opType: "batch",
+      payload: {
+        ops: [create(rect("b")), update("b", { x: 4 }), remove("a")],
+      },
+    };
+    expect(applyOp([rect("a")], batch)).toEqual([rect("b", 4)]);
+  });
+});
+
+describe("revertShapes", () => {
+  it("puts back the server's copies of the shapes a batch touched", () => {
+    // The batch moved a, created c and deleted b locally
+    const local = [rect("a", 9), rect("c")];
+    const server = [rect("a"), rect("b")];
+    expect(revertShapes(local, ["a", "b", "c"], server)).toEqual([
+      rect("a"),
+      rect("b"),
+    ]);
+  });
+
+  it("leaves shapes the batch didn't touch alone", () => {
+    const local = [rect("a", 9), rect("d", 3)];
+    expect(revertShapes(local, ["a"], [rect("a")])).toEqual([
+      rect("a"),
+      rect("d", 3),
+    ]);
+  });
+});
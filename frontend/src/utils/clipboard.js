@@ -0,0 +1,159 @@
+import { isConnector } from "./connectors";
+import { translateShape } from "./geometry";
+import { expandSelection } from "./groups";
+import { sortByZIndex } from "./zOrder";
+
+/**
+ * Copying and pasting shapes
+ *
+ * Copied shapes go on the system clipboard as text, so they can be pasted
+ * into another board, tab or window:
+ *
+ *   {
+ *     "type": "ideacanvas/shapes",
+ *     "version": 1,
+ *     "sourceBoardId": "<board the shapes were copied from>",
+ *     "shapes": [ ...shapes, bottom to top ]
+ *   }
+ *
+ * Shapes keep their own properties (including id, groupId and connector
+ * bindings, which refer to other copied shapes) but not server bookkeeping:
+ * _id, zIndex, versions, createdBy and createdAt. Image shapes keep the
+ * assetId they have on the source board.
+ */
+
+export const CLIPBOARD_TYPE = "ideacanvas/shapes";
+export const CLIPBOARD_VERSION = 1;
+
+/**
+ * How far each paste is moved from the copied shapes
+ */
+export const PASTE_OFFSET = 20;
+
+const SERVER_FIELDS = ["_id", "zIndex", "versions", "createdBy", "createdAt"];
+
+/**
+ * Clipboard text for the selected shapes and everything in selected groups
+ *
+ * @param {Array} shapes - All shapes on the board
+ * @param {string[]} ids - Selected shape and group IDs
+ * @param {string} boardId
+ * @returns {string}
+ */
+export const serializeShapes = (shapes, ids, boardId) => {
+  const copied = expandSelection(shapes, ids);
+
+  return JSON.stringify({
+    type: CLIPBOARD_TYPE,
+    version: CLIPBOARD_VERSION,
+    sourceBoardId: boardId,
+    shapes: sortByZIndex(shapes.filter((s) => copied.has(s.id))).map(
+      (shape) => {
+        const plain = { ...shape };
+        SERVER_FIELDS.forEach((field) => delete plain[field]);
+        return plain;
+      },
+    ),
+  });
+};
+
+/**
+ * Read clipboard text written by serializeShapes
+ *
+ * @param {string} text
+ * @returns {Object|null} { sourceBoardId, shapes }, or null if the text
+ *   isn't copied shapes
+ */
+export const parseClipboard = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+
+  if (
+    data?.type !== CLIPBOARD_TYPE ||
+    data.version !== CLIPBOARD_VERSION ||
+    !Array.isArray(data.shapes) ||
+    data.shapes.some((s) => typeof s?.id !== "string")
+  ) {
+    return null;
+  }
+  return { sourceBoardId: data.sourceBoardId, shapes: data.shapes };
+};
+
+/**
+ * Batch entries that add a copy of shapes to a board
+ *
+ * Every shape gets a new ID and is moved by offset; groups are rebuilt
+ * from their copied members (innermost first) and connectors stay
+ * attached only to shapes copied with them. A group left with fewer than
+ * two members is dropped and its members move up to its parent.
+ *
+ * @param {Array} shapes - Copied shapes, bottom to top
+ * @param {Object} options
+ * @param {Function} options.generateId
+ * @param {string} options.layer - Layer the copies go on
+ * @param {number} options.offset - Distance moved right and down
+ * @returns {Object} { ops, ids } - Batch entries and the new IDs of the
+ *   top-level shapes and groups, to select
+ */
+export const buildPasteOps = (shapes, { generateId, layer, offset }) => {
+  const newIds = new Map(shapes.map((s) => [s.id, generateId()]));
+  const parents = new Map(
+    shapes.map((s) => [s.id, newIds.has(s.groupId) ? s.groupId : null]),
+  );
+
+  const groups = shapes.filter((s) => s.type === "group");
+  const depth = (id) => {
+    let count = 0;
+    for (let p = parents.get(id); p; p = parents.get(p)) count += 1;
+    return count;
+  };
+
+  const groupEntries = [];
+  [...groups]
+    .sort((a, b) => depth(b.id) - depth(a.id))
+    .forEach((group) => {
+      const members = shapes.filter((s) => parents.get(s.id) === group.id);
+      if (members.length < 2) {
+        members.forEach((s) => parents.set(s.id, parents.get(group.id)));
+        parents.delete(group.id);
+        return;
+      }
+      groupEntries.push({
+        opType: "group",
+        payload: {
+          groupId: newIds.get(group.id),
+          shapeIds: members.map((s) => newIds.get(s.id)),
+        },
+      });
+    });
+
+  const createEntries = shapes
+    .filter((s) => s.type !== "group")
+    .map((shape) => {
+      const copy = {
+        ...shape,
+        ...translateShape(shape, offset, offset),
+        id: newIds.get(shape.id),
+        layer,
+      };
+      // Groups are joined by the group entries
+      delete copy.groupId;
+
+      if (isConnector(shape)) {
+        copy.startBinding = newIds.get(shape.startBinding) || null;
+        copy.endBinding = newIds.get(shape.endBinding) || null;
+      }
+      return { opType: "create", payload: copy };
+    });
+
+  return {
+    ops: [...createEntries, ...groupEntries],
+    ids: [...parents.entries()]
+      .filter(([, parentId]) => parentId === null)
+      .map(([id]) => newIds.get(id)),
+  };
+};
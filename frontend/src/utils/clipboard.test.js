@@ -0,0 +1,177 @@
+import { describe, expect, it } from "vitest";
+import {
+  CLIPBOARD_TYPE,
+  buildPasteOps,
+  parseClipboard,
+  serializeShapes,
+} from "./clipboard";
+
+/**
+ * IDs new-1, new-2, ... in the order they are asked for
+ */
+const sequentialIds = () => {
+  let next = 0;
+  return () => `new-${++next}`;
+};
+
+const paste = (shapes, offset = 20) =>
+  buildPasteOps(shapes, {
+    generateId: sequentialIds(),
+    layer: "layer-2",
+    offset,
+  });
+
+const rect = (id, extra = {}) => ({
+  id,
+  type: "rect",
+  x: 10,
+  y: 10,
+  width: 50,
+  height: 50,
+  layer: "default",
+  ...extra,
+});
+
+const created = (ops) =>
+  ops.filter((op) => op.opType === "create").map((op) => op.payload);
+const grouped = (ops) =>
+  ops.filter((op) => op.opType === "group").map((op) => op.payload);
+
+describe("buildPasteOps", () => {
+  it("copies shapes with new IDs, moved by the offset, onto the layer", () => {
+    const { ops, ids } = paste([rect("a"), rect("b", { x: 100 })]);
+
+    expect(created(ops)).toEqual([
+      { ...rect("a"), id: "new-1", x: 30, y: 30, layer: "layer-2" },
+      { ...rect("b"), id: "new-2", x: 120, y: 30, layer: "layer-2" },
+    ]);
+    expect(ids).toEqual(["new-1", "new-2"]);
+  });
+
+  it("moves every point of paths, lines and arrows", () => {
+    const path = {
+      id: "p",
+      type: "path",
+      points: [
+        { x: 0, y: 0, pressure: 0.3 },
+        { x: 5, y: 5, pressure: 0.6 },
+      ],
+    };
+    expect(created(paste([path], 10).ops)[0].points).toEqual([
+      { x: 10, y: 10, pressure: 0.3 },
+      { x: 15, y: 15, pressure: 0.6 },
+    ]);
+  });
+
+  it("rebuilds groups from their copied members and selects the group", () => {
+    const { ops, ids } = paste([
+      { id: "g", type: "group" },
+      rect("a", { groupId: "g" }),
+      rect("b", { groupId: "g" }),
+    ]);
+
+    // Creates come first, so the group entry can refer to them
+    expect(ops.map((op) => op.opType)).toEqual(["create", "create", "group"]);
+    expect(grouped(ops)).toEqual([
+      { groupId: "new-1", shapeIds: ["new-2", "new-3"] },
+    ]);
+    created(ops).forEach((shape) =>
+      expect(shape).not.toHaveProperty("groupId"),
+    );
+    expect(ids).toEqual(["new-1"]);
+  });
+
+  it("builds nested groups innermost first", () => {
+    const { ops, ids } = paste([
+      { id: "outer", type: "group" },
+      { id: "inner", type: "group", groupId: "outer" },
+      rect("a", { groupId: "inner" }),
+      rect("b", { groupId: "inner" }),
+      rect("c", { groupId: "outer" }),
+    ]);
+
+    expect(grouped(ops)).toEqual([
+      { groupId: "new-2", shapeIds: ["new-3", "new-4"] },
+      { groupId: "new-1", shapeIds: ["new-2", "new-5"] },
+    ]);
+    expect(ids).toEqual(["new-1"]);
+  });
+
+  it("drops groups left with fewer than two members", () => {
+    // Only one member of g was copied with it
+    const { ops, ids } = paste([
+      { id: "g", type: "group" },
+      rect("a", { groupId: "g" }),
+      rect("b"),
+    ]);
+
+    expect(grouped(ops)).toEqual([]);
+    expect(ids).toEqual(["new-2", "new-3"]);
+  });
+
+  it("treats shapes whose group wasn't copied as top-level", () => {
+    const { ops, ids } = paste([rect("a", { groupId: "elsewhere" })]);
+    expect(grouped(ops)).toEqual([]);
+    expect(ids).toEqual(["new-1"]);
+  });
+
+  it("keeps connector bindings only to shapes copied with them", () => {
+    const arrow = {
+      id: "arrow",
+      type: "arrow",
+      points: [
+        { x: 0, y: 0 },
+        { x: 50, y: 50 },
+      ],
+      startBinding: "a",
+      endBinding: "not-copied",
+    };
+    const copy = created(paste([rect("a"), arrow]).ops)[1];
+
+    expect(copy.startBinding).toBe("new-1");
+    expect(copy.endBinding).toBeNull();
+  });
+
+  it("returns nothing for nothing", () => {
+    expect(paste([])).toEqual({ ops: [], ids: [] });
+  });
+});
+
+describe("serializeShapes and parseClipboard", () => {
+  const shapes = [
+    rect("top", { zIndex: 5, versions: { x: 2 }, _id: "db-id" }),
+    rect("bottom", { zIndex: 1, createdBy: "user", createdAt: "now" }),
+    rect("other", { zIndex: 3 }),
+  ];
+
+  it("round-trips the selection bottom to top, minus server fields", () => {
+    const text = serializeShapes(shapes, ["top", "bottom"], "board-1");
+    expect(JSON.parse(text).type).toBe(CLIPBOARD_TYPE);
+
+    expect(parseClipboard(text)).toEqual({
+      sourceBoardId: "board-1",
+      shapes: [rect("bottom"), rect("top")],
+    });
+  });
+
+  it("copies everything inside selected groups", () => {
+    const withGroup = [
+      { id: "g", type: "group", zIndex: 1 },
+      rect("a", { groupId: "g", zIndex: 2 }),
+      rect("b", { zIndex: 3 }),
+    ];
+    const { shapes: copied } = parseClipboard(
+      serializeShapes(withGroup, ["g"], "board-1"),
+    );
+    expect(copied.map((s) => s.id)).toEqual(["g", "a"]);
+  });
+
+  it("ignores text that isn't copied shapes", () => {
+    [
+      "hello",
+      "{}",
+      JSON.stringify({ type: CLIPBOARD_TYPE, version: 2, shapes: [] }),
+      JSON.stringify({ type: CLIPBOARD_TYPE, version: 1, shapes: [{}] }),
+    ].forEach((text) => expect(parseClipboard(text)).toBeNull());
+  });
+});
@@ -0,0 +1,165 @@
+import { getShapeBounds } from "./geometry";
+
+/**
+ * Lines and arrows ("connectors")
+ *
+ * A connector stores its two endpoints in points. An end attached to a
+ * shape (startBinding / endBinding) isn't drawn at its stored point but
+ * where the connector meets that shape's outline, so it follows the shape
+ * whenever the shape moves, for every collaborator, without any extra ops.
+ * If the attached shape is deleted the stored point is used again.
+ */
+
+/**
+ * Shape types that are connectors
+ */
+export const CONNECTOR_TYPES = ["line", "arrow"];
+
+/**
+ * Styles for the ends of connectors
+ */
+export const ARROWHEAD_STYLES = ["none", "arrow", "triangle", "dot"];
+
+export const isConnector = (shape) => CONNECTOR_TYPES.includes(shape?.type);
+
+/**
+ * Whether a connector end can attach to this shape
+ */
+export const canBindTo = (shape) =>
+  !!shape && !isConnector(shape) && shape.type !== "group";
+
+const getCenter = (bounds) => ({
+  x: (bounds.minX + bounds.maxX) / 2,
+  y: (bounds.minY + bounds.maxY) / 2,
+});
+
+/**
+ * Point where the ray from a shape's center toward `toward` leaves the
+ * shape's outline (its circle, or its bounding box for other shapes)
+ */
+const getOutlinePoint = (shape, bounds, toward) => {
+  const center = getCenter(bounds);
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  if (dx === 0 && dy === 0) return center;
+
+  const halfWidth = (bounds.maxX - bounds.minX) / 2;
+  const halfHeight = (bounds.maxY - bounds.minY) / 2;
+
+  let scale;
+  if (shape.type === "circle") {
+    scale = halfWidth / Math.sqrt(dx * dx + dy * dy);
+  } else {
+    scale = Math.min(
+      dx === 0 ? Infinity : halfWidth / Math.abs(dx),
+      dy === 0 ? Infinity : halfHeight / Math.abs(dy),
+    );
+  }
+
+  // `toward` is inside the shape: meet at the center
+  if (scale >= 1) return center;
+
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+};
+
+/**
+ * Where a connector's ends are drawn, following attached shapes
+ *
+ * @param {Object} connector
+ * @param {Map<string, Object>} shapesById - Current shapes by ID
+ * @param {CanvasRenderingContext2D} [ctx] - For measuring text shapes
+ * @returns {Object} { start: {x, y}, end: {x, y} }
+ */
+export const getConnectorEndpoints = (connector, shapesById, ctx) => {
+  const [startPoint, endPoint] = connector.points;
+
+  const resolve = (shapeId) => {
+    const shape = shapeId && shapesById.get(shapeId);
+    const bounds = canBindTo(shape) && getShapeBounds(shape, ctx);
+    return bounds ? { shape, bounds } : null;
+  };
+  const startShape = resolve(connector.startBinding);
+  const endShape = resolve(connector.endBinding);
+
+  // Aim each attached end at the other end's anchor
+  const startAnchor = startShape ? getCenter(startShape.bounds) : startPoint;
+  const endAnchor = endShape ? getCenter(endShape.bounds) : endPoint;
+
+  return {
+    start: startShape
+      ? getOutlinePoint(startShape.shape, startShape.bounds, endAnchor)
+      : startPoint,
+    end: endShape
+      ? getOutlinePoint(endShape.shape, endShape.bounds, startAnchor)
+      : endPoint,
+  };
+};
+
+/**
+ * Distance from point p to the segment a-b
+ */
+export const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared),
+        );
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Draw an arrowhead at `tip`, pointing away from `from`
+ * Uses the context's current stroke/fill style and line width
+ */
+export const drawArrowhead = (ctx, style, from, tip) => {
+  if (!style || style === "none") return;
+
+  const size = Math.max(10, ctx.lineWidth * 4);
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const left = {
+    x: tip.x - size * Math.cos(angle - Math.PI / 7),
+    y: tip.y - size * Math.sin(angle - Math.PI / 7),
+  };
+  const right = {
+    x: tip.x - size * Math.cos(angle + Math.PI / 7),
+    y: tip.y - size * Math.sin(angle + Math.PI / 7),
+  };
+
+  ctx.beginPath();
+  if (style === "dot") {
+    ctx.arc(tip.x, tip.y, size / 3, 0, 2 * Math.PI);
+    ctx.fill();
+  } else if (style === "triangle") {
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.closePath();
+    ctx.fill();
+  } else {
+    ctx.moveTo(left.x, left.y);
+    ctx.lineTo(tip.x, tip.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.stroke();
+  }
+};
+
+/**
+ * Draw a line or arrow between its resolved endpoints, with its arrowheads
+ * Uses the context's current stroke/fill style, line width and dashes
+ */
+export const drawConnector = (ctx, connector, start, end) => {
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  ctx.lineTo(end.x, end.y);
+  ctx.stroke();
+
+  // Arrowheads are always solid, even on dashed lines
+  ctx.setLineDash([]);
+  drawArrowhead(ctx, connector.endArrowhead, start, end);
+  drawArrowhead(ctx, connector.startArrowhead, end, start);
+};
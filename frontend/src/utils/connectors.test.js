@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import {
+  canBindTo,
+  distanceToSegment,
+  getConnectorEndpoints,
+  isConnector,
+} from "./connectors";
+
+const rect = (id, x, y, width = 20, height = 20) => ({
+  id,
+  type: "rect",
+  x,
+  y,
+  width,
+  height,
+});
+
+const arrow = (points, extra = {}) => ({
+  id: "arrow",
+  type: "arrow",
+  points,
+  ...extra,
+});
+
+const point = (x, y) => ({ x, y });
+
+const byId = (...shapes) => new Map(shapes.map((s) => [s.id, s]));
+
+describe("isConnector and canBindTo", () => {
+  it("treats lines and arrows as connectors", () => {
+    expect(isConnector({ type: "line" })).toBe(true);
+    expect(isConnector({ type: "arrow" })).toBe(true);
+    expect(isConnector({ type: "rect" })).toBe(false);
+    expect(isConnector(undefined)).toBe(false);
+  });
+
+  it("binds to shapes with an outline only", () => {
+    expect(canBindTo(rect("a", 0, 0))).toBe(true);
+    expect(canBindTo({ type: "line" })).toBe(false);
+    expect(canBindTo({ type: "group" })).toBe(false);
+    expect(canBindTo(undefined)).toBe(false);
+  });
+});
+
+describe("getConnectorEndpoints", () => {
+  const points = [
+    { x: 0, y: 0 },
+    { x: 100, y: 0 },
+  ];
+
+  it("uses the stored points for unattached ends", () => {
+    expect(getConnectorEndpoints(arrow(points), byId())).toEqual({
+      start: points[0],
+      end: points[1],
+    });
+  });
+
+  it("meets attached shapes at their outlines, facing each other", () => {
+    const a = rect("a", 0, 0);
+    const b = rect("b", 100, 0);
+    const connector = arrow(points, { startBinding: "a", endBinding: "b" });
+    expect(getConnectorEndpoints(connector, byId(a, b))).toEqual({
+      start: { x: 20, y: 10 },
+      end: { x: 100, y: 10 },
+    });
+  });
+
+  it("aims an attached end at the other end's point", () => {
+    const connector = arrow([point(0, 0), point(10, 100)], {
+      startBinding: "a",
+    });
+    // a is centered on (10, 10), straight above the end
+    expect(
+      getConnectorEndpoints(connector, byId(rect("a", 0, 0))).start,
+    ).toEqual({ x: 10, y: 20 });
+  });
+
+  it("meets circles on their circle", () => {
+    const circle = { ...rect("c", -10, -10), type: "circle" };
+    const connector = arrow(points, { startBinding: "c" });
+    const { start } = getConnectorEndpoints(connector, byId(circle));
+    expect(start.x).toBeCloseTo(Math.SQRT2 * 10);
+    expect(start.y).toBeCloseTo(0);
+  });
+
+  it("falls back to the stored point once the shape is deleted", () => {
+    const connector = arrow(points, { startBinding: "gone" });
+    expect(getConnectorEndpoints(connector, byId()).start).toEqual(points[0]);
+  });
+
+  it("meets at the center when the other end is inside the shape", () => {
+    const connector = arrow([point(0, 0), point(5, 5)], { startBinding: "a" });
+    expect(
+      getConnectorEndpoints(connector, byId(rect("a", 0, 0))).start,
+    ).toEqual({ x: 10, y: 10 });
+  });
+});
+
+describe("distanceToSegment", () => {
+  const a = { x: 0, y: 0 };
+  const b = { x: 10, y: 0 };
+
+  it("measures to the nearest point along the segment", () => {
+    expect(distanceToSegment({ x: 5, y: 3 }, a, b)).toBe(3);
+  });
+
+  it("measures to the nearest end beyond the segment", () => {
+    expect(distanceToSegment({ x: 13, y: 4 }, a, b)).toBe(5);
+    expect(distanceToSegment({ x: -3, y: -4 }, a, b)).toBe(5);
+  });
+
+  it("handles segments of zero length", () => {
+    expect(distanceToSegment({ x: 3, y: 4 }, a, a)).toBe(5);
+  });
+});
@@ -0,0 +1,160 @@
+import { distanceToSegment } from "./connectors";
+
+/**
+ * Erasing freehand paths
+ *
+ * The eraser is a circle dragged over the board. Between two pointer
+ * events it sweeps a capsule (the segment between them, widened by its
+ * radius), so quick strokes don't skip over paths. It either deletes
+ * whole paths it touches or cuts away the parts of them it covers.
+ */
+
+/**
+ * "stroke" deletes every path the eraser touches; "partial" cuts away
+ * the parts it covers, splitting paths it crosses
+ */
+export const ERASER_MODES = [
+  { id: "stroke", label: "Whole strokes" },
+  { id: "partial", label: "Partial" },
+];
+
+/**
+ * Eraser radius in screen pixels
+ */
+export const ERASER_RADIUS = 10;
+
+/**
+ * Search steps when finding where a segment enters and leaves the eraser;
+ * each one halves the error
+ */
+const SEARCH_STEPS = 30;
+
+const lerpPoint = (p, q, t) => {
+  const point = { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+  if (typeof p.pressure === "number" && typeof q.pressure === "number") {
+    point.pressure =
+      Math.round((p.pressure + (q.pressure - p.pressure) * t) * 100) / 100;
+  }
+  return point;
+};
+
+const pathLength = (points) =>
+  points
+    .slice(1)
+    .reduce(
+      (sum, p, i) => sum + Math.hypot(p.x - points[i].x, p.y - points[i].y),
+      0,
+    );
+
+/**
+ * The part of segment p-q within radius of segment a-b, as [t0, t1] along
+ * p-q, or null if none of it is
+ * The distance is convex along p-q, so the part is a single interval
+ * around the closest point: found by ternary search, then its ends by
+ * bisection
+ */
+const getCoveredInterval = (p, q, a, b, radius) => {
+  if (
+    Math.max(p.x, q.x) < Math.min(a.x, b.x) - radius ||
+    Math.min(p.x, q.x) > Math.max(a.x, b.x) + radius ||
+    Math.max(p.y, q.y) < Math.min(a.y, b.y) - radius ||
+    Math.min(p.y, q.y) > Math.max(a.y, b.y) + radius
+  ) {
+    return null;
+  }
+
+  const distanceAt = (t) => distanceToSegment(lerpPoint(p, q, t), a, b);
+
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < SEARCH_STEPS; i++) {
+    const m1 = lo + (hi - lo) / 3;
+    const m2 = hi - (hi - lo) / 3;
+    if (distanceAt(m1) < distanceAt(m2)) hi = m2;
+    else lo = m1;
+  }
+  const closest = (lo + hi) / 2;
+  if (distanceAt(closest) > radius) return null;
+
+  const findEdge = (inside, outside) => {
+    if (distanceAt(outside) <= radius) return outside;
+    for (let i = 0; i < SEARCH_STEPS; i++) {
+      const mid = (inside + outside) / 2;
+      if (distanceAt(mid) <= radius) inside = mid;
+      else outside = mid;
+    }
+    return inside;
+  };
+  return [findEdge(closest, 0), findEdge(closest, 1)];
+};
+
+/**
+ * Whether the eraser, moving from a to b, touches a path
+ *
+ * @param {Array} points - The path's points
+ * @param {Object} a - Eraser position before the move
+ * @param {Object} b - Eraser position after the move
+ * @param {number} radius - How near the path's centre line counts
+ * @returns {boolean}
+ */
+export const touchesPath = (points, a, b, radius) => {
+  if (points.length === 1) return distanceToSegment(points[0], a, b) <= radius;
+  return points
+    .slice(1)
+    .some((q, i) => getCoveredInterval(points[i], q, a, b, radius) !== null);
+};
+
+/**
+ * What's left of a path after the eraser moves from a to b over it
+ * Pieces shorter than minLength are dropped along with the covered parts
+ *
+ * @param {Array} points - The path's points
+ * @param {Object} a - Eraser position before the move
+ * @param {Object} b - Eraser position after the move
+ * @param {number} radius - How near the path's centre line is erased
+ * @param {number} minLength - Shortest piece worth keeping
+ * @returns {Array|null} The pieces left, as arrays of points (empty if
+ *   all of it was erased), or null if the eraser didn't touch the path
+ */
+export const cutPath = (points, a, b, radius, minLength) => {
+  if (points.length === 1) {
+    return distanceToSegment(points[0], a, b) <= radius ? [] : null;
+  }
+
+  const pieces = [];
+  let current = null;
+  let touched = false;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const p = points[i];
+    const q = points[i + 1];
+    const covered = getCoveredInterval(p, q, a, b, radius);
+
+    if (!covered) {
+      if (!current) {
+        current = [p];
+        pieces.push(current);
+      }
+      current.push(q);
+      continue;
+    }
+
+    touched = true;
+    const [t0, t1] = covered;
+    if (t0 > 0) {
+      if (!current) {
+        current = [p];
+        pieces.push(current);
+      }
+      current.push(lerpPoint(p, q, t0));
+    }
+    current = null;
+    if (t1 < 1) {
+      current = [lerpPoint(p, q, t1), q];
+      pieces.push(current);
+    }
+  }
+
+  if (!touched) return null;
+  return pieces.filter((piece) => pathLength(piece) >= minLength);
+};
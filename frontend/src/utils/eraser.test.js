@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { cutPath, touchesPath } from "./eraser";
+import { distanceToPath } from "./paths";
+
+const point = (x, y) => ({ x, y });
+
+const line = [point(0, 0), point(100, 0)];
+
+/**
+ * Pieces rounded to whole units, so search error doesn't matter
+ */
+const rounded = (pieces) =>
+  pieces.map((piece) =>
+    piece.map((p) => ({ ...p, x: Math.round(p.x), y: Math.round(p.y) })),
+  );
+
+describe("touchesPath", () => {
+  it("touches paths within the radius of the eraser", () => {
+    expect(touchesPath(line, point(50, 8), point(50, 8), 10)).toBe(true);
+    expect(touchesPath(line, point(50, 20), point(50, 20), 10)).toBe(false);
+  });
+
+  it("touches paths the eraser swept across between two events", () => {
+    expect(touchesPath(line, point(50, -50), point(50, 50), 10)).toBe(true);
+    expect(touchesPath(line, point(-50, 50), point(150, 50), 10)).toBe(false);
+  });
+
+  it("touches single-point paths near the eraser", () => {
+    expect(touchesPath([point(0, 0)], point(5, 0), point(5, 0), 10)).toBe(true);
+  });
+});
+
+describe("cutPath", () => {
+  it("splits a path the eraser crosses", () => {
+    const pieces = cutPath(line, point(50, 0), point(50, 0), 10, 0);
+    expect(rounded(pieces)).toEqual([
+      [point(0, 0), point(40, 0)],
+      [point(60, 0), point(100, 0)],
+    ]);
+  });
+
+  it("trims a path the eraser covers the end of", () => {
+    const pieces = cutPath(line, point(0, 0), point(0, 0), 10, 0);
+    expect(rounded(pieces)).toEqual([[point(10, 0), point(100, 0)]]);
+  });
+
+  it("cuts across corners, keeping the points it doesn't cover", () => {
+    const corner = [point(0, 0), point(50, 0), point(50, 50)];
+    const pieces = cutPath(corner, point(50, 0), point(50, 0), 10, 0);
+    expect(rounded(pieces)).toEqual([
+      [point(0, 0), point(40, 0)],
+      [point(50, 10), point(50, 50)],
+    ]);
+  });
+
+  it("erases a path the eraser sweeps all along", () => {
+    expect(cutPath(line, point(0, 0), point(100, 0), 10, 0)).toEqual([]);
+    expect(cutPath([point(0, 0)], point(5, 0), point(5, 0), 10, 0)).toEqual([]);
+  });
+
+  it("drops pieces shorter than the minimum length", () => {
+    const pieces = cutPath(line, point(15, 0), point(15, 0), 10, 8);
+    expect(rounded(pieces)).toEqual([[point(25, 0), point(100, 0)]]);
+  });
+
+  it("interpolates pressure where it cuts", () => {
+    const pen = [
+      { ...point(0, 0), pressure: 0 },
+      { ...point(100, 0), pressure: 1 },
+    ];
+    const [left, right] = cutPath(pen, point(50, 0), point(50, 0), 10, 0);
+    expect(left[1].pressure).toBe(0.4);
+    expect(right[0].pressure).toBe(0.6);
+  });
+
+  it("returns null for paths it doesn't touch", () => {
+    expect(cutPath(line, point(50, 20), point(50, 20), 10, 0)).toBe(null);
+    expect(cutPath([point(0, 0)], point(50, 0), point(50, 0), 10, 0)).toBe(
+      null,
+    );
+  });
+});
+
+describe("distanceToPath", () => {
+  const corner = [point(0, 0), point(10, 0), point(10, 10)];
+
+  it("measures to the nearest segment", () => {
+    expect(distanceToPath(point(5, 3), corner)).toBe(3);
+    expect(distanceToPath(point(13, 5), corner)).toBe(3);
+  });
+
+  it("measures to the point of single-point paths", () => {
+    expect(distanceToPath(point(3, 4), [point(0, 0)])).toBe(5);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Shape geometry helpers
+ */
+
+/**
+ * Shape types positioned by their points rather than x/y
+ */
+const POINT_SHAPE_TYPES = ["path", "line", "arrow"];
+
+/**
+ * Font size of a text shape, as rendered
+ */
+export const getFontSize = (shape) => shape.strokeWidth * 10 || 20;
+
+/**
+ * Center of a shape's box (x, y, width, height)
+ */
+export const getBoxCenter = (shape) => ({
+  x: shape.x + shape.width / 2,
+  y: shape.y + shape.height / 2,
+});
+
+/**
+ * Rotate a point about center by angle degrees, clockwise on the canvas
+ * (the same direction as ctx.rotate)
+ */
+export const rotatePoint = (point, center, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos,
+  };
+};
+
+/**
+ * Axis-aligned bounds of a shape as drawn on the canvas
+ *
+ * @param {Object} shape
+ * @param {CanvasRenderingContext2D} [ctx] - Used to measure text; without
+ *   it text width is estimated
+ * @returns {Object|null} { minX, minY, maxX, maxY }, or null for shapes
+ *   without geometry (groups)
+ */
+export const getShapeBounds = (shape, ctx) => {
+  switch (shape.type) {
+    case "path":
+    case "line":
+    case "arrow": {
+      if (!shape.points || shape.points.length === 0) return null;
+      const xs = shape.points.map((p) => p.x);
+      const ys = shape.points.map((p) => p.y);
+      return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys),
+      };
+    }
+
+    case "rect":
+    case "sticky":
+    case "image": {
+      if (!shape.rotation) {
+        return {
+          minX: shape.x,
+          minY: shape.y,
+          maxX: shape.x + shape.width,
+          maxY: shape.y + shape.height,
+        };
+      }
+      const center = getBoxCenter(shape);
+      const corners = [
+        { x: shape.x, y: shape.y },
+        { x: shape.x + shape.width, y: shape.y },
+        { x: shape.x + shape.width, y: shape.y + shape.height },
+        { x: shape.x, y: shape.y + shape.height },
+      ].map((corner) => rotatePoint(corner, center, shape.rotation));
+      const xs = corners.map((p) => p.x);
+      const ys = corners.map((p) => p.y);
+      return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys),
+      };
+    }
+
+    case "circle": {
+      // Circles are drawn with the box diagonal as diameter
+      const radius = Math.sqrt(shape.width ** 2 + shape.height ** 2) / 2;
+      const centerX = shape.x + shape.width / 2;
+      const centerY = shape.y + shape.height / 2;
+      return {
+        minX: centerX - radius,
+        minY: centerY - radius,
+        maxX: centerX + radius,
+        maxY: centerY + radius,
+      };
+    }
+
+    case "text": {
+      const fontSize = getFontSize(shape);
+      let width = (shape.text || "").length * fontSize * 0.6;
+      if (ctx) {
+        ctx.font = `${fontSize}px sans-serif`;
+        width = ctx.measureText(shape.text || "").width;
+      }
+      // Text is drawn with its baseline at y
+      return {
+        minX: shape.x,
+        minY: shape.y - fontSize,
+        maxX: shape.x + width,
+        maxY: shape.y,
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Combined bounds of several shapes, or null if none has geometry
+ */
+export const getCombinedBounds = (shapes, ctx) =>
+  shapes.reduce((combined, shape) => {
+    const bounds = getShapeBounds(shape, ctx);
+    if (!bounds) return combined;
+    if (!combined) return bounds;
+    return {
+      minX: Math.min(combined.minX, bounds.minX),
+      minY: Math.min(combined.minY, bounds.minY),
+      maxX: Math.max(combined.maxX, bounds.maxX),
+      maxY: Math.max(combined.maxY, bounds.maxY),
+    };
+  }, null);
+
+/**
+ * The properties that place a shape: points for paths, lines and arrows,
+ * x/y otherwise
+ */
+export const getPosition = (shape) =>
+  POINT_SHAPE_TYPES.includes(shape.type)
+    ? { points: shape.points }
+    : { x: shape.x, y: shape.y };
+
+/**
+ * Position properties of a shape moved by (dx, dy)
+ * Groups have no position and return {}
+ */
+export const translateShape = (shape, dx, dy) => {
+  if (POINT_SHAPE_TYPES.includes(shape.type)) {
+    return {
+      points: (shape.points || []).map((p) => ({
+        ...p,
+        x: p.x + dx,
+        y: p.y + dy,
+      })),
+    };
+  }
+  if (shape.type === "group") return {};
+  return { x: shape.x + dx, y: shape.y + dy };
+};
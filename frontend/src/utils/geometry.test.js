@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import {
+  getCombinedBounds,
+  getPosition,
+  getShapeBounds,
+  translateShape,
+} from "./geometry";
+
+const points = [
+  { x: 5, y: 40 },
+  { x: -5, y: 10 },
+];
+
+describe("getShapeBounds", () => {
+  it("spans the points of paths, lines and arrows", () => {
+    for (const type of ["path", "line", "arrow"]) {
+      expect(getShapeBounds({ type, points })).toEqual({
+        minX: -5,
+        minY: 10,
+        maxX: 5,
+        maxY: 40,
+      });
+    }
+    expect(getShapeBounds({ type: "line", points: [] })).toBe(null);
+  });
+
+  it("uses the box of rectangles", () => {
+    expect(
+      getShapeBounds({ type: "rect", x: 10, y: 20, width: 30, height: 40 }),
+    ).toEqual({ minX: 10, minY: 20, maxX: 40, maxY: 60 });
+  });
+
+  it("covers every corner of rotated boxes", () => {
+    const bounds = getShapeBounds({
+      type: "rect",
+      x: 0,
+      y: 0,
+      width: 20,
+      height: 10,
+      rotation: 90,
+    });
+    expect(bounds.minX).toBeCloseTo(5);
+    expect(bounds.minY).toBeCloseTo(-5);
+    expect(bounds.maxX).toBeCloseTo(15);
+    expect(bounds.maxY).toBeCloseTo(15);
+  });
+
+  it("fits circles drawn with the box diagonal as diameter", () => {
+    expect(
+      getShapeBounds({ type: "circle", x: 0, y: 0, width: 6, height: 8 }),
+    ).toEqual({ minX: -2, minY: -1, maxX: 8, maxY: 9 });
+  });
+
+  it("has no bounds for groups", () => {
+    expect(getShapeBounds({ type: "group" })).toBe(null);
+  });
+});
+
+describe("getCombinedBounds", () => {
+  it("covers every shape with geometry", () => {
+    const shapes = [
+      { type: "rect", x: 0, y: 0, width: 10, height: 10 },
+      { type: "group" },
+      { type: "line", points },
+    ];
+    expect(getCombinedBounds(shapes)).toEqual({
+      minX: -5,
+      minY: 0,
+      maxX: 10,
+      maxY: 40,
+    });
+  });
+
+  it("is null without any geometry", () => {
+    expect(getCombinedBounds([])).toBe(null);
+    expect(getCombinedBounds([{ type: "group" }])).toBe(null);
+  });
+});
+
+describe("getPosition and translateShape", () => {
+  it("moves the points of point shapes", () => {
+    const line = { type: "line", points };
+    expect(getPosition(line)).toEqual({ points });
+    expect(translateShape(line, 1, 2)).toEqual({
+      points: [
+        { x: 6, y: 42 },
+        { x: -4, y: 12 },
+      ],
+    });
+  });
+
+  it("moves x and y of other shapes", () => {
+    const box = { type: "rect", x: 1, y: 2, width: 3, height: 4 };
+    expect(getPosition(box)).toEqual({ x: 1, y: 2 });
+    expect(translateShape(box, 10, 20)).toEqual({ x: 11, y: 22 });
+  });
+
+  it("moves nothing for groups", () => {
+    expect(translateShape({ type: "group" }, 10, 20)).toEqual({});
+  });
+});
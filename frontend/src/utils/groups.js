@@ -0,0 +1,65 @@
+/**
+ * Shape groups
+ *
+ * Mirrors backend/src/services/groups.js: a group is a shape of type
+ * "group" with no geometry, and members point to it through groupId.
+ * A member whose group no longer exists counts as top-level.
+ */
+
+/**
+ * IDs of every shape and group nested under a group, at any depth
+ */
+export const getDescendantIds = (shapes, groupId) => {
+  const ids = [];
+  const pending = [groupId];
+  const seen = new Set(pending);
+
+  while (pending.length > 0) {
+    const parentId = pending.pop();
+    shapes.forEach((shape) => {
+      if (shape.groupId === parentId && !seen.has(shape.id)) {
+        seen.add(shape.id);
+        ids.push(shape.id);
+        if (shape.type === "group") pending.push(shape.id);
+      }
+    });
+  }
+
+  return ids;
+};
+
+/**
+ * ID of the outermost group containing a shape, or the shape's own ID
+ * if it isn't grouped. Selecting any member selects this.
+ */
+export const getTopLevelId = (shapes, shapeId) => {
+  const byId = new Map(shapes.map((s) => [s.id, s]));
+  const seen = new Set([shapeId]);
+  let current = byId.get(shapeId);
+
+  while (
+    current?.groupId &&
+    byId.has(current.groupId) &&
+    !seen.has(current.groupId)
+  ) {
+    seen.add(current.groupId);
+    current = byId.get(current.groupId);
+  }
+
+  return current ? current.id : shapeId;
+};
+
+/**
+ * Selected IDs plus everything nested in selected groups
+ *
+ * @param {Array} shapes
+ * @param {string[]} ids - Selected shape and group IDs
+ * @returns {Set<string>}
+ */
+export const expandSelection = (shapes, ids) => {
+  const expanded = new Set(ids);
+  ids.forEach((id) => {
+    getDescendantIds(shapes, id).forEach((childId) => expanded.add(childId));
+  });
+  return expanded;
+};
@@ -0,0 +1,150 @@
+/**
+ * Image shapes
+ *
+ * An image shape shows an uploaded file (its assetId) in the box x, y,
+ * width, height. Assets can only be downloaded with the user's token, so
+ * they are fetched into an in-memory cache instead of being pointed at by
+ * URL.
+ */
+
+/**
+ * File types that can be uploaded
+ */
+export const IMAGE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+];
+
+/**
+ * Largest file the server accepts, in bytes
+ */
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Longest side of a newly placed image; larger images are scaled down
+ */
+const MAX_PLACED_SIZE = 400;
+
+/**
+ * The files of a FileList that can be uploaded as images
+ */
+export const getImageFiles = (files) =>
+  [...(files || [])].filter((file) => IMAGE_TYPES.includes(file.type));
+
+/**
+ * Decode an image file or blob
+ * The image keeps an object URL as its src; revoke it when done
+ *
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (blob) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => {
+      URL.revokeObjectURL(image.src);
+      reject(new Error("Could not read image"));
+    };
+    image.src = URL.createObjectURL(blob);
+  });
+
+/**
+ * Size to place an image at, keeping its aspect ratio
+ */
+export const fitImageSize = (width, height) => {
+  const scale = Math.min(1, MAX_PLACED_SIZE / Math.max(width, height, 1));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+/**
+ * Cache of decoded asset images
+ *
+ * get() starts loading an asset the first time it's asked for and returns
+ * its entry: { status: "loading" | "loaded" | "failed", image? }. onChange
+ * is called whenever a load finishes, so the canvas can be redrawn.
+ *
+ * @param {Function} fetchAsset - (assetId) => Promise<Blob>
+ * @param {Function} onChange
+ */
+export const createImageCache = (fetchAsset, onChange) => {
+  const entries = new Map();
+  let cleared = false;
+
+  const settle = (assetId, entry) => {
+    if (cleared) {
+      if (entry.image) URL.revokeObjectURL(entry.image.src);
+      return;
+    }
+    entries.set(assetId, entry);
+    onChange();
+  };
+
+  return {
+    get(assetId) {
+      if (!entries.has(assetId)) {
+        entries.set(assetId, { status: "loading" });
+        fetchAsset(assetId)
+          .then(loadImage)
+          .then((image) => settle(assetId, { status: "loaded", image }))
+          .catch(() => settle(assetId, { status: "failed" }));
+      }
+      return entries.get(assetId);
+    },
+
+    /**
+     * Add an image that is already decoded (e.g. one just uploaded)
+     */
+    set(assetId, image) {
+      settle(assetId, { status: "loaded", image });
+    },
+
+    /**
+     * Release every image; the cache can't be used afterwards
+     */
+    clear() {
+      cleared = true;
+      entries.forEach((entry) => {
+        if (entry.image) URL.revokeObjectURL(entry.image.src);
+      });
+      entries.clear();
+    },
+  };
+};
+
+/**
+ * Draw an image shape, or a placeholder while it loads or if it can't be
+ * loaded
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} shape
+ * @param {Object} [entry] - The asset's image cache entry
+ */
+export const drawImageShape = (ctx, shape, entry) => {
+  if (entry?.status === "loaded") {
+    ctx.drawImage(entry.image, shape.x, shape.y, shape.width, shape.height);
+    return;
+  }
+
+  ctx.save();
+  ctx.fillStyle = "#f0f0f0";
+  ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+  ctx.strokeStyle = "#cccccc";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+  ctx.fillStyle = "#999999";
+  ctx.font = "13px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(
+    entry?.status === "failed" ? "Image unavailable" : "Loading image…",
+    shape.x + shape.width / 2,
+    shape.y + shape.height / 2,
+  );
+  ctx.restore();
+};
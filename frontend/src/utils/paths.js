@@ -0,0 +1,148 @@
+import { distanceToSegment } from "./connectors";
+
+/**
+ * Drawing freehand paths
+ *
+ * Stored paths keep only the points needed for their shape (the server
+ * simplifies them on draw-end), so joining the points with straight lines
+ * leaves visible corners. Paths are drawn as quadratic curves instead:
+ * each point is a control point and the curve passes through the
+ * midpoints between neighbouring points, which keeps it smooth and always
+ * inside the points' bounds.
+ *
+ * Points drawn with a pen also carry its pressure (0 to 1), and those
+ * paths get thicker where it was pressed harder.
+ */
+
+/**
+ * Drawn width as a multiple of strokeWidth: MIN at no pressure, growing
+ * by RANGE to full pressure (so half pressure draws strokeWidth itself)
+ * backend/src/services/pathSimplify.js relies on these when it simplifies
+ */
+const PRESSURE_WIDTH_MIN = 0.2;
+const PRESSURE_WIDTH_RANGE = 1.6;
+
+/**
+ * Pressure of points that don't have one, e.g. joined from a mouse
+ */
+const DEFAULT_PRESSURE = 0.5;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * The pieces a path is drawn as: { from, control?, to, pressure }
+ * Curves through the midpoints, with a straight piece to the last point
+ */
+const getSegments = (points) => {
+  const pressureAt = (p) => p.pressure ?? DEFAULT_PRESSURE;
+
+  if (points.length < 3) {
+    return points.slice(1).map((to, i) => ({
+      from: points[i],
+      to,
+      pressure: (pressureAt(points[i]) + pressureAt(to)) / 2,
+    }));
+  }
+
+  const segments = [];
+  let from = points[0];
+  for (let i = 1; i < points.length - 1; i++) {
+    const to = midpoint(points[i], points[i + 1]);
+    segments.push({
+      from,
+      control: points[i],
+      to,
+      pressure: pressureAt(points[i]),
+    });
+    from = to;
+  }
+  const last = points[points.length - 1];
+  segments.push({
+    from,
+    to: last,
+    pressure: (pressureAt(points[points.length - 2]) + pressureAt(last)) / 2,
+  });
+  return segments;
+};
+
+const traceSegment = (ctx, { control, to }) => {
+  if (control) {
+    ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+  } else {
+    ctx.lineTo(to.x, to.y);
+  }
+};
+
+/**
+ * Width to draw at a pressure, for a path of strokeWidth
+ */
+export const getPressureWidth = (strokeWidth, pressure) =>
+  strokeWidth * (PRESSURE_WIDTH_MIN + PRESSURE_WIDTH_RANGE * pressure);
+
+/**
+ * Whether any point of a path carries pen pressure
+ */
+export const hasPressure = (points) =>
+  points.some((p) => typeof p.pressure === "number");
+
+/**
+ * Distance from a point to a path's centre line (taken through its
+ * points; the smoothed curve stays close to that)
+ */
+export const distanceToPath = (point, points) => {
+  if (points.length === 1) {
+    return Math.hypot(point.x - points[0].x, point.y - points[0].y);
+  }
+  return points
+    .slice(1)
+    .reduce(
+      (min, p, i) => Math.min(min, distanceToSegment(point, points[i], p)),
+      Infinity,
+    );
+};
+
+/**
+ * Add a path's outline to the context's current path, smoothed
+ * The caller begins the path and strokes it
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} points - [{ x, y }]
+ */
+export const traceSmoothPath = (ctx, points) => {
+  if (points.length === 0) return;
+
+  ctx.moveTo(points[0].x, points[0].y);
+  getSegments(points).forEach((segment) => traceSegment(ctx, segment));
+};
+
+/**
+ * Stroke a path, smoothed, with the context's current stroke style
+ * Paths with pressure are stroked piece by piece, each piece as wide as
+ * the pressure there; round caps join the pieces up
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} points - [{ x, y, pressure? }]
+ * @param {number} strokeWidth
+ */
+export const strokeSmoothPath = (ctx, points, strokeWidth) => {
+  if (points.length === 0) return;
+
+  if (!hasPressure(points)) {
+    ctx.beginPath();
+    traceSmoothPath(ctx, points);
+    ctx.stroke();
+    return;
+  }
+
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  getSegments(points).forEach((segment) => {
+    ctx.lineWidth = getPressureWidth(strokeWidth, segment.pressure);
+    ctx.beginPath();
+    ctx.moveTo(segment.from.x, segment.from.y);
+    traceSegment(ctx, segment);
+    ctx.stroke();
+  });
+  ctx.restore();
+};
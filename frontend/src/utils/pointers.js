@@ -0,0 +1,64 @@
+/**
+ * Pointer input: mouse, touch and stylus
+ *
+ * The canvas handles Pointer Events, so every kind of input goes through
+ * the same tools. One finger (or the mouse, or a pen) uses the current
+ * tool; two fingers pinch to zoom and drag to pan. Touches that look like
+ * a palm resting on the screen are ignored.
+ */
+
+/**
+ * Touches wider or taller than this, in CSS pixels, are taken for a palm
+ * (fingertips report roughly 10 to 25)
+ */
+const PALM_CONTACT_SIZE = 40;
+
+/**
+ * Touches this soon after the pen was last seen (touching or hovering),
+ * in milliseconds, are taken for the hand holding it
+ */
+const PEN_PALM_TIMEOUT = 1000;
+
+/**
+ * Whether a pointer event is a touch to ignore as a palm
+ *
+ * @param {PointerEvent} e
+ * @param {number} lastPenTime - timeStamp of the last pen event
+ * @returns {boolean}
+ */
+export const isPalmTouch = (e, lastPenTime) =>
+  e.pointerType === "touch" &&
+  (Math.max(e.width || 0, e.height || 0) > PALM_CONTACT_SIZE ||
+    e.timeStamp - lastPenTime < PEN_PALM_TIMEOUT);
+
+/**
+ * Pressure of a pen event from 0 to 1 (rounded, to keep boards small),
+ * or undefined for mouse and touch, which don't measure it
+ *
+ * @param {PointerEvent} e
+ * @returns {number|undefined}
+ */
+export const getPointerPressure = (e) =>
+  e.pointerType === "pen" && e.pressure > 0
+    ? Math.round(e.pressure * 100) / 100
+    : undefined;
+
+/**
+ * A path point at coords, with the event's pressure if it has one
+ */
+export const toPathPoint = (coords, e) => {
+  const pressure = getPointerPressure(e);
+  return pressure === undefined ? coords : { ...coords, pressure };
+};
+
+/**
+ * Middle of and distance between two fingers
+ *
+ * @param {Object} a - Canvas position
+ * @param {Object} b - Canvas position
+ * @returns {Object} { center, distance }
+ */
+export const getPinch = (a, b) => ({
+  center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+  distance: Math.hypot(b.x - a.x, b.y - a.y),
+});
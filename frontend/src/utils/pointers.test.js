@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { getPressureWidth, hasPressure } from "./paths";
+import {
+  getPinch,
+  getPointerPressure,
+  isPalmTouch,
+  toPathPoint,
+} from "./pointers";
+import { MAX_ZOOM, pinchZoom, screenToWorld } from "./viewport";
+
+const touch = (extra = {}) => ({
+  pointerType: "touch",
+  width: 12,
+  height: 12,
+  timeStamp: 5000,
+  ...extra,
+});
+
+const pen = (pressure) => ({ pointerType: "pen", pressure });
+
+describe("isPalmTouch", () => {
+  const longAgo = -Infinity;
+
+  it("accepts fingertips", () => {
+    expect(isPalmTouch(touch(), longAgo)).toBe(false);
+  });
+
+  it("rejects wide contacts", () => {
+    expect(isPalmTouch(touch({ width: 60 }), longAgo)).toBe(true);
+    expect(isPalmTouch(touch({ height: 60 }), longAgo)).toBe(true);
+  });
+
+  it("rejects touches while the pen is in use", () => {
+    expect(isPalmTouch(touch(), 4500)).toBe(true);
+    expect(isPalmTouch(touch(), 3500)).toBe(false);
+  });
+
+  it("never rejects the mouse or the pen", () => {
+    const wide = { width: 60, height: 60, timeStamp: 5000 };
+    expect(isPalmTouch({ ...wide, pointerType: "mouse" }, 4900)).toBe(false);
+    expect(isPalmTouch({ ...wide, pointerType: "pen" }, 4900)).toBe(false);
+  });
+});
+
+describe("getPointerPressure and toPathPoint", () => {
+  it("reads rounded pressure from pens only", () => {
+    expect(getPointerPressure(pen(0.4567))).toBe(0.46);
+    expect(getPointerPressure(pen(0))).toBeUndefined();
+    expect(
+      getPointerPressure({ pointerType: "mouse", pressure: 0.5 }),
+    ).toBeUndefined();
+  });
+
+  it("adds pressure to path points when there is some", () => {
+    expect(toPathPoint({ x: 1, y: 2 }, pen(0.3))).toEqual({
+      x: 1,
+      y: 2,
+      pressure: 0.3,
+    });
+    expect(toPathPoint({ x: 1, y: 2 }, touch())).toEqual({ x: 1, y: 2 });
+  });
+});
+
+describe("getPressureWidth and hasPressure", () => {
+  it("draws half pressure at the stroke width", () => {
+    expect(getPressureWidth(10, 0.5)).toBeCloseTo(10);
+    expect(getPressureWidth(10, 0)).toBeCloseTo(2);
+    expect(getPressureWidth(10, 1)).toBeCloseTo(18);
+  });
+
+  it("notices pressure on any point", () => {
+    expect(hasPressure([{ x: 0, y: 0 }])).toBe(false);
+    expect(
+      hasPressure([
+        { x: 0, y: 0 },
+        { x: 1, y: 1, pressure: 0 },
+      ]),
+    ).toBe(true);
+  });
+});
+
+describe("getPinch and pinchZoom", () => {
+  const viewport = { x: 0, y: 0, zoom: 1 };
+
+  it("measures the middle of and distance between two fingers", () => {
+    expect(getPinch({ x: 0, y: 0 }, { x: 60, y: 80 })).toEqual({
+      center: { x: 30, y: 40 },
+      distance: 100,
+    });
+  });
+
+  it("zooms by the spread and keeps the pinched point between the fingers", () => {
+    const start = { center: { x: 100, y: 100 }, distance: 100 };
+    const current = { center: { x: 150, y: 100 }, distance: 200 };
+    const pinched = pinchZoom(viewport, start, current);
+
+    expect(pinched.zoom).toBe(2);
+    expect(screenToWorld(pinched, current.center)).toEqual(
+      screenToWorld(viewport, start.center),
+    );
+  });
+
+  it("stays within the zoom limits, even from fingers that started together", () => {
+    const start = { center: { x: 0, y: 0 }, distance: 0 };
+    const current = { center: { x: 0, y: 0 }, distance: 500 };
+    expect(pinchZoom(viewport, start, current).zoom).toBe(MAX_ZOOM);
+  });
+});
@@ -0,0 +1,50 @@
+import { getCombinedBounds } from "./geometry";
+import { getDescendantIds, getTopLevelId } from "./groups";
+
+/**
+ * Rubber-band (marquee) selection
+ */
+
+/**
+ * Bounds of the rectangle dragged out between two points
+ */
+export const getMarqueeBounds = (start, end) => ({
+  minX: Math.min(start.x, end.x),
+  minY: Math.min(start.y, end.y),
+  maxX: Math.max(start.x, end.x),
+  maxY: Math.max(start.y, end.y),
+});
+
+const containsBounds = (outer, inner) =>
+  inner.minX >= outer.minX &&
+  inner.minY >= outer.minY &&
+  inner.maxX <= outer.maxX &&
+  inner.maxY <= outer.maxY;
+
+/**
+ * Selectable units (top-level shapes and outermost groups) that lie
+ * entirely inside a marquee
+ * A group is inside if all of its visible members are
+ *
+ * @param {Array} shapes
+ * @param {Object} marquee - { minX, minY, maxX, maxY }
+ * @param {Function} isVisible - (shape) => whether the shape is shown
+ * @param {CanvasRenderingContext2D} [ctx] - For measuring text shapes
+ * @returns {string[]} Unit IDs
+ */
+export const getUnitsInMarquee = (shapes, marquee, isVisible, ctx) => {
+  const unitIds = new Set(
+    shapes.map((shape) => getTopLevelId(shapes, shape.id)),
+  );
+
+  return [...unitIds].filter((unitId) => {
+    const unit = shapes.find((s) => s.id === unitId);
+    const memberIds = new Set(
+      unit?.type === "group" ? getDescendantIds(shapes, unitId) : [unitId],
+    );
+    const visible = shapes.filter((s) => memberIds.has(s.id) && isVisible(s));
+
+    const bounds = getCombinedBounds(visible, ctx);
+    return !!bounds && containsBounds(marquee, bounds);
+  });
+};
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { getMarqueeBounds, getUnitsInMarquee } from "./selection";
+
+const rect = (id, x, y, extra = {}) => ({
+  id,
+  type: "rect",
+  x,
+  y,
+  width: 10,
+  height: 10,
+  ...extra,
+});
+
+const visible = () => true;
+
+describe("getMarqueeBounds", () => {
+  it("spans the two points whichever way the marquee is dragged", () => {
+    const bounds = { minX: 0, minY: 5, maxX: 10, maxY: 20 };
+    expect(getMarqueeBounds({ x: 0, y: 5 }, { x: 10, y: 20 })).toEqual(bounds);
+    expect(getMarqueeBounds({ x: 10, y: 5 }, { x: 0, y: 20 })).toEqual(bounds);
+  });
+});
+
+describe("getUnitsInMarquee", () => {
+  const marquee = { minX: 0, minY: 0, maxX: 50, maxY: 50 };
+
+  it("selects shapes entirely inside the marquee", () => {
+    const shapes = [
+      rect("in", 10, 10),
+      rect("across", 45, 45),
+      rect("out", 90, 90),
+    ];
+    expect(getUnitsInMarquee(shapes, marquee, visible)).toEqual(["in"]);
+  });
+
+  it("selects a group, not its members, once all of them are inside", () => {
+    const shapes = [
+      { id: "g", type: "group" },
+      rect("a", 0, 0, { groupId: "g" }),
+      rect("b", 30, 30, { groupId: "g" }),
+    ];
+    expect(getUnitsInMarquee(shapes, marquee, visible)).toEqual(["g"]);
+
+    shapes[2] = rect("b", 60, 60, { groupId: "g" });
+    expect(getUnitsInMarquee(shapes, marquee, visible)).toEqual([]);
+  });
+
+  it("selects the outermost group of nested groups", () => {
+    const shapes = [
+      { id: "outer", type: "group" },
+      { id: "inner", type: "group", groupId: "outer" },
+      rect("a", 0, 0, { groupId: "inner" }),
+    ];
+    expect(getUnitsInMarquee(shapes, marquee, visible)).toEqual(["outer"]);
+  });
+
+  it("ignores hidden shapes, and groups with no visible members", () => {
+    const shapes = [
+      { id: "g", type: "group" },
+      rect("a", 0, 0, { groupId: "g" }),
+      rect("hidden", 90, 90, { groupId: "g", layer: "off" }),
+      rect("alone", 90, 90, { layer: "off" }),
+    ];
+    const isVisible = (shape) => shape.layer !== "off";
+    expect(getUnitsInMarquee(shapes, marquee, isVisible)).toEqual(["g"]);
+
+    const onlyHidden = shapes.filter((s) => s.id !== "a");
+    expect(getUnitsInMarquee(onlyHidden, marquee, isVisible)).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Stroke and fill styles of shapes
+ *
+ * color is the stroke color (and the color of text). Fill, opacity,
+ * dashes, caps and joins are optional; shapes without them are drawn as
+ * they always were: unfilled, opaque, with solid strokes, butt caps and
+ * miter joins.
+ */
+
+export const STROKE_DASHES = ["solid", "dashed", "dotted"];
+export const LINE_CAPS = ["butt", "round", "square"];
+export const LINE_JOINS = ["miter", "round", "bevel"];
+
+/**
+ * Shape types that can have a fill
+ */
+export const FILLABLE_TYPES = ["rect", "circle"];
+
+/**
+ * Shape types drawn with a stroke (and so with dashes, caps and joins)
+ */
+export const STROKED_TYPES = ["path", "rect", "circle", "line", "arrow"];
+
+export const canFill = (shape) => FILLABLE_TYPES.includes(shape?.type);
+export const hasStroke = (shape) => STROKED_TYPES.includes(shape?.type);
+
+/**
+ * Style properties of a shape with their defaults filled in, as shown in
+ * the properties panel
+ */
+export const getShapeStyle = (shape) => ({
+  color: shape.color || "#000000",
+  fillColor: shape.fillColor || null,
+  strokeWidth: shape.strokeWidth || 2,
+  opacity: shape.opacity ?? 1,
+  strokeDash: shape.strokeDash || "solid",
+  lineCap: shape.lineCap || "butt",
+  lineJoin: shape.lineJoin || "miter",
+});
+
+/**
+ * Canvas dash pattern, scaled to the line width
+ */
+const getDashPattern = (strokeDash, lineWidth) => {
+  if (strokeDash === "dashed") return [lineWidth * 4, lineWidth * 2];
+  if (strokeDash === "dotted") return [lineWidth, lineWidth * 2];
+  return [];
+};
+
+/**
+ * Set up the context to draw a shape: stroke and text color, line width,
+ * opacity, dashes, caps and joins
+ * The fill is left to the caller, since only some shapes have one
+ */
+export const applyShapeStyle = (ctx, shape) => {
+  const style = getShapeStyle(shape);
+  ctx.strokeStyle = style.color;
+  ctx.fillStyle = style.color;
+  ctx.lineWidth = style.strokeWidth;
+  ctx.globalAlpha = style.opacity;
+  ctx.lineCap = style.lineCap;
+  ctx.lineJoin = style.lineJoin;
+  ctx.setLineDash(getDashPattern(style.strokeDash, style.strokeWidth));
+};
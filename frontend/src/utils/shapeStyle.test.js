@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyShapeStyle,
+  canFill,
+  getShapeStyle,
+  hasStroke,
+} from "./shapeStyle";
+
+/**
+ * Context that records the style it was given
+ */
+const fakeContext = () => ({
+  setLineDash(pattern) {
+    this.lineDash = pattern;
+  },
+});
+
+describe("canFill and hasStroke", () => {
+  it("fills only rectangles and circles", () => {
+    expect(canFill({ type: "rect" })).toBe(true);
+    expect(canFill({ type: "circle" })).toBe(true);
+    expect(canFill({ type: "path" })).toBe(false);
+    expect(canFill(undefined)).toBe(false);
+  });
+
+  it("strokes paths, boxes and connectors but not text", () => {
+    expect(hasStroke({ type: "arrow" })).toBe(true);
+    expect(hasStroke({ type: "text" })).toBe(false);
+    expect(hasStroke({ type: "sticky" })).toBe(false);
+  });
+});
+
+describe("getShapeStyle", () => {
+  it("fills in defaults for shapes without styles", () => {
+    expect(getShapeStyle({ type: "rect" })).toEqual({
+      color: "#000000",
+      fillColor: null,
+      strokeWidth: 2,
+      opacity: 1,
+      strokeDash: "solid",
+      lineCap: "butt",
+      lineJoin: "miter",
+    });
+  });
+
+  it("keeps a fully transparent opacity", () => {
+    expect(getShapeStyle({ type: "rect", opacity: 0 }).opacity).toBe(0);
+  });
+});
+
+describe("applyShapeStyle", () => {
+  it("sets every style on the context", () => {
+    const ctx = fakeContext();
+    applyShapeStyle(ctx, {
+      type: "rect",
+      color: "#ff0000",
+      strokeWidth: 3,
+      opacity: 0.5,
+      lineCap: "round",
+      lineJoin: "bevel",
+    });
+    expect(ctx).toMatchObject({
+      strokeStyle: "#ff0000",
+      fillStyle: "#ff0000",
+      lineWidth: 3,
+      globalAlpha: 0.5,
+      lineCap: "round",
+      lineJoin: "bevel",
+      lineDash: [],
+    });
+  });
+
+  it("scales dashes and dots to the line width", () => {
+    const ctx = fakeContext();
+    applyShapeStyle(ctx, {
+      type: "line",
+      strokeWidth: 3,
+      strokeDash: "dashed",
+    });
+    expect(ctx.lineDash).toEqual([12, 6]);
+    applyShapeStyle(ctx, {
+      type: "line",
+      strokeWidth: 3,
+      strokeDash: "dotted",
+    });
+    expect(ctx.lineDash).toEqual([3, 6]);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Keyboard shortcuts
+ *
+ * Every action that can be run from the keyboard is listed in
+ * SHORTCUT_ACTIONS with its default key combos. A combo is written as its
+ * modifiers and then its key, joined by "+": "Mod+Shift+Z", "Delete", "?".
+ * Mod is Ctrl, or ⌘ on a Mac. Users can change the combos of any action;
+ * only their changes ("custom" bindings, action ID -> combos) are saved,
+ * on the server, and laid over the defaults.
+ */
+
+/**
+ * How far the arrow keys move the selection, in pixels (with Shift: far)
+ */
+export const NUDGE_STEP = 1;
+export const NUDGE_STEP_FAR = 10;
+
+export const SHORTCUT_ACTIONS = [
+  { id: "tool-select", group: "Tools", label: "Select", keys: ["V"] },
+  { id: "tool-pen", group: "Tools", label: "Pen", keys: ["P"] },
+  { id: "tool-eraser", group: "Tools", label: "Eraser", keys: ["E"] },
+  { id: "tool-rect", group: "Tools", label: "Rectangle", keys: ["R"] },
+  { id: "tool-circle", group: "Tools", label: "Circle", keys: ["O"] },
+  { id: "tool-line", group: "Tools", label: "Line", keys: ["L"] },
+  { id: "tool-arrow", group: "Tools", label: "Arrow", keys: ["A"] },
+  { id: "tool-text", group: "Tools", label: "Text", keys: ["T"] },
+  { id: "tool-sticky", group: "Tools", label: "Sticky note", keys: ["N"] },
+
+  { id: "undo", group: "Edit", label: "Undo", keys: ["Mod+Z"] },
+  {
+    id: "redo",
+    group: "Edit",
+    label: "Redo",
+    keys: ["Mod+Shift+Z", "Mod+Y"],
+  },
+  {
+    id: "delete",
+    group: "Edit",
+    label: "Delete selection",
+    keys: ["Delete", "Backspace"],
+  },
+  { id: "duplicate", group: "Edit", label: "Duplicate", keys: ["Mod+D"] },
+  { id: "deselect", group: "Edit", label: "Deselect", keys: ["Escape"] },
+  { id: "group", group: "Edit", label: "Group", keys: ["Mod+G"] },
+  { id: "ungroup", group: "Edit", label: "Ungroup", keys: ["Mod+Shift+G"] },
+
+  {
+    id: "bring-forward",
+    group: "Arrange",
+    label: "Bring forward",
+    keys: ["Mod+]"],
+  },
+  {
+    id: "send-backward",
+    group: "Arrange",
+    label: "Send backward",
+    keys: ["Mod+["],
+  },
+  {
+    id: "bring-to-front",
+    group: "Arrange",
+    label: "Bring to front",
+    keys: ["Mod+Shift+]"],
+  },
+  {
+    id: "send-to-back",
+    group: "Arrange",
+    label: "Send to back",
+    keys: ["Mod+Shift+["],
+  },
+  {
+    id: "nudge-left",
+    group: "Arrange",
+    label: "Nudge left",
+    keys: ["ArrowLeft"],
+  },
+  {
+    id: "nudge-right",
+    group: "Arrange",
+    label: "Nudge right",
+    keys: ["ArrowRight"],
+  },
+  { id: "nudge-up", group: "Arrange", label: "Nudge up", keys: ["ArrowUp"] },
+  {
+    id: "nudge-down",
+    group: "Arrange",
+    label: "Nudge down",
+    keys: ["ArrowDown"],
+  },
+  {
+    id: "nudge-left-far",
+    group: "Arrange",
+    label: "Nudge left (far)",
+    keys: ["Shift+ArrowLeft"],
+  },
+  {
+    id: "nudge-right-far",
+    group: "Arrange",
+    label: "Nudge right (far)",
+    keys: ["Shift+ArrowRight"],
+  },
+  {
+    id: "nudge-up-far",
+    group: "Arrange",
+    label: "Nudge up (far)",
+    keys: ["Shift+ArrowUp"],
+  },
+  {
+    id: "nudge-down-far",
+    group: "Arrange",
+    label: "Nudge down (far)",
+    keys: ["Shift+ArrowDown"],
+  },
+
+  { id: "zoom-in", group: "View", label: "Zoom in", keys: ["Mod+=", "Mod++"] },
+  { id: "zoom-out", group: "View", label: "Zoom out", keys: ["Mod+-"] },
+  { id: "zoom-reset", group: "View", label: "Zoom to 100%", keys: ["Mod+0"] },
+  { id: "zoom-fit", group: "View", label: "Zoom to fit", keys: ["Shift+F"] },
+
+  {
+    id: "show-shortcuts",
+    group: "Help",
+    label: "Show keyboard shortcuts",
+    keys: ["?"],
+  },
+];
+
+/**
+ * Keys named by their position: Shift changes the character they type
+ * ("]" becomes "}") but shouldn't change the combo
+ */
+const CODE_KEYS = { BracketLeft: "[", BracketRight: "]" };
+
+const MODIFIER_KEYS = ["Control", "Meta", "Alt", "Shift"];
+
+const IS_MAC =
+  typeof navigator !== "undefined" &&
+  /Mac|iP(hone|ad)/.test(navigator.platform);
+
+/**
+ * The combo of a keydown event, or null for a modifier pressed on its own
+ * Shift is left out for characters it produces (e.g. "?"), since the
+ * character already says it was held
+ *
+ * @param {KeyboardEvent} e
+ * @returns {string|null}
+ */
+export const getKeyCombo = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+
+  let key = e.key;
+  let shift = e.shiftKey;
+  if (CODE_KEYS[e.code]) {
+    key = CODE_KEYS[e.code];
+  } else if (/^[a-z]$/i.test(key)) {
+    key = key.toUpperCase();
+  } else if (key === " ") {
+    key = "Space";
+  } else if (key.length === 1) {
+    shift = false;
+  }
+
+  return [
+    (e.ctrlKey || e.metaKey) && "Mod",
+    e.altKey && "Alt",
+    shift && "Shift",
+    key,
+  ]
+    .filter(Boolean)
+    .join("+");
+};
+
+/**
+ * Combos of every action: the user's custom ones, or else the defaults
+ *
+ * @param {Object} [custom] - { actionId: [combo] }
+ * @returns {Map<string, string[]>}
+ */
+export const getBindings = (custom = {}) =>
+  new Map(
+    SHORTCUT_ACTIONS.map((action) => [
+      action.id,
+      custom[action.id] ?? action.keys,
+    ]),
+  );
+
+/**
+ * The action a combo runs, or null
+ *
+ * @param {Map<string, string[]>} bindings - From getBindings
+ * @param {string} combo
+ * @returns {string|null} Action ID
+ */
+export const findAction = (bindings, combo) => {
+  for (const [actionId, combos] of bindings) {
+    if (combos.includes(combo)) return actionId;
+  }
+  return null;
+};
+
+const sameCombos = (a, b) =>
+  a.length === b.length && a.every((combo) => b.includes(combo));
+
+/**
+ * Custom bindings after giving an action new combos
+ * The combos are taken away from any other action that had them, and
+ * actions left with their default combos are dropped from the result
+ *
+ * @param {Object} custom - Current custom bindings
+ * @param {string} actionId
+ * @param {string[]} combos
+ * @returns {Object} New custom bindings
+ */
+export const rebind = (custom, actionId, combos) => {
+  const bindings = getBindings(custom);
+  bindings.forEach((other, id) => {
+    bindings.set(
+      id,
+      id === actionId ? combos : other.filter((c) => !combos.includes(c)),
+    );
+  });
+
+  return Object.fromEntries(
+    SHORTCUT_ACTIONS.filter(
+      (action) => !sameCombos(bindings.get(action.id), action.keys),
+    ).map((action) => [action.id, bindings.get(action.id)]),
+  );
+};
+
+/**
+ * Custom bindings after putting an action back to its default combos
+ */
+export const resetBinding = (custom, actionId) =>
+  rebind(
+    custom,
+    actionId,
+    SHORTCUT_ACTIONS.find((action) => action.id === actionId).keys,
+  );
+
+const KEY_LABELS = {
+  Mod: IS_MAC ? "⌘" : "Ctrl",
+  Alt: IS_MAC ? "⌥" : "Alt",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Escape: "Esc",
+};
+
+/**
+ * A combo as shown to the user, e.g. "Ctrl+Shift+Z" or "⌘+Shift+Z"
+ */
+export const formatCombo = (combo) =>
+  combo
+    // Split on the "+" between parts, not on a "+" key
+    .split(/\+(?!$)/)
+    .map((part) => KEY_LABELS[part] || part)
+    .join("+");
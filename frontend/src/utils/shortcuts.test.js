@@ -0,0 +1,146 @@
+import { describe, expect, it } from "vitest";
+import {
+  SHORTCUT_ACTIONS,
+  findAction,
+  formatCombo,
+  getBindings,
+  getKeyCombo,
+  rebind,
+  resetBinding,
+} from "./shortcuts";
+
+/**
+ * The parts of a keydown event getKeyCombo reads
+ */
+const keydown = (key, modifiers = {}) => ({
+  key,
+  code: "",
+  ctrlKey: false,
+  metaKey: false,
+  altKey: false,
+  shiftKey: false,
+  ...modifiers,
+});
+
+describe("getKeyCombo", () => {
+  it("upper-cases letters", () => {
+    expect(getKeyCombo(keydown("v"))).toBe("V");
+    expect(getKeyCombo(keydown("Z", { shiftKey: true }))).toBe("Shift+Z");
+  });
+
+  it("writes Ctrl and ⌘ alike as Mod, before Alt and Shift", () => {
+    expect(getKeyCombo(keydown("z", { ctrlKey: true }))).toBe("Mod+Z");
+    expect(getKeyCombo(keydown("z", { metaKey: true }))).toBe("Mod+Z");
+    expect(
+      getKeyCombo(
+        keydown("z", { ctrlKey: true, altKey: true, shiftKey: true }),
+      ),
+    ).toBe("Mod+Alt+Shift+Z");
+  });
+
+  it("leaves Shift out of characters it produces", () => {
+    expect(getKeyCombo(keydown("?", { shiftKey: true }))).toBe("?");
+    expect(getKeyCombo(keydown("+", { ctrlKey: true, shiftKey: true }))).toBe(
+      "Mod++",
+    );
+  });
+
+  it("names brackets by position, so Shift doesn't change them", () => {
+    expect(
+      getKeyCombo(
+        keydown("}", { code: "BracketRight", ctrlKey: true, shiftKey: true }),
+      ),
+    ).toBe("Mod+Shift+]");
+    expect(
+      getKeyCombo(keydown("[", { code: "BracketLeft", ctrlKey: true })),
+    ).toBe("Mod+[");
+  });
+
+  it("keeps Shift on named keys", () => {
+    expect(getKeyCombo(keydown("ArrowLeft", { shiftKey: true }))).toBe(
+      "Shift+ArrowLeft",
+    );
+    expect(getKeyCombo(keydown("Delete"))).toBe("Delete");
+    expect(getKeyCombo(keydown(" "))).toBe("Space");
+  });
+
+  it("ignores modifiers pressed on their own", () => {
+    ["Control", "Meta", "Alt", "Shift"].forEach((key) =>
+      expect(getKeyCombo(keydown(key, { shiftKey: true }))).toBeNull(),
+    );
+  });
+});
+
+describe("getBindings and findAction", () => {
+  it("uses the defaults where there are no custom combos", () => {
+    const bindings = getBindings({ undo: ["U"] });
+    expect(bindings.get("undo")).toEqual(["U"]);
+    expect(bindings.get("redo")).toEqual(["Mod+Shift+Z", "Mod+Y"]);
+    expect(bindings.size).toBe(SHORTCUT_ACTIONS.length);
+  });
+
+  it("finds the action of any of its combos", () => {
+    const bindings = getBindings();
+    expect(findAction(bindings, "Mod+Y")).toBe("redo");
+    expect(findAction(bindings, "Backspace")).toBe("delete");
+    expect(findAction(bindings, "Mod+Alt+Q")).toBeNull();
+  });
+
+  it("lets an action be unbound", () => {
+    expect(findAction(getBindings({ "tool-pen": [] }), "P")).toBeNull();
+  });
+});
+
+describe("rebind", () => {
+  it("saves only changes from the defaults", () => {
+    expect(rebind({}, "tool-pen", ["B"])).toEqual({ "tool-pen": ["B"] });
+    // Same combos in another order are still the defaults
+    expect(rebind({}, "redo", ["Mod+Y", "Mod+Shift+Z"])).toEqual({});
+  });
+
+  it("takes the combos away from the action that had them", () => {
+    expect(rebind({}, "undo", ["Mod+Y"])).toEqual({
+      undo: ["Mod+Y"],
+      redo: ["Mod+Shift+Z"],
+    });
+    // R leaves Rectangle with no combo at all
+    expect(rebind({}, "tool-pen", ["R"])).toEqual({
+      "tool-pen": ["R"],
+      "tool-rect": [],
+    });
+  });
+
+  it("keeps earlier custom combos", () => {
+    const custom = rebind({}, "tool-pen", ["B"]);
+    expect(rebind(custom, "tool-text", ["X"])).toEqual({
+      "tool-pen": ["B"],
+      "tool-text": ["X"],
+    });
+  });
+
+  it("never modifies the current custom bindings", () => {
+    const custom = { "tool-pen": ["B"] };
+    rebind(custom, "tool-text", ["B"]);
+    expect(custom).toEqual({ "tool-pen": ["B"] });
+  });
+});
+
+describe("resetBinding", () => {
+  it("puts an action back to its defaults, taking them from others", () => {
+    const custom = rebind({}, "tool-pen", ["R"]);
+    expect(resetBinding(custom, "tool-rect")).toEqual({ "tool-pen": [] });
+    expect(resetBinding(custom, "tool-pen")).toEqual({ "tool-rect": [] });
+  });
+});
+
+describe("formatCombo", () => {
+  it("shows arrows and Esc as symbols", () => {
+    expect(formatCombo("Shift+ArrowUp")).toBe("Shift+↑");
+    expect(formatCombo("Escape")).toBe("Esc");
+  });
+
+  it("keeps a + key", () => {
+    expect(formatCombo("Mod++").endsWith("++")).toBe(true);
+    expect(formatCombo("Mod++").split("+")[0]).toMatch(/^(Ctrl|⌘)$/);
+  });
+});
@@ -0,0 +1,136 @@
+import { getConnectorEndpoints, isConnector } from "./connectors";
+import { getShapeBounds } from "./geometry";
+
+/**
+ * Grid spatial index, for finding the shapes near a point or inside the
+ * visible part of the board without looking at every shape
+ *
+ * The world is cut into square cells and each entry is listed in every
+ * cell its bounds overlap. Entries too large to list cell by cell are kept
+ * aside and checked on every query. Queries return entries in the order
+ * they were added, so shapes with equal zIndex keep their stacking order.
+ */
+
+/**
+ * Cell side in world units
+ */
+const CELL_SIZE = 256;
+
+/**
+ * Entries spanning more cells than this are checked on every query
+ */
+const MAX_CELLS_PER_ENTRY = 256;
+
+const overlaps = (a, b) =>
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+/**
+ * Build an index
+ *
+ * @param {Array} entries - [{ id, bounds: { minX, minY, maxX, maxY } }]
+ * @returns {Object} { search(bounds), searchPoint(point, margin?) }, both
+ *   returning the IDs of entries whose bounds overlap
+ */
+export const createSpatialIndex = (entries) => {
+  const cells = new Map();
+  const large = [];
+
+  const toCell = (value) => Math.floor(value / CELL_SIZE);
+
+  entries.forEach(({ bounds }, order) => {
+    const minCol = toCell(bounds.minX);
+    const maxCol = toCell(bounds.maxX);
+    const minRow = toCell(bounds.minY);
+    const maxRow = toCell(bounds.maxY);
+
+    if ((maxCol - minCol + 1) * (maxRow - minRow + 1) > MAX_CELLS_PER_ENTRY) {
+      large.push(order);
+      return;
+    }
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const key = `${col},${row}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(order);
+      }
+    }
+  });
+
+  const search = (bounds) => {
+    const found = new Set(
+      large.filter((order) => overlaps(entries[order].bounds, bounds)),
+    );
+
+    const minCol = toCell(bounds.minX);
+    const maxCol = toCell(bounds.maxX);
+    const minRow = toCell(bounds.minY);
+    const maxRow = toCell(bounds.maxY);
+    const cellCount = (maxCol - minCol + 1) * (maxRow - minRow + 1);
+
+    if (cellCount > cells.size) {
+      // Zoomed far out: going through the occupied cells is quicker than
+      // going through every cell in view
+      cells.forEach((orders) => {
+        orders.forEach((order) => {
+          if (overlaps(entries[order].bounds, bounds)) found.add(order);
+        });
+      });
+    } else {
+      for (let col = minCol; col <= maxCol; col++) {
+        for (let row = minRow; row <= maxRow; row++) {
+          cells.get(`${col},${row}`)?.forEach((order) => {
+            if (overlaps(entries[order].bounds, bounds)) found.add(order);
+          });
+        }
+      }
+    }
+
+    return [...found].sort((a, b) => a - b).map((order) => entries[order].id);
+  };
+
+  return {
+    search,
+
+    searchPoint: (point, margin = 0) =>
+      search({
+        minX: point.x - margin,
+        minY: point.y - margin,
+        maxX: point.x + margin,
+        maxY: point.y + margin,
+      }),
+  };
+};
+
+/**
+ * Bounds a shape may paint into: its geometry (for connectors, between
+ * the ends as drawn) widened to cover strokes, miter joins, arrowheads
+ * and shadows
+ *
+ * @param {Object} shape
+ * @param {Map<string, Object>} shapesById - For connector attachments
+ * @param {CanvasRenderingContext2D} [ctx] - For measuring text shapes
+ * @returns {Object|null} Bounds, or null for shapes without geometry
+ */
+export const getDrawnBounds = (shape, shapesById, ctx) => {
+  let bounds;
+  if (isConnector(shape)) {
+    const { start, end } = getConnectorEndpoints(shape, shapesById, ctx);
+    bounds = {
+      minX: Math.min(start.x, end.x),
+      minY: Math.min(start.y, end.y),
+      maxX: Math.max(start.x, end.x),
+      maxY: Math.max(start.y, end.y),
+    };
+  } else {
+    bounds = getShapeBounds(shape, ctx);
+  }
+  if (!bounds) return null;
+
+  const margin = Math.max(10, (shape.strokeWidth || 2) * 5);
+  return {
+    minX: bounds.minX - margin,
+    minY: bounds.minY - margin,
+    maxX: bounds.maxX + margin,
+    maxY: bounds.maxY + margin,
+  };
+};
@@ -0,0 +1,119 @@
+import { describe, expect, it } from "vitest";
+import { createSpatialIndex, getDrawnBounds } from "./spatialIndex";
+import { getVisibleBounds } from "./viewport";
+
+const box = (minX, minY, maxX, maxY) => ({ minX, minY, maxX, maxY });
+
+const overlaps = (a, b) =>
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+/**
+ * Repeatable pseudo-random numbers in [0, 1)
+ */
+const seededRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+describe("createSpatialIndex", () => {
+  it("finds entries in every cell they overlap, in the order added", () => {
+    const index = createSpatialIndex([
+      { id: "wide", bounds: box(0, 0, 600, 10) },
+      { id: "small", bounds: box(500, 0, 510, 10) },
+      { id: "negative", bounds: box(-300, -300, -290, -290) },
+    ]);
+
+    expect(index.search(box(550, 0, 560, 5))).toEqual(["wide"]);
+    expect(index.search(box(400, 0, 520, 5))).toEqual(["wide", "small"]);
+    expect(index.search(box(-1000, -1000, 0, 0))).toEqual(["wide", "negative"]);
+    expect(index.search(box(100, 100, 200, 200))).toEqual([]);
+  });
+
+  it("finds entries near a point within a margin", () => {
+    const index = createSpatialIndex([{ id: "a", bounds: box(0, 0, 10, 10) }]);
+    expect(index.searchPoint({ x: 15, y: 5 })).toEqual([]);
+    expect(index.searchPoint({ x: 15, y: 5 }, 5)).toEqual(["a"]);
+  });
+
+  it("finds entries too large to list cell by cell", () => {
+    const index = createSpatialIndex([
+      { id: "huge", bounds: box(-1e5, -1e5, 1e5, 1e5) },
+      { id: "a", bounds: box(0, 0, 10, 10) },
+    ]);
+    expect(index.searchPoint({ x: 5, y: 5 })).toEqual(["huge", "a"]);
+    expect(index.searchPoint({ x: 2e5, y: 0 })).toEqual([]);
+  });
+
+  it("matches checking every entry, zoomed in or far out", () => {
+    const random = seededRandom(42);
+    const entries = Array.from({ length: 300 }, (_, i) => {
+      const x = (random() - 0.5) * 10000;
+      const y = (random() - 0.5) * 10000;
+      return {
+        id: `s${i}`,
+        bounds: box(x, y, x + random() * 800, y + random() * 800),
+      };
+    });
+    const index = createSpatialIndex(entries);
+
+    const queries = [
+      box(-20000, -20000, 20000, 20000),
+      ...Array.from({ length: 50 }, () => {
+        const x = (random() - 0.5) * 10000;
+        const y = (random() - 0.5) * 10000;
+        const size = random() * 3000;
+        return box(x, y, x + size, y + size);
+      }),
+    ];
+    queries.forEach((query) => {
+      const expected = entries
+        .filter((entry) => overlaps(entry.bounds, query))
+        .map((entry) => entry.id);
+      expect(index.search(query)).toEqual(expected);
+    });
+  });
+});
+
+describe("getDrawnBounds", () => {
+  it("widens a shape's bounds to cover its stroke", () => {
+    const rect = { type: "rect", x: 0, y: 0, width: 10, height: 10 };
+    expect(getDrawnBounds(rect, new Map())).toEqual(box(-10, -10, 20, 20));
+    expect(getDrawnBounds({ ...rect, strokeWidth: 4 }, new Map())).toEqual(
+      box(-20, -20, 30, 30),
+    );
+  });
+
+  it("covers connectors where they are drawn, following attached shapes", () => {
+    const target = {
+      id: "t",
+      type: "rect",
+      x: 100,
+      y: 0,
+      width: 20,
+      height: 20,
+    };
+    const line = {
+      type: "line",
+      points: [
+        { x: 0, y: 10 },
+        { x: 500, y: 10 },
+      ],
+      endBinding: "t",
+    };
+    expect(getDrawnBounds(line, new Map([["t", target]]))).toEqual(
+      box(-10, 0, 110, 20),
+    );
+  });
+
+  it("has no bounds for groups", () => {
+    expect(getDrawnBounds({ type: "group" }, new Map())).toBe(null);
+  });
+});
+
+describe("getVisibleBounds", () => {
+  it("is the canvas in world coordinates", () => {
+    expect(getVisibleBounds({ x: 100, y: 50, zoom: 2 }, 800, 600)).toEqual(
+      box(-50, -25, 350, 275),
+    );
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Sticky notes
+ *
+ * A sticky note is a filled square (x, y, width, height) whose color is the
+ * note's fill. Its text is wrapped to the note's width and drawn at the
+ * largest font size that fits, so a note never has to be resized to show
+ * what is written on it.
+ */
+
+/**
+ * Note colors offered in the palette
+ */
+export const STICKY_COLORS = [
+  "#fef08a",
+  "#fed7aa",
+  "#fbcfe8",
+  "#ddd6fe",
+  "#bfdbfe",
+  "#bbf7d0",
+];
+
+/**
+ * Width and height of a new note
+ */
+export const STICKY_SIZE = 200;
+
+/**
+ * Space between the note's edge and its text
+ */
+export const STICKY_PADDING = 12;
+
+export const STICKY_TEXT_COLOR = "#1f2937";
+
+export const STICKY_LINE_HEIGHT = 1.25;
+
+const MAX_FONT_SIZE = 32;
+const MIN_FONT_SIZE = 8;
+
+/**
+ * Split text into lines no wider than maxWidth in the context's font
+ * Words longer than a line are broken between characters
+ */
+const wrapText = (ctx, text, maxWidth) => {
+  const lines = [];
+
+  text.split("\n").forEach((paragraph) => {
+    let line = "";
+    paragraph.split(" ").forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+
+      line = "";
+      for (const char of word) {
+        if (line && ctx.measureText(line + char).width > maxWidth) {
+          lines.push(line);
+          line = "";
+        }
+        line += char;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+/**
+ * Font size and wrapped lines of a note's text
+ * Sets the context's font to the chosen size
+ *
+ * @param {CanvasRenderingContext2D} ctx - Used to measure the text
+ * @param {Object} note - Sticky note shape
+ * @returns {Object} { fontSize, lines }
+ */
+export const layoutStickyText = (ctx, note) => {
+  const innerWidth = Math.max(0, note.width - 2 * STICKY_PADDING);
+  const innerHeight = Math.max(0, note.height - 2 * STICKY_PADDING);
+  const text = note.text || "";
+
+  let fontSize = MAX_FONT_SIZE;
+  let lines = [];
+  for (; fontSize >= MIN_FONT_SIZE; fontSize -= 2) {
+    ctx.font = `${fontSize}px sans-serif`;
+    lines = wrapText(ctx, text, innerWidth);
+    if (lines.length * fontSize * STICKY_LINE_HEIGHT <= innerHeight) {
+      return { fontSize, lines };
+    }
+  }
+
+  // Doesn't fit even at the smallest size; the overflow is clipped
+  return { fontSize: fontSize + 2, lines };
+};
+
+/**
+ * Draw a sticky note: its fill, a soft shadow and its text
+ */
+export const drawSticky = (ctx, note) => {
+  ctx.save();
+  ctx.shadowColor = "rgba(0, 0, 0, 0.2)";
+  ctx.shadowBlur = 6;
+  ctx.shadowOffsetY = 2;
+  ctx.fillStyle = note.color;
+  ctx.fillRect(note.x, note.y, note.width, note.height);
+  ctx.restore();
+
+  if (!note.text) return;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(note.x, note.y, note.width, note.height);
+  ctx.clip();
+
+  const { fontSize, lines } = layoutStickyText(ctx, note);
+  ctx.fillStyle = STICKY_TEXT_COLOR;
+  ctx.textBaseline = "top";
+  lines.forEach((line, i) => {
+    ctx.fillText(
+      line,
+      note.x + STICKY_PADDING,
+      note.y + STICKY_PADDING + i * fontSize * STICKY_LINE_HEIGHT,
+    );
+  });
+  ctx.restore();
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { STICKY_SIZE, layoutStickyText } from "./sticky";
+
+/**
+ * Context whose characters are each half the font size wide
+ */
+const fakeContext = () => ({
+  font: "",
+  measureText(text) {
+    return { width: text.length * parseInt(this.font, 10) * 0.5 };
+  },
+});
+
+const note = (text, size = STICKY_SIZE) => ({
+  type: "sticky",
+  x: 0,
+  y: 0,
+  width: size,
+  height: size,
+  text,
+});
+
+// A 200px note leaves 176px for text: 11 characters per line at 32px
+describe("layoutStickyText", () => {
+  it("uses the largest font size for short text", () => {
+    expect(layoutStickyText(fakeContext(), note("hi"))).toEqual({
+      fontSize: 32,
+      lines: ["hi"],
+    });
+    expect(layoutStickyText(fakeContext(), note(undefined)).lines).toEqual([
+      "",
+    ]);
+  });
+
+  it("wraps between words", () => {
+    expect(layoutStickyText(fakeContext(), note("aaaa bbbb cccc"))).toEqual({
+      fontSize: 32,
+      lines: ["aaaa bbbb", "cccc"],
+    });
+  });
+
+  it("keeps line breaks, including empty lines", () => {
+    expect(layoutStickyText(fakeContext(), note("a\n\nb")).lines).toEqual([
+      "a",
+      "",
+      "b",
+    ]);
+  });
+
+  it("breaks words longer than a line between characters", () => {
+    expect(layoutStickyText(fakeContext(), note("x".repeat(15))).lines).toEqual(
+      ["x".repeat(11), "x".repeat(4)],
+    );
+  });
+
+  it("shrinks the font until every line fits and leaves it set", () => {
+    const ctx = fakeContext();
+    // Five lines are 200px high at 32px and 175px at 28px
+    expect(layoutStickyText(ctx, note("a\nb\nc\nd\ne")).fontSize).toBe(28);
+    expect(ctx.font).toBe("28px sans-serif");
+  });
+
+  it("stops at the smallest size when the text can't fit", () => {
+    const text = Array(30).fill("a").join("\n");
+    const { fontSize, lines } = layoutStickyText(fakeContext(), note(text));
+    expect(fontSize).toBe(8);
+    expect(lines).toHaveLength(30);
+  });
+});
@@ -0,0 +1,227 @@
+import { getBoxCenter, rotatePoint } from "./geometry";
+
+/**
+ * Resizing and rotating shapes with the select tool
+ *
+ * Box shapes (x, y, width, height) get eight resize handles and, except
+ * circles, a rotation handle above their top edge. rotation is stored in
+ * degrees, clockwise about the box's center; x, y, width and height
+ * describe the box before it is rotated.
+ */
+
+export const RESIZABLE_TYPES = ["rect", "circle", "sticky", "image"];
+export const ROTATABLE_TYPES = ["rect", "sticky", "image"];
+
+export const canResize = (shape) => RESIZABLE_TYPES.includes(shape?.type);
+export const canRotate = (shape) => ROTATABLE_TYPES.includes(shape?.type);
+
+const HANDLE_SIZE = 8;
+const ROTATE_HANDLE_OFFSET = 24;
+const MIN_SIZE = 5;
+
+/**
+ * Step the rotation snaps to while Shift is held, in degrees
+ */
+const ROTATION_SNAP = 15;
+
+/**
+ * Sides each resize handle moves, [horizontal, vertical]:
+ * -1 the left/top side, 1 the right/bottom side, 0 neither
+ */
+const RESIZE_HANDLES = {
+  nw: [-1, -1],
+  n: [0, -1],
+  ne: [1, -1],
+  e: [1, 0],
+  se: [1, 1],
+  s: [0, 1],
+  sw: [-1, 1],
+  w: [-1, 0],
+};
+
+/**
+ * A canvas point in a shape's own frame, with its rotation undone
+ */
+export const toShapeFrame = (shape, point) =>
+  shape.rotation
+    ? rotatePoint(point, getBoxCenter(shape), -shape.rotation)
+    : point;
+
+/**
+ * Rotate the context so a shape can be drawn from its unrotated box
+ */
+export const applyRotation = (ctx, shape) => {
+  if (!shape.rotation) return;
+  const center = getBoxCenter(shape);
+  ctx.translate(center.x, center.y);
+  ctx.rotate((shape.rotation * Math.PI) / 180);
+  ctx.translate(-center.x, -center.y);
+};
+
+/**
+ * Handles of a shape, in world coordinates
+ * Handles keep the same size on screen whatever the zoom
+ *
+ * @param {Object} shape
+ * @param {number} [zoom] - Viewport zoom
+ * @returns {Array} [{ handle, x, y }] where handle is a compass direction
+ *   ("nw", "n", ...) or "rotate"; empty for shapes that can't be resized
+ */
+export const getHandles = (shape, zoom = 1) => {
+  if (!canResize(shape)) return [];
+
+  const center = getBoxCenter(shape);
+  const handles = Object.entries(RESIZE_HANDLES).map(
+    ([handle, [horizontal, vertical]]) => ({
+      handle,
+      x: center.x + (horizontal * shape.width) / 2,
+      y: center.y + (vertical * shape.height) / 2,
+    }),
+  );
+  if (canRotate(shape)) {
+    handles.push({
+      handle: "rotate",
+      x: center.x,
+      y: shape.y - ROTATE_HANDLE_OFFSET / zoom,
+    });
+  }
+
+  return handles.map(({ handle, ...point }) => ({
+    handle,
+    ...rotatePoint(point, center, shape.rotation || 0),
+  }));
+};
+
+/**
+ * The handle of a shape under a point, as { handle, x, y }, or null
+ */
+export const getHandleAt = (shape, point, zoom = 1) =>
+  getHandles(shape, zoom).find(
+    (h) =>
+      Math.abs(point.x - h.x) <= HANDLE_SIZE / zoom &&
+      Math.abs(point.y - h.y) <= HANDLE_SIZE / zoom,
+  ) || null;
+
+/**
+ * Draw a shape's resize and rotation handles
+ */
+export const drawHandles = (ctx, shape, zoom = 1) => {
+  const handles = getHandles(shape, zoom);
+  if (handles.length === 0) return;
+
+  const size = HANDLE_SIZE / zoom;
+  ctx.save();
+  ctx.setLineDash([]);
+  ctx.lineWidth = 1 / zoom;
+  ctx.strokeStyle = "#007bff";
+  ctx.fillStyle = "#ffffff";
+
+  handles.forEach(({ handle, x, y }) => {
+    ctx.beginPath();
+    if (handle === "rotate") {
+      // Joined to the middle of the top edge
+      const center = getBoxCenter(shape);
+      const topCenter = rotatePoint(
+        { x: center.x, y: shape.y },
+        center,
+        shape.rotation || 0,
+      );
+      ctx.moveTo(topCenter.x, topCenter.y);
+      ctx.lineTo(x, y);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.arc(x, y, size / 2 + 1 / zoom, 0, 2 * Math.PI);
+    } else {
+      ctx.rect(x - size / 2, y - size / 2, size, size);
+    }
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  ctx.restore();
+};
+
+/**
+ * Box of a shape after dragging one of its resize handles to point
+ * The sides the handle doesn't move stay where they are on the canvas
+ *
+ * @param {Object} shape - The shape as it was when the drag started
+ * @param {string} handle - Resize handle, e.g. "se"
+ * @param {Object} point - Pointer position
+ * @param {boolean} keepAspect - Keep the width/height ratio (corner
+ *   handles only)
+ * @returns {Object} { x, y, width, height }
+ */
+const resizeShape = (shape, handle, point, keepAspect) => {
+  const [horizontal, vertical] = RESIZE_HANDLES[handle];
+  const p = toShapeFrame(shape, point);
+
+  let left = shape.x;
+  let top = shape.y;
+  let right = shape.x + shape.width;
+  let bottom = shape.y + shape.height;
+  if (horizontal < 0) left = Math.min(p.x, right - MIN_SIZE);
+  if (horizontal > 0) right = Math.max(p.x, left + MIN_SIZE);
+  if (vertical < 0) top = Math.min(p.y, bottom - MIN_SIZE);
+  if (vertical > 0) bottom = Math.max(p.y, top + MIN_SIZE);
+
+  if (keepAspect && horizontal && vertical && shape.width && shape.height) {
+    // Scale both sides by the larger change, away from the opposite corner
+    const scale = Math.max(
+      (right - left) / shape.width,
+      (bottom - top) / shape.height,
+    );
+    if (horizontal < 0) left = right - shape.width * scale;
+    else right = left + shape.width * scale;
+    if (vertical < 0) top = bottom - shape.height * scale;
+    else bottom = top + shape.height * scale;
+  }
+
+  // The box was resized in the shape's frame: rotating its new center
+  // about the old one keeps the unmoved sides in place
+  const width = right - left;
+  const height = bottom - top;
+  const center = rotatePoint(
+    { x: (left + right) / 2, y: (top + bottom) / 2 },
+    getBoxCenter(shape),
+    shape.rotation || 0,
+  );
+  return {
+    x: center.x - width / 2,
+    y: center.y - height / 2,
+    width,
+    height,
+  };
+};
+
+/**
+ * Rotation of a shape after dragging its rotation handle to point
+ *
+ * @returns {Object} { rotation } in degrees, within [-180, 180)
+ */
+const rotateShape = (shape, point, snap) => {
+  const center = getBoxCenter(shape);
+
+  // The handle sits straight above the center when unrotated
+  let angle =
+    (Math.atan2(point.y - center.y, point.x - center.x) * 180) / Math.PI + 90;
+  if (snap) angle = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+
+  const normalized = ((((angle + 180) % 360) + 360) % 360) - 180;
+  return { rotation: Math.round(normalized * 10) / 10 };
+};
+
+/**
+ * Property changes from dragging a handle of a shape to point
+ *
+ * @param {Object} shape - The shape as it was when the drag started
+ * @param {string} handle - Handle name (see getHandles)
+ * @param {Object} point - Pointer position
+ * @param {boolean} shiftKey - Keep aspect ratio / snap the rotation
+ * @returns {Object} Changed properties
+ */
+export const getTransformChanges = (shape, handle, point, shiftKey) =>
+  handle === "rotate"
+    ? rotateShape(shape, point, shiftKey)
+    : resizeShape(shape, handle, point, shiftKey);
@@ -0,0 +1,167 @@
+import { describe, expect, it } from "vitest";
+import { rotatePoint } from "./geometry";
+import {
+  getHandleAt,
+  getHandles,
+  getTransformChanges,
+  toShapeFrame,
+} from "./transform";
+
+const box = (extra = {}) => ({
+  type: "rect",
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 50,
+  ...extra,
+});
+
+const handleOf = (shape, name, zoom) =>
+  getHandles(shape, zoom).find((h) => h.handle === name);
+
+/**
+ * Where a shape's top-left corner is drawn on the canvas
+ */
+const drawnTopLeft = (shape) =>
+  rotatePoint(
+    { x: shape.x, y: shape.y },
+    { x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 },
+    shape.rotation || 0,
+  );
+
+describe("getHandles and getHandleAt", () => {
+  it("puts eight resize handles on the box and a rotation handle above it", () => {
+    const handles = getHandles(box());
+    expect(handles.map((h) => h.handle)).toEqual([
+      "nw",
+      "n",
+      "ne",
+      "e",
+      "se",
+      "s",
+      "sw",
+      "w",
+      "rotate",
+    ]);
+    expect(handleOf(box(), "se")).toEqual({ handle: "se", x: 100, y: 50 });
+    expect(handleOf(box(), "rotate")).toEqual({
+      handle: "rotate",
+      x: 50,
+      y: -24,
+    });
+  });
+
+  it("keeps the rotation handle the same distance on screen when zoomed", () => {
+    expect(handleOf(box(), "rotate", 2).y).toBe(-12);
+  });
+
+  it("has no rotation handle on circles and no handles on other shapes", () => {
+    expect(handleOf(box({ type: "circle" }), "rotate")).toBeUndefined();
+    expect(getHandles(box({ type: "circle" }))).toHaveLength(8);
+    expect(getHandles({ type: "path", points: [] })).toEqual([]);
+  });
+
+  it("turns the handles with the shape", () => {
+    const se = handleOf(box({ rotation: 90 }), "se");
+    expect(se.x).toBeCloseTo(25);
+    expect(se.y).toBeCloseTo(75);
+  });
+
+  it("finds the handle under a point, scaled by zoom", () => {
+    expect(getHandleAt(box(), { x: 105, y: 47 })?.handle).toBe("se");
+    expect(getHandleAt(box(), { x: 105, y: 47 }, 2)).toBe(null);
+    expect(getHandleAt(box(), { x: 60, y: 30 })).toBe(null);
+  });
+});
+
+describe("toShapeFrame", () => {
+  it("undoes the shape's rotation", () => {
+    expect(toShapeFrame(box(), { x: 3, y: 4 })).toEqual({ x: 3, y: 4 });
+    const p = toShapeFrame(box({ rotation: 90 }), { x: 25, y: 75 });
+    expect(p.x).toBeCloseTo(100);
+    expect(p.y).toBeCloseTo(50);
+  });
+});
+
+describe("getTransformChanges", () => {
+  it("moves only the sides a handle controls", () => {
+    expect(getTransformChanges(box(), "se", { x: 150, y: 80 })).toEqual({
+      x: 0,
+      y: 0,
+      width: 150,
+      height: 80,
+    });
+    expect(getTransformChanges(box(), "nw", { x: -10, y: -20 })).toEqual({
+      x: -10,
+      y: -20,
+      width: 110,
+      height: 70,
+    });
+    expect(getTransformChanges(box(), "e", { x: 120, y: 999 })).toEqual({
+      x: 0,
+      y: 0,
+      width: 120,
+      height: 50,
+    });
+  });
+
+  it("never shrinks a shape below the minimum size", () => {
+    expect(getTransformChanges(box(), "se", { x: -50, y: -50 })).toEqual({
+      x: 0,
+      y: 0,
+      width: 5,
+      height: 5,
+    });
+  });
+
+  it("keeps the aspect ratio from corner handles with Shift", () => {
+    expect(getTransformChanges(box(), "se", { x: 200, y: 60 }, true)).toEqual({
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 100,
+    });
+    expect(getTransformChanges(box(), "e", { x: 200, y: 60 }, true)).toEqual({
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 50,
+    });
+  });
+
+  it("keeps the opposite corner of a rotated shape in place", () => {
+    const shape = box({ rotation: 30 });
+    const changes = getTransformChanges(shape, "se", { x: 120, y: 140 });
+    const before = drawnTopLeft(shape);
+    const after = drawnTopLeft({ ...shape, ...changes });
+    expect(after.x).toBeCloseTo(before.x);
+    expect(after.y).toBeCloseTo(before.y);
+  });
+
+  it("turns the shape toward the rotation handle", () => {
+    // The box is centered on (50, 25)
+    expect(getTransformChanges(box(), "rotate", { x: 50, y: -100 })).toEqual({
+      rotation: 0,
+    });
+    expect(getTransformChanges(box(), "rotate", { x: 200, y: 25 })).toEqual({
+      rotation: 90,
+    });
+    expect(getTransformChanges(box(), "rotate", { x: 50, y: 200 })).toEqual({
+      rotation: -180,
+    });
+  });
+
+  it("snaps the rotation with Shift", () => {
+    const angle = (7 * Math.PI) / 180;
+    const point = {
+      x: 50 + 100 * Math.cos(angle),
+      y: 25 + 100 * Math.sin(angle),
+    };
+    expect(getTransformChanges(box(), "rotate", point)).toEqual({
+      rotation: 97,
+    });
+    expect(getTransformChanges(box(), "rotate", point, true)).toEqual({
+      rotation: 90,
+    });
+  });
+});
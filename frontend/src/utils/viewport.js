@@ -0,0 +1,142 @@
+/**
+ * Panning and zooming the canvas
+ *
+ * Shapes (and collaborators' cursors) are stored in world coordinates,
+ * which don't depend on how anyone is looking at the board. The viewport
+ * { x, y, zoom } maps them to canvas pixels:
+ *
+ *   screen = world * zoom + (x, y)
+ */
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 8;
+
+/**
+ * Zoom factor of one zoom-in / zoom-out step
+ */
+export const ZOOM_STEP = 1.25;
+
+/**
+ * Space left around the shapes by zoom to fit, in canvas pixels
+ */
+const FIT_PADDING = 40;
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 1 };
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * World coordinates of a point on the canvas
+ */
+export const screenToWorld = (viewport, point) => ({
+  x: (point.x - viewport.x) / viewport.zoom,
+  y: (point.y - viewport.y) / viewport.zoom,
+});
+
+/**
+ * Canvas position of a point in world coordinates
+ */
+export const worldToScreen = (viewport, point) => ({
+  x: point.x * viewport.zoom + viewport.x,
+  y: point.y * viewport.zoom + viewport.y,
+});
+
+/**
+ * Set up the context to draw in world coordinates
+ */
+export const applyViewport = (ctx, viewport) => {
+  ctx.setTransform(viewport.zoom, 0, 0, viewport.zoom, viewport.x, viewport.y);
+};
+
+/**
+ * Viewport zoomed by factor, keeping the world point under `anchor` (a
+ * canvas position) where it is
+ *
+ * @param {Object} viewport
+ * @param {number} factor - > 1 zooms in
+ * @param {Object} anchor - Canvas position, e.g. the pointer
+ * @returns {Object} New viewport
+ */
+export const zoomAt = (viewport, factor, anchor) => {
+  const zoom = clampZoom(viewport.zoom * factor);
+  const world = screenToWorld(viewport, anchor);
+  return {
+    x: anchor.x - world.x * zoom,
+    y: anchor.y - world.y * zoom,
+    zoom,
+  };
+};
+
+/**
+ * Viewport for a two-finger pinch: zoomed by how far the fingers have
+ * spread and moved with them, so the point between them stays put
+ *
+ * @param {Object} viewport - When the pinch started
+ * @param {Object} start - { center, distance } when the pinch started
+ * @param {Object} current - { center, distance } now
+ * @returns {Object} New viewport
+ */
+export const pinchZoom = (viewport, start, current) => {
+  const zoom = clampZoom(
+    (viewport.zoom * current.distance) / Math.max(start.distance, 1),
+  );
+  const world = screenToWorld(viewport, start.center);
+  return {
+    x: current.center.x - world.x * zoom,
+    y: current.center.y - world.y * zoom,
+    zoom,
+  };
+};
+
+/**
+ * Viewport moved by (dx, dy) canvas pixels
+ */
+export const panBy = (viewport, dx, dy) => ({
+  ...viewport,
+  x: viewport.x + dx,
+  y: viewport.y + dy,
+});
+
+/**
+ * Viewport that shows bounds in the middle of a canvas, as large as fits
+ * (but not zoomed in past 100%)
+ *
+ * @param {Object|null} bounds - { minX, minY, maxX, maxY } in world
+ *   coordinates; null (nothing to show) gives the default viewport
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} Viewport
+ */
+export const fitBounds = (bounds, width, height) => {
+  if (!bounds) return DEFAULT_VIEWPORT;
+
+  const boundsWidth = Math.max(bounds.maxX - bounds.minX, 1);
+  const boundsHeight = Math.max(bounds.maxY - bounds.minY, 1);
+  const zoom = clampZoom(
+    Math.min(
+      1,
+      (width - FIT_PADDING * 2) / boundsWidth,
+      (height - FIT_PADDING * 2) / boundsHeight,
+    ),
+  );
+
+  return {
+    x: width / 2 - ((bounds.minX + bounds.maxX) / 2) * zoom,
+    y: height / 2 - ((bounds.minY + bounds.maxY) / 2) * zoom,
+    zoom,
+  };
+};
+
+/**
+ * The part of the world visible on a canvas, as bounds
+ */
+export const getVisibleBounds = (viewport, width, height) => {
+  const topLeft = screenToWorld(viewport, { x: 0, y: 0 });
+  const bottomRight = screenToWorld(viewport, { x: width, y: height });
+  return {
+    minX: topLeft.x,
+    minY: topLeft.y,
+    maxX: bottomRight.x,
+    maxY: bottomRight.y,
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_VIEWPORT,
+  MAX_ZOOM,
+  MIN_ZOOM,
+  fitBounds,
+  panBy,
+  screenToWorld,
+  worldToScreen,
+  zoomAt,
+} from "./viewport";
+
+const viewport = { x: 100, y: 50, zoom: 2 };
+
+describe("screenToWorld and worldToScreen", () => {
+  it("scale by the zoom and shift by the pan", () => {
+    expect(worldToScreen(viewport, { x: 10, y: 20 })).toEqual({
+      x: 120,
+      y: 90,
+    });
+    expect(screenToWorld(viewport, { x: 120, y: 90 })).toEqual({
+      x: 10,
+      y: 20,
+    });
+  });
+
+  it("leave points alone in the default viewport", () => {
+    const point = { x: 7, y: -3 };
+    expect(screenToWorld(DEFAULT_VIEWPORT, point)).toEqual(point);
+    expect(worldToScreen(DEFAULT_VIEWPORT, point)).toEqual(point);
+  });
+});
+
+describe("zoomAt", () => {
+  it("keeps the world point under the anchor in place", () => {
+    const anchor = { x: 300, y: 200 };
+    const before = screenToWorld(viewport, anchor);
+    const zoomed = zoomAt(viewport, 1.25, anchor);
+
+    expect(zoomed.zoom).toBe(2.5);
+    expect(screenToWorld(zoomed, anchor)).toEqual(before);
+  });
+
+  it("stays between the minimum and maximum zoom", () => {
+    const anchor = { x: 0, y: 0 };
+    expect(zoomAt({ ...viewport, zoom: 6 }, 2, anchor).zoom).toBe(MAX_ZOOM);
+    expect(zoomAt({ ...viewport, zoom: 0.15 }, 0.5, anchor).zoom).toBe(
+      MIN_ZOOM,
+    );
+  });
+});
+
+describe("panBy", () => {
+  it("moves the viewport without zooming", () => {
+    expect(panBy(viewport, -10, 5)).toEqual({ x: 90, y: 55, zoom: 2 });
+  });
+});
+
+describe("fitBounds", () => {
+  it("centers small bounds at 100%", () => {
+    expect(
+      fitBounds({ minX: 0, minY: 0, maxX: 100, maxY: 50 }, 800, 600),
+    ).toEqual({ x: 350, y: 275, zoom: 1 });
+  });
+
+  it("zooms out until large bounds fit inside the padding", () => {
+    expect(
+      fitBounds({ minX: 0, minY: 0, maxX: 1440, maxY: 520 }, 800, 600),
+    ).toEqual({ x: 40, y: 170, zoom: 0.5 });
+    expect(
+      fitBounds({ minX: 0, minY: 0, maxX: 1e6, maxY: 1 }, 800, 600).zoom,
+    ).toBe(MIN_ZOOM);
+  });
+
+  it("falls back to the default viewport without bounds", () => {
+    expect(fitBounds(null, 800, 600)).toEqual(DEFAULT_VIEWPORT);
+  });
+});
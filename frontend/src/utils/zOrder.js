@@ -0,0 +1,11 @@
+/**
+ * Shapes sorted bottom to top by zIndex
+ *
+ * Mirrors backend/src/services/zOrder.js: shapes without a zIndex count as
+ * 0 and ties keep their array order. Returns a new array.
+ *
+ * @param {Array} shapes
+ * @returns {Array}
+ */
+export const sortByZIndex = (shapes) =>
+  [...shapes].sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0));